@@ -0,0 +1,171 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { stripFrontMatter } = require('./exporters');
+const { HarnessGenerator } = require('./harness');
+const { readIfExists } = require('./files');
+const { questionSlug } = require('./cli');
+
+// Files in the language directories that are never the user's work: build outputs, caches & official solutions
+const IGNORED_FILES = /^(\..*|go\.sum|official_solution_\d+\.\w+)$/;
+const IGNORED_DIRS = /^(\..*|target|node_modules|__pycache__)$/;
+
+/**
+ * @typedef {Object} ArchiveQuestion
+ * @property {string} dir - Question directory, relative to the download directory
+ * @property {string} slug - e.g. `two-number-sum`
+ * @property {string} title
+ * @property {string|null} url - The AlgoExpert question URL
+ * @property {string} category
+ * @property {number|null} num - Position of the question in its category
+ * @property {string|null} difficulty
+ * @property {Array<string>} tags
+ * @property {Array<string>} solved - Languages whose directory holds the user's own code
+ * @property {string} markdown - README.md, without its front matter
+ * @property {Array<import('./extractor').TestCase>} testcases
+ * @property {string|null} explanation - explanation.md, when the official solutions were scraped
+ */
+
+/**
+ * Lists the files of a directory & its subdirectories
+ * @param {string} dirPath
+ * @param {Object} [options]
+ * @param {boolean} [options.includeIgnored] - List every entry, the ignored files & directories included, e.g. the
+ *   official solutions & `node_modules`, and the entries that are neither files nor directories, e.g. symbolic links
+ * @returns {Promise<Array<string>>} the file paths, relative to `dirPath` with `/` separators
+ */
+async function listFiles(dirPath, { includeIgnored = false } = {}) {
+  const entries = await fs.readdir(dirPath, { withFileTypes: true }).catch(() => []);
+  const files = [];
+  for (const entry of entries) {
+    if (entry.isDirectory()) {
+      if (includeIgnored || !IGNORED_DIRS.test(entry.name)) {
+        files.push(...(await listFiles(path.join(dirPath, entry.name), { includeIgnored })).map(file => `${entry.name}/${file}`));
+      }
+    } else if (includeIgnored || (entry.isFile() && !IGNORED_FILES.test(entry.name))) {
+      files.push(entry.name);
+    }
+  }
+  return files;
+}
+
+/**
+ * Reads the questions saved in the download directory, whatever path template they were scraped with
+ * @typedef {Object} ArchiveReader
+ * @property {string} archiveDir - The download directory
+ * @property {Array<string>} languages - Languages checked for solutions
+ * @property {string|null} stateFile - State manifest, read for the category & number of each question
+ * @property {Array<string>} exclude - Directories that never hold questions, such as the study site
+ */
+class ArchiveReader {
+  /**
+   * @param {Object} options
+   * @param {string} options.archiveDir - The download directory
+   * @param {Array<string>} options.languages - Languages checked for solutions
+   * @param {string|null} [options.stateFile] - State manifest of the scraper
+   * @param {Array<string>} [options.exclude] - Directories skipped while scanning
+   */
+  constructor({ archiveDir, languages, stateFile = null, exclude = [] }) {
+    this.archiveDir = archiveDir;
+    this.languages = languages;
+    this.stateFile = stateFile;
+    this.exclude = exclude.map(dirPath => path.resolve(dirPath));
+    this.harnessGenerator = new HarnessGenerator();
+  }
+
+  /**
+   * Reads every question of the download directory. A question directory holds a README.md & a testcases.json
+   * @returns {Promise<Array<ArchiveQuestion>>} the questions, by category & number
+   */
+  async scan() {
+    const stateContent = this.stateFile ? await readIfExists(this.stateFile) : null;
+    const states = new Map((stateContent ? JSON.parse(stateContent).questions || [] : []).map(state => [state.url, state]));
+
+    const questions = [];
+    const visit = async (dirPath) => {
+      const entries = await fs.readdir(dirPath, { withFileTypes: true });
+      const names = new Set(entries.map(entry => entry.name));
+      if (names.has('README.md') && names.has('testcases.json')) {
+        questions.push(await this.readQuestion(dirPath, states));
+        return;
+      }
+
+      for (const entry of entries) {
+        const entryPath = path.join(dirPath, entry.name);
+        if (entry.isDirectory() && !IGNORED_DIRS.test(entry.name) && !this.exclude.includes(path.resolve(entryPath))) {
+          await visit(entryPath);
+        }
+      }
+    };
+    await visit(this.archiveDir);
+
+    return questions.sort((a, b) => a.category.localeCompare(b.category) ||
+      (a.num ?? Infinity) - (b.num ?? Infinity) || a.title.localeCompare(b.title));
+  }
+
+  /**
+   * Reads a question directory
+   * @param {string} dirPath
+   * @param {Map<string, import('./state').QuestionState>} states - State of each question by URL
+   * @returns {Promise<ArchiveQuestion>}
+   */
+  async readQuestion(dirPath, states) {
+    const dir = path.relative(this.archiveDir, dirPath).split(path.sep).join('/');
+    const markdown = await fs.readFile(path.join(dirPath, 'README.md'), 'utf8');
+    const testcases = JSON.parse(await fs.readFile(path.join(dirPath, 'testcases.json'), 'utf8'));
+    const metaContent = await readIfExists(path.join(dirPath, 'meta.json'));
+    const meta = metaContent ? JSON.parse(metaContent) : {};
+    const state = (meta.url && states.get(meta.url)) || {};
+
+    // Questions scraped before meta.json existed fall back on the default {category}/{num}-{title} directories
+    const dirName = path.basename(dirPath);
+    const heading = markdown.match(/^##? (.+)$/m);
+    const title = meta.title || (heading ? heading[1].trim() : dirName.replace(/^\d+-/, '').replace(/-/g, ' '));
+    const leadingNum = dirName.match(/^(\d+)-/);
+
+    return {
+      dir,
+      slug: meta.url ? questionSlug(meta.url) : dirName.replace(/^\d+-/, '').toLowerCase(),
+      title,
+      url: meta.url || null,
+      category: state.category || (dir.includes('/') ? dir.split('/')[0] : 'Uncategorized'),
+      num: state.num ?? (leadingNum ? Number(leadingNum[1]) : null),
+      difficulty: meta.difficulty || null,
+      tags: meta.tags || [],
+      solved: await this.solvedLanguages(dirPath, title, testcases),
+      markdown: stripFrontMatter(markdown),
+      testcases,
+      explanation: await readIfExists(path.join(dirPath, 'explanation.md')),
+    };
+  }
+
+  /**
+   * Finds the languages the question was solved in: their directory holds a file that is not generated by the
+   * scraper, or a generated file the user edited, such as the solution stub
+   * @param {string} dirPath - The question directory
+   * @param {string} title - The question title
+   * @param {Array<import('./extractor').TestCase>} testcases
+   * @returns {Promise<Array<string>>}
+   */
+  async solvedLanguages(dirPath, title, testcases) {
+    const generated = this.harnessGenerator.generatedVersions(title, this.languages, testcases);
+
+    const solved = [];
+    for (const language of this.languages) {
+      for (const file of await listFiles(path.join(dirPath, language))) {
+        const stubs = generated.get(`${language}/${file}`);
+        if (stubs === undefined || !stubs.includes(await fs.readFile(path.join(dirPath, language, file), 'utf8'))) {
+          solved.push(language);
+          break;
+        }
+      }
+    }
+    return solved;
+  }
+}
+
+module.exports = {
+  IGNORED_FILES,
+  IGNORED_DIRS,
+  listFiles,
+  ArchiveReader,
+};
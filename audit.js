@@ -0,0 +1,460 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { IGNORED_DIRS, listFiles } = require('./archive');
+const { HarnessGenerator } = require('./harness');
+const { readIfExists, writeFileAtomic } = require('./files');
+const { StateManifest, STATUS, contentHash } = require('./state');
+const cli = require('./cli');
+const logger = require('./logger');
+
+/**
+ * Kinds of problems found by the audit
+ */
+const ISSUES = {
+  // Folder of an interrupted run, without its README.md or testcases.json
+  INCOMPLETE: 'incomplete',
+  // testcases.json that can't be parsed, or test cases without inputs or expected output
+  INVALID_TESTCASES: 'invalid-testcases',
+  // Several folders for the same question, e.g. after AlgoExpert renamed it
+  DUPLICATE: 'duplicate',
+  // URL marked done, or listed in the skip file, whose folder was deleted
+  MISSING: 'missing',
+  // Complete folder of a question the state file doesn't mark done
+  UNTRACKED: 'untracked',
+  // Folders of a category numbered the same, one of them without a known URL: maybe a renamed question, never merged automatically
+  SAME_NUMBER: 'same-number',
+};
+
+// Files written by the scraper for every question, a folder holding one of them is a question folder
+const QUESTION_FILES = ['README.md', 'testcases.json', 'meta.json'];
+// Files of a question folder that are scraped, never edited by the user
+const SCRAPED_FILES = [...QUESTION_FILES, 'explanation.md'];
+// Official solutions, scraped into the language directories
+const OFFICIAL_SOLUTION_FILE = /^official_solution_\d+\.\w+$/;
+
+/**
+ * @typedef {Object} QuestionFolder
+ * @property {string} path - Absolute path
+ * @property {string} dir - Path relative to the download directory, with `/` separators
+ * @property {string|null} url - From meta.json, or from the outputs recorded in the state file
+ * @property {string|null} title
+ * @property {Array<string>} missing - Files of `QUESTION_FILES` the folder lacks
+ * @property {string|null} readme - README.md content
+ * @property {Array<import('./extractor').TestCase>|null} testcases - null when testcases.json is missing or invalid
+ * @property {string|null} testcasesError - Why testcases.json is invalid
+ * @property {number} modified - Last modification time of README.md or testcases.json, in milliseconds
+ */
+
+/**
+ * @typedef {Object} Issue
+ * @property {string} kind - One of `ISSUES`
+ * @property {string|null} url - The question URL, when known
+ * @property {Array<string>} dirs - Folders involved, relative to the download directory. For duplicates, the one kept comes first
+ * @property {string} message
+ */
+
+/**
+ * @param {string} name - A folder name, e.g. `05-Two Number Sum`
+ * @returns {string} the name without its number, as a slug, e.g. `two-number-sum`
+ */
+function folderSlug(name) {
+  return name.replace(/^\d+-/, '').toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * @param {Array<QuestionFolder>} group - Folders of the same question
+ * @returns {string|null} the question URL, when one of the folders knows it
+ */
+function groupUrl(group) {
+  const known = group.find(folder => folder.url);
+  return known ? known.url : null;
+}
+
+/**
+ * Checks that the download directory is consistent with the state file & the legacy skip list, and repairs it
+ * @typedef {Object} ArchiveAuditor
+ * @property {string} archiveDir - The download directory
+ * @property {Array<string>} languages - Languages of the solution folders
+ * @property {StateManifest} state - The state manifest of the scraper
+ * @property {string} skipFile - Legacy list of URLs to skip
+ * @property {Array<string>} exclude - Directories that never hold questions, such as the study site
+ */
+class ArchiveAuditor {
+  /**
+   * @param {Object} options
+   * @param {string} options.archiveDir - The download directory
+   * @param {Array<string>} options.languages - Languages of the solution folders
+   * @param {string} options.stateFile - State manifest of the scraper
+   * @param {string} options.skipFile - Legacy list of URLs to skip
+   * @param {Array<string>} [options.exclude] - Directories skipped while scanning
+   */
+  constructor({ archiveDir, languages, stateFile, skipFile, exclude = [] }) {
+    this.archiveDir = archiveDir;
+    this.languages = languages;
+    this.state = new StateManifest(stateFile, { skipFile });
+    this.skipFile = skipFile;
+    this.exclude = exclude.map(dirPath => path.resolve(dirPath));
+    this.harnessGenerator = new HarnessGenerator();
+  }
+
+  /**
+   * Audits the download directory, prints every problem & repairs them with `fix`
+   * @param {Object} [options]
+   * @param {boolean} [options.fix] - Re-queue, merge or remove the entries with problems
+   * @returns {Promise<{issues: Array<Issue>, unfixed: Array<Issue>}>} the problems found, and the ones still left
+   */
+  async audit({ fix = false } = {}) {
+    logger.info(`Starting Step: Auditing ${this.archiveDir}`);
+    // Without a state file, loading it would import the skip list & write one: only --fix changes files
+    if (fix || await readIfExists(this.state.filePath) !== null) {
+      await this.state.load();
+    }
+    const skipContent = await readIfExists(this.skipFile);
+    const skipped = skipContent ? skipContent.split('\n').map(url => url.trim()).filter(Boolean) : [];
+
+    const folders = await this.readFolders();
+    // Folders of older runs have no meta.json, their name is matched with the URLs of the state file & skip list
+    const known = [...this.state.questions.keys(), ...skipped];
+    for (const folder of folders.filter(candidate => !candidate.url)) {
+      folder.url = known.find(url => cli.questionSlug(url) === folderSlug(path.basename(folder.dir))) || null;
+    }
+    logger.info(`-- Retrieved ${folders.length} question folder(s), ${this.state.questions.size} URL(s) in ${this.state.filePath}`);
+    const issues = this.findIssues(folders, skipped);
+
+    console.log(`\nArchive audit of ${this.archiveDir}\n`);
+    const unfixed = [];
+    for (const issue of issues) {
+      console.log(`  ${issue.kind.padEnd(18)} ${issue.dirs.join(', ') || issue.url} - ${issue.message}`);
+      if (fix) {
+        const result = await this.fixIssue(issue, folders, skipped);
+        console.log(`  ${''.padEnd(18)} ${result.fixed ? 'fixed' : 'not fixed'}: ${result.action}`);
+        if (!result.fixed) {
+          unfixed.push(issue);
+        }
+      } else {
+        unfixed.push(issue);
+      }
+    }
+
+    if (issues.length === 0) {
+      console.log('  No problems found\n');
+    } else if (fix) {
+      console.log(`\n${issues.length - unfixed.length} of ${issues.length} problem(s) fixed\n`);
+    } else {
+      console.log(`\n${issues.length} problem(s). Run "node scraper.js audit --fix" to re-queue, merge or remove them\n`);
+    }
+    return { issues, unfixed };
+  }
+
+  /**
+   * Finds & reads the question folders. A question folder holds one of the files written by the scraper,
+   * or only the language folders created at the start of a question
+   * @returns {Promise<Array<QuestionFolder>>}
+   */
+  async readFolders() {
+    // The outputs of the state file give the URL of folders without a meta.json
+    const urlsByDir = new Map();
+    for (const question of this.state.questions.values()) {
+      for (const output of (question.outputs || []).filter(file => path.basename(file) === 'README.md')) {
+        urlsByDir.set(path.resolve(path.dirname(output)), question.url);
+      }
+    }
+
+    const folders = [];
+    const visit = async (dirPath) => {
+      const entries = await fs.readdir(dirPath, { withFileTypes: true });
+      const isQuestion = entries.some(entry => (entry.isFile() && QUESTION_FILES.includes(entry.name)) ||
+        (entry.isDirectory() && this.languages.includes(entry.name)));
+      if (isQuestion && dirPath !== this.archiveDir) {
+        folders.push(await this.readFolder(dirPath, urlsByDir));
+        return;
+      }
+
+      for (const entry of entries) {
+        const entryPath = path.join(dirPath, entry.name);
+        if (entry.isDirectory() && !IGNORED_DIRS.test(entry.name) && !this.exclude.includes(path.resolve(entryPath))) {
+          await visit(entryPath);
+        }
+      }
+    };
+    await visit(this.archiveDir);
+    return folders.sort((a, b) => a.dir.localeCompare(b.dir));
+  }
+
+  /**
+   * @param {string} dirPath
+   * @param {Map<string, string>} urlsByDir - Question URL of the folders recorded in the state file
+   * @returns {Promise<QuestionFolder>}
+   */
+  async readFolder(dirPath, urlsByDir) {
+    const readme = await readIfExists(path.join(dirPath, 'README.md'));
+    const metaContent = await readIfExists(path.join(dirPath, 'meta.json'));
+    let meta = {};
+    try {
+      meta = metaContent ? JSON.parse(metaContent) : {};
+    } catch (error) {
+      // A broken meta.json is rewritten when the question is scraped again
+    }
+
+    const testcasesContent = await readIfExists(path.join(dirPath, 'testcases.json'));
+    let testcases = null;
+    let testcasesError = null;
+    if (testcasesContent !== null) {
+      try {
+        testcases = JSON.parse(testcasesContent);
+        const invalid = Array.isArray(testcases)
+          ? testcases.filter(testcase => !testcase || typeof testcase.inputs !== 'object' || testcase.inputs === null ||
+            testcase.expected === undefined)
+          : null;
+        if (!invalid) {
+          testcasesError = 'testcases.json is not a list of test cases';
+        } else if (invalid.length > 0) {
+          testcasesError = `${invalid.length} test case(s) without inputs or expected output`;
+        }
+      } catch (error) {
+        testcasesError = `testcases.json can't be parsed: ${error.message}`;
+      }
+      if (testcasesError) {
+        testcases = null;
+      }
+    }
+
+    const times = await Promise.all(['README.md', 'testcases.json']
+      .map(name => fs.stat(path.join(dirPath, name)).then(stats => stats.mtimeMs, () => 0)));
+    const heading = readme && readme.match(/^##? (.+)$/m);
+
+    return {
+      path: dirPath,
+      dir: path.relative(this.archiveDir, dirPath).split(path.sep).join('/'),
+      url: meta.url || urlsByDir.get(path.resolve(dirPath)) || null,
+      title: meta.title || (heading ? heading[1].trim() : null),
+      missing: QUESTION_FILES.filter((name, idx) => [readme, testcasesContent, metaContent][idx] === null),
+      readme,
+      testcases,
+      testcasesError,
+      modified: Math.max(...times),
+    };
+  }
+
+  /**
+   * @param {Array<QuestionFolder>} folders
+   * @param {Array<string>} skipped - URLs of the legacy skip list
+   * @returns {Array<Issue>}
+   */
+  findIssues(folders, skipped) {
+    const issues = [];
+
+    for (const folder of folders) {
+      // meta.json is only written since the metadata is scraped
+      const missing = folder.missing.filter(name => name !== 'meta.json');
+      if (missing.length > 0) {
+        issues.push({ kind: ISSUES.INCOMPLETE, url: folder.url, dirs: [folder.dir], message: `${missing.join(' & ')} missing` });
+      } else if (folder.testcasesError) {
+        issues.push({ kind: ISSUES.INVALID_TESTCASES, url: folder.url, dirs: [folder.dir], message: folder.testcasesError });
+      }
+    }
+
+    // Folders of the same URL, or named after the same question when the URL is unknown, hold the same question
+    const groups = new Map();
+    const groupKeys = new Map();
+    for (const folder of folders) {
+      const slug = folderSlug(path.basename(folder.dir));
+      const named = !folder.url && folders.find(other => other.url && cli.questionSlug(other.url) === slug);
+      const key = folder.url || (named && named.url) || `${path.dirname(folder.dir)}/${slug}`;
+      groups.set(key, [...(groups.get(key) || []), folder]);
+      groupKeys.set(folder, key);
+    }
+    for (const group of groups.values()) {
+      if (group.length > 1) {
+        const [kept, ...others] = this.rankDuplicates(group);
+        issues.push({
+          kind: ISSUES.DUPLICATE,
+          url: groupUrl(group),
+          dirs: [kept.dir, ...others.map(folder => folder.dir)],
+          message: `${group.length} folders for the same question, ${kept.dir} is the current one`,
+        });
+      }
+    }
+
+    // A number shared with another question proves nothing: AlgoExpert reorders its questions, so they are only reported
+    const numbered = new Map();
+    for (const folder of folders) {
+      const number = path.basename(folder.dir).match(/^(\d+)-/);
+      if (number) {
+        const key = `${path.dirname(folder.dir)}/${number[1]}`;
+        numbered.set(key, [...(numbered.get(key) || []), folder]);
+      }
+    }
+    for (const group of numbered.values()) {
+      if (group.some(folder => !folder.url) && new Set(group.map(folder => groupKeys.get(folder))).size > 1) {
+        issues.push({
+          kind: ISSUES.SAME_NUMBER,
+          url: null,
+          dirs: group.map(folder => folder.dir),
+          message: `${group.length} folders numbered the same, the URL of ${group.filter(folder => !folder.url).map(folder => folder.dir).join(' & ')} is unknown`,
+        });
+      }
+    }
+
+    // Questions marked done, or skipped by the legacy list, need their folder
+    const urls = new Set([...this.state.questions.values()].filter(question => question.status === STATUS.DONE)
+      .map(question => question.url));
+    skipped.forEach(url => urls.add(url));
+    for (const url of urls) {
+      if (!folders.some(folder => folder.url === url)) {
+        const sources = [this.state.isDone(url) && 'marked done', skipped.includes(url) && `listed in ${this.skipFile}`].filter(Boolean);
+        issues.push({ kind: ISSUES.MISSING, url, dirs: [], message: `${sources.join(' & ')} but its folder was deleted` });
+      }
+    }
+
+    // Complete folders the next run would scrape again, only the current one of duplicates is kept
+    for (const group of groups.values()) {
+      const url = groupUrl(group);
+      const [kept] = this.rankDuplicates(group);
+      if (url && kept.readme !== null && kept.testcases && !this.state.isDone(url) && !skipped.includes(url)) {
+        issues.push({ kind: ISSUES.UNTRACKED, url, dirs: [kept.dir], message: `not marked done in ${this.state.filePath}` });
+      }
+    }
+    return issues;
+  }
+
+  /**
+   * Orders the folders of a question: the one the state file points to first, then the complete & most recent ones
+   * @param {Array<QuestionFolder>} group
+   * @returns {Array<QuestionFolder>}
+   */
+  rankDuplicates(group) {
+    const state = groupUrl(group) ? this.state.get(groupUrl(group)) : null;
+    const current = new Set(((state && state.outputs) || []).filter(file => path.basename(file) === 'README.md')
+      .map(output => path.resolve(path.dirname(output))));
+    const score = folder => [current.has(path.resolve(folder.path)) ? 1 : 0, folder.readme !== null && folder.testcases ? 1 : 0, folder.modified];
+    return [...group].sort((a, b) => {
+      const [scoreA, scoreB] = [score(a), score(b)];
+      const idx = scoreA.findIndex((value, position) => value !== scoreB[position]);
+      return idx === -1 ? 0 : scoreB[idx] - scoreA[idx];
+    });
+  }
+
+  /**
+   * Repairs a problem: broken folders are re-queued, duplicates merged into the current folder, URLs without a folder
+   * removed from the skip list & re-queued, and complete folders marked done
+   * @param {Issue} issue
+   * @param {Array<QuestionFolder>} folders
+   * @param {Array<string>} skipped - URLs of the legacy skip list
+   * @returns {Promise<{fixed: boolean, action: string}>}
+   */
+  async fixIssue(issue, folders, skipped) {
+    switch (issue.kind) {
+      case ISSUES.INCOMPLETE:
+      case ISSUES.INVALID_TESTCASES: {
+        const folder = folders.find(candidate => candidate.dir === issue.dirs[0]);
+        if (issue.url) {
+          await this.requeue(issue.url, `${issue.message} in ${issue.dirs[0]}`, skipped);
+          return { fixed: true, action: `re-queued ${issue.url}, the next run scrapes it again` };
+        }
+        if ((await listFiles(folder.path, { includeIgnored: true })).length === 0) {
+          await fs.rm(folder.path, { recursive: true, force: true });
+          return { fixed: true, action: 'removed the empty folder' };
+        }
+        return { fixed: false, action: 'the question URL is unknown, scrape it again with --question <slug>' };
+      }
+      case ISSUES.DUPLICATE:
+        return this.mergeFolders(issue, folders);
+      case ISSUES.SAME_NUMBER:
+        return { fixed: false, action: 'check whether they hold the same question & merge them by hand' };
+      case ISSUES.MISSING:
+        await this.requeue(issue.url, 'its folder was deleted from the download directory', skipped);
+        return { fixed: true, action: 'removed from the skip list & re-queued, the next run scrapes it again' };
+      case ISSUES.UNTRACKED: {
+        const folder = folders.find(candidate => candidate.dir === issue.dirs[0]);
+        const leadingNum = path.basename(folder.dir).match(/^(\d+)-/);
+        this.state.update(issue.url, {
+          category: (this.state.get(issue.url) || {}).category || (folder.dir.includes('/') ? folder.dir.split('/')[0] : null),
+          num: (this.state.get(issue.url) || {}).num || (leadingNum ? Number(leadingNum[1]) : null),
+        });
+        await this.state.markDone(issue.url, QUESTION_FILES.filter(name => !folder.missing.includes(name)).map(name => path.join(folder.path, name)),
+          contentHash(folder.readme, folder.testcases));
+        return { fixed: true, action: `marked done in ${this.state.filePath}` };
+      }
+      default:
+        return { fixed: false, action: 'no fix available' };
+    }
+  }
+
+  /**
+   * Marks a question as failed, so the next run scrapes it again, & removes it from the legacy skip list
+   * @param {string} url
+   * @param {string} reason
+   * @param {Array<string>} skipped - URLs of the legacy skip list, updated in place
+   */
+  async requeue(url, reason, skipped) {
+    await this.state.markFailed(url, `Audit: ${reason}`);
+    if (skipped.includes(url)) {
+      skipped.splice(skipped.indexOf(url), 1);
+      await writeFileAtomic(this.skipFile, skipped.map(skippedUrl => `${skippedUrl}\n`).join(''));
+    }
+  }
+
+  /**
+   * Copies the files of the older folders of a question into the current one, then removes them. A file that differs
+   * from the one in the current folder is never overwritten, and a folder is only removed once every file in it was
+   * merged: otherwise it is kept for a manual merge
+   * @param {Issue} issue
+   * @param {Array<QuestionFolder>} folders
+   * @returns {Promise<{fixed: boolean, action: string}>}
+   */
+  async mergeFolders(issue, folders) {
+    const [kept, ...others] = issue.dirs.map(dir => folders.find(folder => folder.dir === dir));
+    const keptStubs = kept.title && kept.testcases
+      ? this.harnessGenerator.generatedVersions(kept.title, this.languages, kept.testcases)
+      : new Map();
+    const conflicts = [];
+
+    for (const folder of others) {
+      // Generated stubs & runners are regenerated for the current title, only the user's edits are worth keeping
+      const generated = folder.title && folder.testcases
+        ? this.harnessGenerator.generatedVersions(folder.title, this.languages, folder.testcases)
+        : new Map();
+      const unmerged = [];
+      // Every file is copied as is, build outputs, dot files & binary files included
+      for (const file of await listFiles(folder.path, { includeIgnored: true })) {
+        try {
+          const content = await fs.readFile(path.join(folder.path, file));
+          const target = path.join(kept.path, file);
+          const existing = await readIfExists(target, null);
+          // The scraped files of the current folder are the latest ones
+          const isScraped = SCRAPED_FILES.includes(file) || OFFICIAL_SOLUTION_FILE.test(path.basename(file));
+          if ((generated.get(file) || []).includes(content.toString()) || (existing !== null && (isScraped || existing.equals(content)))) {
+            continue;
+          }
+          // The current folder's file is still the generated stub: the older solution replaces it
+          if (existing !== null && !(keptStubs.get(file) || []).includes(existing.toString())) {
+            unmerged.push(file);
+            continue;
+          }
+          await fs.mkdir(path.dirname(target), { recursive: true });
+          await writeFileAtomic(target, content);
+        } catch (error) {
+          logger.warn(`Could not merge ${folder.dir}/${file} into ${kept.dir}: ${error.message}`);
+          unmerged.push(file);
+        }
+      }
+
+      if (unmerged.length > 0) {
+        conflicts.push(`${folder.dir} (${unmerged.join(', ')})`);
+      } else {
+        await fs.rm(folder.path, { recursive: true, force: true });
+      }
+    }
+
+    if (conflicts.length > 0) {
+      return { fixed: false, action: `merged into ${kept.dir} except files that differ from it or could not be copied, kept in their folder to merge by hand: ${conflicts.join(', ')}` };
+    }
+    return { fixed: true, action: `merged into ${kept.dir} & removed ${others.map(folder => folder.dir).join(', ')}` };
+  }
+}
+
+module.exports = {
+  ISSUES,
+  ArchiveAuditor,
+};
@@ -0,0 +1,213 @@
+const { chromium } = require('playwright');
+const fs = require('fs').promises;
+const { MISSING_FIXTURE_HEADER, fixturePathForUrl } = require('./fixtures');
+const { writeFileAtomic } = require('./files');
+const logger = require('./logger');
+
+/**
+ * Browser modes, see the `browserMode` option
+ */
+const BROWSER_MODES = {
+  // Connects to a Chrome started with --remote-debugging-port, and reuses its login session
+  CDP: 'cdp',
+  // Launches Chromium with a profile directory, which keeps its cookies between runs
+  PERSISTENT: 'persistent',
+  // Launches Chromium with the cookies & local storage saved by the `login` command
+  STORAGE_STATE: 'storage-state',
+};
+
+/**
+ * Manages browser connections
+ * @typedef {Object} BrowserManager
+ * @property {import('playwright').Browser} browser
+ * @property {import('playwright').BrowserContext} context
+ * @property {import('playwright').Page} page
+ * @property {boolean} ownsBrowser - Whether the browser was launched by the scraper, false for the user's own browser
+ * @property {Array<import('playwright').Page>} pages - Pages opened by the scraper
+ */
+class BrowserManager {
+  constructor() {
+    this.browser = null;
+    this.context = null;
+    this.page = null;
+    this.ownsBrowser = false;
+    this.pages = [];
+  }
+
+  /**
+   * Opens the browser of the configured `browserMode`
+   * @param {Object} config - The options, see config.js
+   * @param {Object} [options]
+   * @param {boolean} [options.headless] - Overrides the `headless` option of the launched browsers
+   * @param {boolean} [options.requireStorageState=true] - Fail when the storage state file was not saved yet
+   * @returns {Promise<import('playwright').Page>} new page on the browser
+   */
+  async open(config, { headless = config.headless, requireStorageState = true } = {}) {
+    switch (config.browserMode) {
+      case BROWSER_MODES.PERSISTENT:
+        return await this.launchPersistent(config.profileDir, { headless, channel: config.browserChannel });
+      case BROWSER_MODES.STORAGE_STATE:
+        return await this.launchWithStorageState(config.storageState, {
+          headless, channel: config.browserChannel, required: requireStorageState,
+        });
+      default:
+        return await this.connectToExistingChrome(config.cdpUrl);
+    }
+  }
+
+  /**
+   * Connects to an already existing browser over cdp
+   * @param {string} cdpUrl - e.g. `http://127.0.0.1:9222`
+   * @returns {Promise<import('playwright').Page>} new page on the browser
+   */
+  async connectToExistingChrome(cdpUrl) {
+    // To open chrome with remote port, run this command on the terminal:
+    // /Applications/Google\ Chrome.app/Contents/MacOS/Google\ Chrome --remote-debugging-port=9222
+    // https://stackoverflow.com/questions/71362982/is-there-a-way-to-connect-to-my-existing-browser-session-using-playwright
+    try {
+      this.browser = await chromium.connectOverCDP(cdpUrl);
+    } catch (error) {
+      throw new Error(`Could not connect to the browser at ${cdpUrl} (${error.message.split('\n')[0]}). ` +
+        'Start Chrome with --remote-debugging-port, or set browserMode to "persistent" or "storage-state"');
+    }
+    this.ownsBrowser = false;
+    this.context = this.browser.contexts()[0];
+    this.page = await this.newPage();
+
+    logger.info("Connected!");
+    return this.page;
+  }
+
+  /**
+   * Launches Chromium with a persistent profile directory, logged in once with the `login` command
+   * @param {string} profileDir - Created when it does not exist
+   * @param {Object} [options]
+   * @param {boolean} [options.headless=true]
+   * @param {string|null} [options.channel] - e.g. `chrome` to launch the installed Google Chrome
+   * @returns {Promise<import('playwright').Page>} new page on the browser
+   */
+  async launchPersistent(profileDir, { headless = true, channel = null } = {}) {
+    this.context = await chromium.launchPersistentContext(profileDir, { headless, channel: channel || undefined });
+    this.browser = this.context.browser();
+    this.ownsBrowser = true;
+    // A persistent context always starts with a blank page
+    this.page = this.context.pages()[0] || await this.context.newPage();
+    this.pages.push(this.page);
+
+    logger.info(`Launched ${headless ? 'headless ' : ''}Chromium with the profile ${profileDir}`);
+    return this.page;
+  }
+
+  /**
+   * Launches Chromium with the cookies & local storage saved by the `login` command
+   * @param {string} storageState - Path of the storage state file
+   * @param {Object} [options]
+   * @param {boolean} [options.headless=true]
+   * @param {string|null} [options.channel] - e.g. `chrome` to launch the installed Google Chrome
+   * @param {boolean} [options.required=true] - Fail when the file does not exist, otherwise start logged out
+   * @returns {Promise<import('playwright').Page>} new page on the browser
+   */
+  async launchWithStorageState(storageState, { headless = true, channel = null, required = true } = {}) {
+    const exists = await fs.access(storageState).then(() => true, () => false);
+    if (required && !exists) {
+      throw new Error(`No saved login session at ${storageState}. Run "node scraper.js login" first`);
+    }
+
+    this.browser = await chromium.launch({ headless, channel: channel || undefined });
+    this.ownsBrowser = true;
+    this.context = await this.browser.newContext({ storageState: exists ? storageState : undefined });
+    this.page = await this.newPage();
+
+    logger.info(`Launched ${headless ? 'headless ' : ''}Chromium${exists ? ` with the session saved in ${storageState}` : ''}`);
+    return this.page;
+  }
+
+  /**
+   * Saves the cookies & local storage of the browser context, to launch logged in browsers with `storage-state`
+   * @param {string} filePath
+   */
+  async saveStorageState(filePath) {
+    const state = await this.context.storageState();
+    await writeFileAtomic(filePath, JSON.stringify(state, null, 2));
+  }
+
+  /**
+   * Launches a local headless Chromium that serves pages from captured HTML snapshots instead of AlgoExpert
+   * @param {string} fixturesDir - Directory containing the HTML snapshots saved with `--capture`
+   * @returns {Promise<import('playwright').Page>} new page on the browser
+   */
+  async launchReplay(fixturesDir) {
+    this.browser = await chromium.launch({ headless: true });
+    this.ownsBrowser = true;
+    this.context = await this.browser.newContext();
+
+    // Documents are served from disk, every other request (scripts, images, api calls) is blocked
+    await this.context.route('**/*', async (route) => {
+      const request = route.request();
+
+      if (request.resourceType() !== 'document') {
+        await route.abort();
+        return;
+      }
+
+      const fixturePath = fixturePathForUrl(fixturesDir, request.url());
+      try {
+        const body = await fs.readFile(fixturePath, 'utf8');
+        await route.fulfill({ status: 200, contentType: 'text/html', body });
+      } catch (error) {
+        // The page handler fails the navigation with a MissingFixtureError, which is not retried
+        await route.fulfill({
+          status: 404, contentType: 'text/plain', headers: { [MISSING_FIXTURE_HEADER]: fixturePath }, body: 'Fixture not found',
+        });
+      }
+    });
+
+    this.page = await this.context.newPage();
+
+    logger.info(`Replaying fixtures from ${fixturesDir}`);
+    return this.page;
+  }
+
+  /**
+   * Opens another page in the browser context, e.g. for the workers scraping questions in parallel
+   * @returns {Promise<import('playwright').Page>} new page on the browser
+   */
+  async newPage() {
+    const page = await this.context.newPage();
+    this.pages.push(page);
+    return page;
+  }
+
+  /**
+   * Closes the browser launched by the scraper. The user's own browser is only disconnected from,
+   * after closing the pages the scraper opened in it
+   */
+  async closeBrowser() {
+    if (!this.context) {
+      return;
+    }
+
+    if (this.ownsBrowser) {
+      // A persistent context has no browser object, closing the context closes its browser
+      await (this.browser ? this.browser.close() : this.context.close());
+      logger.info('Succesfully Terminated!');
+    } else {
+      for (const page of this.pages) {
+        await page.close().catch(() => {}); // The user may have closed it already
+      }
+      // Closing a browser connected over cdp only closes the connection, the browser keeps running
+      await this.browser.close();
+      logger.info('Disconnected from the browser');
+    }
+
+    this.browser = null;
+    this.context = null;
+    this.page = null;
+    this.pages = [];
+  }
+}
+
+module.exports = {
+  BROWSER_MODES,
+  BrowserManager,
+};
@@ -0,0 +1,174 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { readIfExists, writeFileAtomic } = require('./files');
+const { contentHash } = require('./state');
+const logger = require('./logger');
+
+/**
+ * @typedef {Object} QuestionChange
+ * @property {'added'|'removed'|'modified'} type - The kind of change
+ * @property {string} url - The question URL
+ * @property {string} title - The question title, or its URL when the title is unknown
+ * @property {string|null} category - The question category
+ * @property {Array<string>} details - What changed, e.g. `Test case added: Test Case 5`
+ */
+
+/**
+ * Reads a JSON file, returning null when it does not exist or can't be parsed
+ * @param {string} filePath
+ * @returns {Promise<any|null>}
+ */
+async function readJson(filePath) {
+  const content = await readIfExists(filePath);
+  try {
+    return content === null ? null : JSON.parse(content);
+  } catch (error) {
+    logger.warn(`-- Could not parse ${filePath}: ${error}`);
+    return null;
+  }
+}
+
+/**
+ * Compares two lists of testcases by name
+ * @param {Array<import('./extractor').TestCase>} previous - Testcases on disk
+ * @param {Array<import('./extractor').TestCase>} current - Testcases just scraped
+ * @returns {Array<string>} a detail line for every added, removed or modified testcase
+ */
+function diffTestCases(previous, current) {
+  const details = [];
+  const previousByName = new Map(previous.map(testcase => [testcase.name, testcase]));
+  const currentByName = new Map(current.map(testcase => [testcase.name, testcase]));
+  const serialize = (testcase) => JSON.stringify({ inputs: testcase.inputs, expected: testcase.expected });
+
+  for (const [name, testcase] of currentByName) {
+    if (!previousByName.has(name)) {
+      details.push(`Test case added: ${name}`);
+    } else if (serialize(previousByName.get(name)) !== serialize(testcase)) {
+      details.push(`Test case modified: ${name}`);
+    }
+  }
+  for (const name of previousByName.keys()) {
+    if (!currentByName.has(name)) {
+      details.push(`Test case removed: ${name}`);
+    }
+  }
+  return details;
+}
+
+/**
+ * Detects the questions & testcases that changed since the last run, and writes them to a changelog
+ * @typedef {Object} ChangeTracker
+ * @property {Array<QuestionChange>} changes - Changes found during the run
+ */
+class ChangeTracker {
+  constructor() {
+    this.changes = [];
+  }
+
+  /**
+   * Compares a scraped question with what is on disk. Must be called before the question is exported
+   * @param {import('./exporters').QuestionRecord} record - The question just scraped
+   * @param {import('./state').QuestionState|undefined} previous - The state of the question before this run
+   * @param {string} downloadBasePath - Directory the question directories are in
+   * @returns {Promise<QuestionChange|null>} the change, null when the question is unchanged
+   */
+  async compareQuestion(record, previous, downloadBasePath) {
+    const base = { url: record.url, title: record.question.title, category: record.category };
+
+    if (!previous || !previous.completedAt) {
+      return this.add({ ...base, type: 'added', details: [] });
+    }
+
+    // Previous outputs are used first, the directory may have been named after an older title
+    const findOutput = (fileName) => (previous.outputs || []).find(output => path.basename(output) === fileName)
+      || path.join(downloadBasePath, record.path, fileName);
+
+    const details = [];
+    const previousMarkdown = await readIfExists(findOutput('README.md'));
+    const previousTestCases = await readJson(findOutput('testcases.json'));
+
+    // A README.md rendered with a template can differ only by the solutions of the user, the hash of the default
+    // layout tells if the question itself changed
+    const hashChanged = previous.contentHash && previous.contentHash !== contentHash(record.defaultMarkdown, record.testcases);
+    if (previousMarkdown !== null && previousMarkdown !== record.markdown && (!previous.contentHash || hashChanged)) {
+      details.push('Description changed');
+    }
+    if (Array.isArray(previousTestCases)) {
+      details.push(...diffTestCases(previousTestCases, record.testcases));
+    }
+
+    // Without files on disk, only the content hash of the manifest tells if something changed
+    if (details.length === 0 && hashChanged && previousMarkdown === null && previousTestCases === null) {
+      details.push('Content changed');
+    }
+
+    return details.length > 0 ? this.add({ ...base, type: 'modified', details }) : null;
+  }
+
+  /**
+   * Records a question that is no longer listed on AlgoExpert
+   * @param {import('./state').QuestionState} previous - The state of the question
+   * @returns {QuestionChange}
+   */
+  markRemoved(previous) {
+    return this.add({ type: 'removed', url: previous.url, title: previous.url, category: previous.category, details: [] });
+  }
+
+  /**
+   * @param {QuestionChange} change
+   * @returns {QuestionChange}
+   */
+  add(change) {
+    this.changes.push(change);
+    logger.info(`-- ${change.type[0].toUpperCase()}${change.type.slice(1)}: ${change.title}` +
+      (change.details.length > 0 ? ` (${change.details.join(', ')})` : ''), { change });
+    return change;
+  }
+
+  /**
+   * Renders the changes of this run as a markdown changelog section
+   * @param {Date} [date] - Date of the run
+   * @returns {string}
+   */
+  toMarkdown(date = new Date()) {
+    const lines = [`## ${date.toISOString()}`, ''];
+
+    if (this.changes.length === 0) {
+      lines.push('No changes.');
+    }
+    for (const type of ['added', 'removed', 'modified']) {
+      const changes = this.changes.filter(change => change.type === type);
+      if (changes.length === 0) {
+        continue;
+      }
+
+      lines.push(`### ${type[0].toUpperCase()}${type.slice(1)}`, '');
+      for (const change of changes) {
+        const category = change.category ? ` (${change.category})` : '';
+        lines.push(`- [${change.title}](${change.url})${category}`);
+        lines.push(...change.details.map(detail => `  - ${detail}`));
+      }
+      lines.push('');
+    }
+
+    return lines.join('\n').trim() + '\n';
+  }
+
+  /**
+   * Adds the changes of this run at the top of the changelog
+   * @param {string} filePath - Path of the changelog, e.g. `<downloadBasePath>/changelog.md`
+   */
+  async writeChangelog(filePath) {
+    const existing = await readIfExists(filePath);
+    const previousEntries = existing ? existing.replace(/^# Changelog\n+/, '') : '';
+
+    await fs.mkdir(path.dirname(filePath), { recursive: true });
+    await writeFileAtomic(filePath, `# Changelog\n\n${this.toMarkdown()}\n${previousEntries}`.trimEnd() + '\n');
+    logger.info(`-- Changelog saved at path ${filePath}`);
+  }
+}
+
+module.exports = {
+  ChangeTracker,
+  diffTestCases,
+};
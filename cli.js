@@ -0,0 +1,247 @@
+const { parseArgs } = require('util');
+
+const COMMANDS = ['scrape', 'list', 'status', 'doctor', 'login', 'build-site', 'serve', 'verify', 'review', 'audit'];
+
+const USAGE = `
+Usage: node scraper.js <command> [options]
+
+Commands:
+  scrape      Scrape questions & testcases (default)
+  list        List the questions found in each category
+  status      Show how many questions have already been scraped
+  doctor      Check every selector against the questions page & a question page
+  login       Open a browser to log in to AlgoExpert & save the session for the launched browsers
+  build-site  Build a static study site from the download directory
+  serve       Build the study site & serve it on http://127.0.0.1:8080
+  verify      Run the saved solutions against the testcases.json of their question
+  review      Show today's spaced-repetition review queue & record reviews with --grade
+  audit       Check the download directory against the state file & skip list, repair it with --fix
+
+Options:
+  -c, --category <name>    Limit the run (or verify, review) to a category (repeatable)
+  -q, --question <slug>    Limit the run (or verify, review) to a question slug or URL glob (repeatable)
+      --dry-run            Only print what would be downloaded or skipped
+      --retry-failed       Only scrape the questions that failed or were interrupted
+      --update             Scrape the downloaded questions again & write a changelog of what changed
+      --solutions          Also scrape the official solutions, written explanation & video metadata
+      --submissions        Also export the code saved in the workspace editor & whether it passes
+  -j, --concurrency <n>    Number of pages scraping questions at once (default: 1)
+      --log-level <level>  Minimum level printed: debug, info, warn, error, silent (default: info)
+      --log-file <path>    Append every message as a JSON line to this file
+      --browser <mode>     How the browser is opened: cdp, persistent, storage-state (default: cdp)
+      --replay <dir>       Replay captured HTML snapshots in a local headless Chromium
+      --capture <dir>      Save the HTML of every visited page during a real run
+  -f, --format <name>      Output format: markdown, json, jsonl, sqlite, html, anki (repeatable or comma separated)
+      --path-template <t>  Directory of each question, e.g. "{category}/{num}-{slug}"
+      --out <dir>          Directory of the study site (default: study-site in the download directory),
+                           or of the replayed questions with --replay (default: a temporary directory)
+      --port <n>           Port of the serve command (default: 8080)
+      --grade <slug=0..5>  Record a review of a question, from 0 (blank) to 5 (perfect recall) (repeatable)
+      --fix                Re-queue, merge or remove the entries with problems found by audit
+      --config <path>      Config file (.json, .yaml or .yml), defaults to algoexpert.config.* in this directory
+      --profile <name>     Apply a profile of the config file
+      --set <key=value>    Override an option, e.g. "retry.maxAttempts=5" (repeatable)
+  -h, --help               Show this message
+`;
+
+/**
+ * @typedef {Object} CliOptions
+ * @property {string} command - One of `COMMANDS`
+ * @property {Array<string>} categories - Category names given with `--category`
+ * @property {Array<string>} questions - Question slugs or URL globs given with `--question`
+ * @property {boolean} dryRun - Whether to only print what would be scraped
+ * @property {boolean} retryFailed - Whether to only scrape the failed & interrupted questions
+ * @property {boolean} update - Whether to scrape the downloaded questions again & report the changes
+ * @property {boolean} solutions - Whether to also scrape the official solutions
+ * @property {boolean} submissions - Whether to also export the code saved in the workspace editor
+ * @property {number|null} concurrency - Number of pages given with `--concurrency`
+ * @property {string|null} logLevel - Log level given with `--log-level`
+ * @property {string|null} logFile - JSON lines log file given with `--log-file`
+ * @property {string|null} browser - Browser mode given with `--browser`
+ * @property {string|null} replay - Directory of HTML snapshots to replay instead of the live site
+ * @property {string|null} capture - Directory to save the HTML of every visited page to
+ * @property {Array<string>} formats - Output formats given with `--format`
+ * @property {string|null} pathTemplate - Path template given with `--path-template`
+ * @property {string|null} out - Study site directory, or output directory of a replay, given with `--out`
+ * @property {number|null} port - Port given with `--port`
+ * @property {Array<{slug: string, grade: number}>} grades - Reviews given with `--grade`
+ * @property {boolean} fix - Whether the audit repairs the problems it finds
+ * @property {string|null} config - Config file given with `--config`
+ * @property {string|null} profile - Profile given with `--profile`
+ * @property {Array<string>} set - `key=value` overrides given with `--set`
+ * @property {boolean} help - Whether the usage message was requested
+ */
+
+/**
+ * Parses a `--grade` value
+ * @param {string} value - e.g. `two-number-sum=4`
+ * @returns {{slug: string, grade: number}}
+ */
+function parseGrade(value) {
+  const match = value.match(/^\s*([^=\s]+)\s*=\s*([0-5])\s*$/);
+  if (!match) {
+    throw new Error(`--grade must be a question slug & a grade from 0 to 5, e.g. "two-number-sum=4", got "${value}"`);
+  }
+  return { slug: match[1], grade: Number(match[2]) };
+}
+
+/**
+ * Parses the command line arguments
+ * @param {Array<string>} argv - Arguments without the node executable & script path
+ * @returns {CliOptions} the parsed options
+ */
+function parseCliArgs(argv) {
+  const { values, positionals } = parseArgs({
+    args: argv,
+    allowPositionals: true,
+    options: {
+      category: { type: 'string', short: 'c', multiple: true },
+      question: { type: 'string', short: 'q', multiple: true },
+      'dry-run': { type: 'boolean' },
+      'retry-failed': { type: 'boolean' },
+      update: { type: 'boolean' },
+      solutions: { type: 'boolean' },
+      submissions: { type: 'boolean' },
+      concurrency: { type: 'string', short: 'j' },
+      'log-level': { type: 'string' },
+      'log-file': { type: 'string' },
+      browser: { type: 'string' },
+      replay: { type: 'string' },
+      capture: { type: 'string' },
+      format: { type: 'string', short: 'f', multiple: true },
+      'path-template': { type: 'string' },
+      out: { type: 'string' },
+      port: { type: 'string' },
+      grade: { type: 'string', multiple: true },
+      fix: { type: 'boolean' },
+      config: { type: 'string' },
+      profile: { type: 'string' },
+      set: { type: 'string', multiple: true },
+      help: { type: 'boolean', short: 'h' },
+    },
+  });
+
+  const command = positionals[0] || 'scrape';
+  if (!COMMANDS.includes(command)) {
+    throw new Error(`Unknown command "${command}". Expected one of: ${COMMANDS.join(', ')}`);
+  }
+
+  const result = {
+    command,
+    categories: values.category || [],
+    questions: values.question || [],
+    dryRun: Boolean(values['dry-run']),
+    retryFailed: Boolean(values['retry-failed']),
+    update: Boolean(values.update),
+    solutions: Boolean(values.solutions),
+    submissions: Boolean(values.submissions),
+    concurrency: values.concurrency === undefined ? null : Number(values.concurrency),
+    logLevel: values['log-level'] || null,
+    logFile: values['log-file'] || null,
+    browser: values.browser || null,
+    replay: values.replay || null,
+    capture: values.capture || null,
+    formats: (values.format || []).flatMap(format => format.split(',')).map(format => format.trim()).filter(Boolean),
+    pathTemplate: values['path-template'] || null,
+    out: values.out || null,
+    port: values.port === undefined ? null : Number(values.port),
+    grades: (values.grade || []).map(parseGrade),
+    fix: Boolean(values.fix),
+    config: values.config || null,
+    profile: values.profile || null,
+    set: values.set || [],
+    help: Boolean(values.help),
+  };
+
+  if (result.replay && result.capture) {
+    throw new Error('--replay and --capture cannot be used together');
+  }
+  if (result.replay && result.command === 'login') {
+    throw new Error('--replay cannot be used with the login command');
+  }
+  if (result.concurrency !== null && !(Number.isInteger(result.concurrency) && result.concurrency >= 1)) {
+    throw new Error(`--concurrency must be a whole number of at least 1, got "${values.concurrency}"`);
+  }
+  if (result.port !== null && !(Number.isInteger(result.port) && result.port >= 1 && result.port <= 65535)) {
+    throw new Error(`--port must be a port number between 1 and 65535, got "${values.port}"`);
+  }
+  if (result.grades.length > 0 && result.command !== 'review') {
+    throw new Error('--grade can only be used with the review command');
+  }
+  if (result.fix && result.command !== 'audit') {
+    throw new Error('--fix can only be used with the audit command');
+  }
+  if (result.update && result.retryFailed) {
+    throw new Error('--update and --retry-failed cannot be used together');
+  }
+
+  return result;
+}
+
+/**
+ * Resolves the requested category names against the known categories (case insensitive)
+ * @param {Array<string>} requested - Category names given on the command line
+ * @param {Array<string>} known - Question categories in AlgoExpert
+ * @returns {Array<string>} the matching categories, or all of `known` when none were requested
+ */
+function resolveCategories(requested, known) {
+  if (requested.length === 0) {
+    return known;
+  }
+
+  return requested.map(name => {
+    const match = known.find(category => category.toLowerCase() === name.trim().toLowerCase());
+    if (!match) {
+      throw new Error(`Unknown category "${name}". Expected one of: ${known.join(', ')}`);
+    }
+    return match;
+  });
+}
+
+/**
+ * Returns the question slug of an AlgoExpert question URL
+ * @param {string} url - e.g. `https://www.algoexpert.io/questions/two-number-sum`
+ * @returns {string} the last path segment of the url, e.g. `two-number-sum`
+ */
+function questionSlug(url) {
+  return new URL(url).pathname.split('/').filter(Boolean).pop() || '';
+}
+
+/**
+ * Converts a glob pattern using `*` and `?` wildcards into a regular expression
+ * @param {string} glob
+ * @returns {RegExp}
+ */
+function globToRegExp(glob) {
+  const escaped = glob.replace(/[.+^${}()|[\]\\]/g, '\\$&');
+  return new RegExp(`^${escaped.replace(/\*/g, '.*').replace(/\?/g, '.')}$`);
+}
+
+/**
+ * Checks if the question URL is selected by any of the given slugs or URL globs
+ * @param {string} url - The question URL
+ * @param {Array<string>} patterns - Question slugs or URL globs, an empty array selects every question
+ * @returns {boolean} true if the question should be scraped
+ */
+function matchesQuestion(url, patterns) {
+  if (patterns.length === 0) {
+    return true;
+  }
+
+  const slug = questionSlug(url);
+  return patterns.some(pattern => {
+    if (/[*?]/.test(pattern)) {
+      const regex = globToRegExp(pattern);
+      return regex.test(url) || regex.test(slug);
+    }
+    return pattern === slug || pattern === url;
+  });
+}
+
+module.exports = {
+  USAGE,
+  parseCliArgs,
+  resolveCategories,
+  questionSlug,
+  matchesQuestion,
+};
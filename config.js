@@ -1,5 +1,88 @@
 
+// Defaults of every option. They can be overridden by a config file (algoexpert.config.json, .yaml or .yml),
+// a profile of that file, ALGOEXPERT_* environment variables & the command line, see settings.js
 module.exports = {
   downloadBasePath: '/path/to/your/download/directory',
-  //... other configuration options
-};
\ No newline at end of file
+  // How the browser is opened:
+  // - cdp: connects to your Chrome started with --remote-debugging-port, to reuse its login session
+  // - persistent: launches Chromium with the profile in profileDir, log in once with the login command
+  // - storage-state: launches Chromium with the session saved in storageState by the login command
+  browserMode: 'cdp',
+  cdpUrl: 'http://127.0.0.1:9222',
+  profileDir: null,
+  storageState: 'auth-state.json',
+  // Hides the launched browsers (not used in cdp mode). The login command always shows the browser
+  headless: true,
+  // Browser launched instead of Playwright's Chromium, e.g. 'chrome' or 'msedge'. null uses Chromium
+  browserChannel: null,
+  baseUrl: 'https://www.algoexpert.io',
+  // Question categories, only used when none are discovered on the questions page
+  categories: [
+    'Arrays',
+    'Binary Search Trees',
+    'Binary Trees',
+    'Dynamic Programming',
+    'Famous Algorithms',
+    'Graphs',
+    'Greedy Algorithms',
+    'Heaps',
+    'Linked Lists',
+    'Recursion',
+    'Searching',
+    'Sorting',
+    'Stacks',
+    'Strings',
+    'Tries',
+  ],
+  // Languages of my solutions: Golang, Java, JavaScript, Python
+  languages: ['Golang', 'Java', 'JavaScript', 'Python'],
+  // State of every question, and the legacy list of URLs to skip imported into it
+  stateFile: 'scrape-state.json',
+  skipFile: 'urls_to_skip.txt',
+  // Directory of each question, relative to downloadBasePath. Placeholders: {category}, {num}, {slug}, {title}
+  pathTemplate: '{category}/{num}-{title}',
+  // Output formats: markdown, json, jsonl, sqlite, html, anki
+  formats: ['markdown'],
+  // Also scrape the official solutions, written explanation & video metadata, same as --solutions
+  solutions: false,
+  // Also export the code saved in the workspace editor of each language, same as --submissions
+  submissions: false,
+  // Number of pages scraping questions at once, same as --concurrency
+  concurrency: 1,
+  // Navigations & clicks allowed per minute across every page, and how many can run back to back
+  requestsPerMinute: 20,
+  burst: 3,
+  // Minimum & maximum random delay before each navigation & click, in milliseconds
+  jitter: [500, 2000],
+  // Minimum level printed to the console: debug, info, warn, error or silent. debug shows every step
+  logLevel: 'info',
+  // Path of a JSON lines log file with every message, including the debug ones. null disables it
+  logFile: null,
+  // Progress line with the current category, question n/m & ETA, drawn when the output is a terminal
+  progress: true,
+  // Timeouts of page loads & of waiting for an element, in milliseconds
+  timeouts: { navigation: 30000, element: 30000 },
+  // Retries of a question. Error kinds: navigation-timeout (the page is reopened), missing-element, parse-error.
+  // An expired login session is never retried, it stops the run
+  retry: {
+    maxAttempts: 3,
+    baseDelay: 2000,   // doubles at every retry
+    maxDelay: 30000,
+    retryOn: ['navigation-timeout', 'missing-element', 'parse-error'],
+  },
+  // Directory of the study site built by build-site & serve, null is study-site in downloadBasePath. Same as --out
+  siteDir: null,
+  // Port of the serve command, same as --port
+  sitePort: 8080,
+  // Limits of the verify command: time of each test case & of compiling a Go or Java solution, in milliseconds,
+  // and memory of a solution process, in megabytes
+  verify: { timeout: 10000, buildTimeout: 120000, memoryMb: 512 },
+  // Study plan of the review command: history file (null is review-history.json in downloadBasePath), questions
+  // never reviewed added each day & size of the daily queue
+  review: { file: null, newPerDay: 3, maxPerDay: 15 },
+  // README.md of each question: a Handlebars style template file, and a directory of partial templates each named
+  // after its file, e.g. partials/summary.md is {{> summary}}. A null template writes the default README.md
+  readme: { template: null, partials: null },
+  // Named sets of overrides, selected with --profile or ALGOEXPERT_PROFILE
+  profiles: {},
+};
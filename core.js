@@ -0,0 +1,818 @@
+const { EventEmitter } = require('events');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const readline = require('readline/promises');
+const selectors = require('./selectors');
+const cli = require('./cli');
+const { BrowserManager } = require('./browser');
+const { PageHandler } = require('./page');
+const { DataExtractor } = require('./extractor');
+const { FileManager, readIfExists } = require('./files');
+const { HarnessGenerator } = require('./harness');
+const { createExporters, renderPathTemplate } = require('./exporters');
+const { StateManifest, STATUS, contentHash } = require('./state');
+const { ChangeTracker } = require('./changes');
+const { ReadmeTemplate } = require('./template');
+const { SelectorError, SelectorResolver } = require('./resolver');
+const { TokenBucket } = require('./ratelimit');
+const { runPool, Sequencer } = require('./pool');
+const { ERROR_KINDS, RetryPolicy, SessionExpiredError } = require('./retry');
+const logger = require('./logger');
+const { Progress } = require('./progress');
+const { RUN_REPORT_FILE, RunReport } = require('./report');
+const { loadConfig } = require('./settings');
+
+/**
+ * Events emitted by the `Scraper`
+ */
+const EVENTS = {
+  // { total, skipped, pages } once the questions to scrape are known
+  RUN_START: 'run:start',
+  // { url, category, num, reason } for a question that is not scraped again
+  QUESTION_SKIP: 'question:skip',
+  // { url, category, num }
+  QUESTION_START: 'question:start',
+  // { url, category, num, kind, error, attempt } before each retry of a question
+  QUESTION_RETRY: 'question:retry',
+  // { url, category, num, title, outputs, changed, record } once the question is exported
+  QUESTION_DONE: 'question:done',
+  // { url, category, num, kind, error } when the question failed, after its retries
+  QUESTION_ERROR: 'question:error',
+  // { report, error } when the run ends, `report` is the content of run-report.json & `error` stopped the run early
+  RUN_END: 'run:end',
+};
+
+/**
+ * Primary class that runs the AlgoExpert scraper. Emits the `EVENTS` with structured data,
+ * so other tools can follow a run without parsing its output
+ * @typedef {Object} Scraper
+ * @property {BrowserManager} browserManager
+ * @property {PageHandler} pageHandler
+ * @property {DataExtractor} dataExtractor
+ * @property {FileManager} fileManager
+ * @property {StateManifest} state - Per-question state manifest
+ * @property {string} outputDir - Directory the questions are written to, a temporary one for replays
+ * @property {TokenBucket} rateLimiter - Rate limiter shared by every page
+ * @property {RunReport} report - Summary of the run
+ * @property {ReadmeTemplate|null} readmeTemplate - Template of the README.md of each question, null for the default one
+ * @property {Object} config - The options, see config.js
+ */
+class Scraper extends EventEmitter {
+  /**
+   * @param {Object} [options]
+   * @param {Array<string>} [options.categories] - Names of the categories to scrape, defaults to every discovered category
+   * @param {Array<string>} [options.questions] - Question slugs or URL globs to scrape, defaults to every question
+   * @param {boolean} [options.dryRun=false] - Only print what would be downloaded or skipped
+   * @param {string} [options.replayDir] - Replay captured HTML snapshots from this directory instead of the live site
+   * @param {string} [options.captureDir] - Save the HTML of every visited page to this directory
+   * @param {string} [options.outputDir] - Directory the questions, changelog & run report are written to, defaults to the
+   *   `downloadBasePath` option. Replays default to a new temporary directory, so they never touch the archive of real runs
+   * @param {Object} [options.config] - Options loaded with `loadConfig`, defaults to config.js, the config file &
+   *   the `ALGOEXPERT_*` environment variables
+   * @param {Array<string>} [options.formats] - Output formats, defaults to the `formats` option
+   * @param {string} [options.pathTemplate] - Directory of each question, defaults to the `pathTemplate` option
+   * @param {boolean} [options.retryFailed=false] - Only scrape the questions that failed or were interrupted
+   * @param {boolean} [options.update=false] - Scrape the questions already done again, and write a changelog of what changed
+   * @param {boolean} [options.solutions] - Also scrape the official solutions, written explanation & video metadata
+   * @param {boolean} [options.submissions] - Also export the code saved in the workspace editor for each language
+   * @param {number} [options.concurrency] - Number of pages scraping questions at once
+   * @param {Object} [options.retry] - Options of the `RetryPolicy`, defaults to the `retry` option
+   * @param {boolean} [options.progress] - Draw the progress line when the output is a terminal
+   */
+  constructor({
+    categories = [], questions = [], dryRun = false, replayDir = null, captureDir = null,
+    config = loadConfig({ checkDownloadPath: false }).config,
+    outputDir = replayDir ? fs.mkdtempSync(path.join(os.tmpdir(), 'algoexpert-replay-')) : config.downloadBasePath,
+    formats = config.formats, pathTemplate = config.pathTemplate, retryFailed = false, update = false,
+    solutions = config.solutions, submissions = config.submissions, concurrency = config.concurrency,
+    retry = config.retry, progress = config.progress,
+  } = {}) {
+    super();
+    this.config = config;
+    this.browserManager = new BrowserManager();
+    this.pageHandler = null; // Will be initialized after browser connection
+    this.dataExtractor = new DataExtractor();
+    this.fileManager = new FileManager();
+    this.harnessGenerator = new HarnessGenerator();
+    // Replays keep their state in memory, so they never skip questions or touch the manifest of real runs
+    this.state = new StateManifest(replayDir ? null : config.stateFile, { skipFile: config.skipFile });
+    this.baseUrl = config.baseUrl.replace(/\/+$/, '');
+    this.startUrl = `${this.baseUrl}/questions`;
+    this.requestedCategories = categories;
+    this.categories = null; // Will be resolved after the categories are discovered
+    this.questionFilters = questions;
+    this.dryRun = dryRun;
+    this.replayDir = replayDir;
+    this.outputDir = outputDir;
+    // Real runs keep their report in the working directory, next to the state file
+    this.reportFile = replayDir ? path.join(outputDir, RUN_REPORT_FILE) : RUN_REPORT_FILE;
+    this.captureDir = captureDir;
+    this.pathTemplate = pathTemplate;
+    this.retryFailed = retryFailed;
+    this.update = update;
+    this.solutions = solutions;
+    this.submissions = submissions;
+    this.concurrency = concurrency;
+    // Shared by every page, the pace of the requests does not grow with the concurrency
+    this.rateLimiter = new TokenBucket({ ratePerMinute: config.requestsPerMinute, burst: config.burst });
+    this.jitter = config.jitter;
+    this.resolver = new SelectorResolver();
+    this.retryPolicy = new RetryPolicy(retry);
+    this.timeouts = config.timeouts;
+    this.report = new RunReport();
+    this.progress = new Progress({ enabled: progress });
+    this.changeTracker = new ChangeTracker();
+    // null writes the default README.md
+    this.readmeTemplate = config.readme.template ? new ReadmeTemplate({
+      template: config.readme.template,
+      partials: config.readme.partials,
+      archiveDir: this.outputDir,
+      languages: config.languages,
+    }) : null;
+    this.exporters = createExporters(formats, {
+      outputDir: this.outputDir,
+      fileManager: this.fileManager,
+      harnessGenerator: this.harnessGenerator,
+      languages: config.languages,
+    });
+
+    // Fail before connecting to the browser when the template has an unknown placeholder
+    renderPathTemplate(this.pathTemplate, {});
+  }
+
+  /**
+   * Connects to the browser, loads the already scraped URLs and goes to the questions page
+   */
+  async start() {
+    // Fail before connecting to the browser when the README template has a mistake
+    if (this.readmeTemplate) {
+      await this.readmeTemplate.load();
+    }
+
+    if (this.replayDir) {
+      const page = await this.browserManager.launchReplay(this.replayDir);
+      logger.info(`Writing the replayed questions to ${this.outputDir}`);
+      this.pageHandler = this.createPageHandler(page);
+    } else {
+      // Init pageHandler
+      const page = await this.browserManager.open(this.config);
+      this.pageHandler = this.createPageHandler(page);
+    }
+
+    await this.state.load();
+    logger.info('Loaded the state of the questions already scraped');
+
+    // Start at the questions URL
+    await this.pageHandler.goToUrl(this.startUrl);
+    await this.capturePage();
+  }
+
+  /**
+   * Creates the page handler of a page. Every page shares the rate limiter & the selector resolver
+   * @param {import('playwright').Page} page
+   * @returns {PageHandler}
+   */
+  createPageHandler(page) {
+    return new PageHandler(page, {
+      waits: !this.replayDir, rateLimiter: this.rateLimiter, jitter: this.jitter, resolver: this.resolver,
+      timeouts: this.timeouts, newPage: () => this.browserManager.newPage(),
+    });
+  }
+
+  /**
+   * Saves the HTML of the current page when running with `--capture`
+   * @param {PageHandler} [pageHandler] - The page to save, defaults to the first page
+   */
+  async capturePage(pageHandler = this.pageHandler) {
+    if (!this.captureDir) {
+      return;
+    }
+
+    const html = await pageHandler.getPageHtml();
+    await this.fileManager.saveFixture(this.captureDir, pageHandler.getCurrentUrl(), html);
+  }
+
+  /**
+   * Runs the AlgoExpert scraper and orchestrates actions
+   */
+  async run() {
+    let stoppedBy = null;
+    try {
+      await this.start();
+      await this.scrapeAll();
+    } catch (error) {
+      stoppedBy = error;
+      throw error;
+    } finally {
+      // Also closed when an expired session stops the run, or the process would stay connected
+      await this.browserManager.closeBrowser();
+      this.notify(EVENTS.RUN_END, { report: this.report.toJSON(), error: stoppedBy });
+    }
+  }
+
+  /**
+   * Emits an event. A listener that throws is logged, it never stops the run
+   * @param {string} event - One of `EVENTS`
+   * @param {Object} data
+   */
+  notify(event, data) {
+    try {
+      this.emit(event, data);
+    } catch (error) {
+      logger.warn(`A "${event}" listener failed: ${error.message}`);
+    }
+  }
+
+  /**
+   * Collects the questions, scrapes them & writes the consolidated outputs
+   */
+  async scrapeAll() {
+    const questionsByCategory = await this.collectQuestions();
+
+    if (this.dryRun) {
+      this.printQuestions(questionsByCategory);
+      return;
+    }
+
+    // Stores the discovered categories & question order, even when every question is skipped
+    await this.state.save();
+
+    for (const exporter of this.exporters) {
+      await exporter.begin();
+    }
+
+    if (this.update) {
+      this.detectRemovedQuestions(questionsByCategory);
+    }
+
+    let stoppedBy = null;
+    try {
+      await this.scrapeQuestions(questionsByCategory);
+    } catch (error) {
+      stoppedBy = error;
+      throw error;
+    } finally {
+      // Consolidated outputs & the report are written even when the run stops early
+      for (const exporter of this.exporters) {
+        await exporter.finish();
+      }
+
+      if (this.update) {
+        await this.changeTracker.writeChangelog(path.join(this.outputDir, 'changelog.md'));
+      }
+
+      await this.writeReport(stoppedBy);
+    }
+  }
+
+  /**
+   * Logs the summary table of the run & saves it to run-report.json
+   * @param {Error|null} stoppedBy - The error that stopped the run early
+   */
+  async writeReport(stoppedBy) {
+    this.report.finish(stoppedBy);
+    logger.info(`\nRun summary\n\n${this.report.toTable()}\n`);
+
+    await this.report.write(this.reportFile);
+    logger.info(`-- Run report saved at path ${this.reportFile}`, this.report.totals());
+  }
+
+  /**
+   * Discovers the categories, gets the questions of the selected ones and assigns their folder numbers.
+   * Categories & questions that changed since the last run are reported
+   * @returns {Promise<Map<string, Array<string>>>} Map containing all question URLs by categories
+   */
+  async collectQuestions() {
+    let discovered = await this.dataExtractor.discoverCategories(this.pageHandler);
+    if (discovered.length === 0) {
+      logger.warn('No categories found on the questions page, falling back to the built-in category list\n');
+      discovered = this.config.categories;
+    } else {
+      // Compared with every category of the last run's page, not the ones it scraped, so -c runs report no drift
+      this.reportCategoryDrift(this.state.discoveredCategories, discovered);
+      this.state.discoveredCategories = discovered;
+    }
+
+    this.categories = cli.resolveCategories(this.requestedCategories, discovered);
+
+    const questionsByCategory = await this.dataExtractor.getQuestionsByCategory(
+      this.pageHandler, this.categories, this.baseUrl);
+
+    for (const [category, urls] of questionsByCategory) {
+      const added = this.state.assignQuestionOrder(category, urls);
+      if (added.length > 0) {
+        logger.info(`-- ${added.length} new question(s) in ${category}: ${added.map(cli.questionSlug).join(', ')}`);
+      }
+    }
+    return questionsByCategory;
+  }
+
+  /**
+   * Prints the categories added or removed since the last run
+   * @param {Array<string>} previous - Categories found on the questions page by the last run, empty on the first run
+   * @param {Array<string>} current - Categories found in this run
+   */
+  reportCategoryDrift(previous, current) {
+    if (previous.length === 0) {
+      return;
+    }
+
+    const added = current.filter(category => !previous.includes(category));
+    const removed = previous.filter(category => !current.includes(category));
+    if (added.length === 0 && removed.length === 0) {
+      logger.info('-- Categories unchanged since the last run\n');
+      return;
+    }
+
+    if (added.length > 0) {
+      logger.warn(`-- New categories since the last run: ${added.join(', ')}`);
+    }
+    if (removed.length > 0) {
+      logger.warn(`-- Categories missing since the last run (renamed or removed?): ${removed.join(', ')}`);
+    }
+  }
+
+  /**
+   * @typedef {Object} QuestionJob
+   * @property {string} category - The category the question is scraped from
+   * @property {string} url - The question URL
+   * @property {number} num - Position of the question in its category
+   */
+
+  /**
+   * Scrapes the questions of every category on `concurrency` pages & passes them to the exporters.
+   * Questions are exported in the order they are listed, whichever page finishes first
+   * @param {Map<string, Array<string>>} questionsByCategory - Map containing all question URLs by categories
+   */
+  async scrapeQuestions(questionsByCategory) {
+    const jobs = [];
+    for (const [category, urls] of questionsByCategory) {
+      for (const url of urls) {
+        if (!cli.matchesQuestion(url, this.questionFilters)) {
+          continue;
+        }
+
+        // Numbers are stored in the state manifest, so they stay the same when questions are inserted
+        const num = this.state.questionNumber(category, url);
+        if (!this.shouldScrape(url)) {
+          logger.debug(`-- Skipping ${category} Question ${num}, question has already been scraped \n`, { url, category });
+          this.report.count(category, 'skipped');
+          this.notify(EVENTS.QUESTION_SKIP, { url, category, num, reason: 'already scraped' });
+          continue; // Skip if already scraped
+        }
+        jobs.push({ category, url, num });
+      }
+    }
+
+    const pageHandlers = [this.pageHandler];
+    while (pageHandlers.length < Math.min(this.concurrency, jobs.length)) {
+      pageHandlers.push(this.createPageHandler(await this.browserManager.newPage()));
+    }
+    if (pageHandlers.length > 1) {
+      logger.info(`Scraping ${jobs.length} question(s) on ${pageHandlers.length} pages\n`);
+    }
+
+    this.notify(EVENTS.RUN_START, {
+      total: jobs.length, skipped: this.report.totals().skipped, pages: pageHandlers.length,
+    });
+
+    const sequencer = new Sequencer();
+    this.progress.start(jobs.length);
+    try {
+      await runPool(jobs, pageHandlers.length, async (job, idx, workerIdx) => {
+        let record = null;
+        try {
+          record = await this.scrapeQuestion(job, pageHandlers[workerIdx]);
+        } finally {
+          // Every position must be run, or the questions after it are never exported
+          await sequencer.run(idx, () => record ? this.exportQuestion(record) : null);
+        }
+      });
+    } finally {
+      this.progress.stop();
+      for (const pageHandler of pageHandlers.slice(1)) {
+        await pageHandler.page.close();
+      }
+    }
+  }
+
+  /**
+   * Scrapes a question
+   * @param {QuestionJob} job - The question to scrape
+   * @param {PageHandler} pageHandler - The page to scrape it on
+   * @returns {Promise<import('./exporters').QuestionRecord|null>} the scraped question, null when it failed
+   */
+  async scrapeQuestion({ category, url, num }, pageHandler) {
+    logger.info(`-- Scraping ${category} Question ${num} ---\n`, { url, category, num });
+    this.progress.questionStarted(category);
+    this.notify(EVENTS.QUESTION_START, { url, category, num });
+    await this.state.markPending(url, category, num);
+
+    try {
+      // Every attempt navigates to the question again, which reloads the page
+      return await this.retryPolicy.run(() => this.extractQuestion({ category, url, num }, pageHandler), {
+        onRetry: async (kind, error, attempt) => {
+          this.notify(EVENTS.QUESTION_RETRY, { url, category, num, kind, error, attempt });
+          if (kind === ERROR_KINDS.NAVIGATION_TIMEOUT) {
+            await pageHandler.reopen();
+          }
+        },
+      });
+    } catch (error) {
+      if (error instanceof SessionExpiredError) {
+        throw error; // The question stays pending, so the next run resumes it
+      }
+      logger.error(`Error processing URL ${url} (${error.kind}): ${error}. Skipping and moving to next URL`,
+        { url, category, kind: error.kind });
+      await this.state.markFailed(url, error);
+      this.report.fail(category, url, error);
+      this.progress.questionFinished(false);
+      this.notify(EVENTS.QUESTION_ERROR, { url, category, num, kind: error.kind, error });
+      return null;
+    }
+  }
+
+  /**
+   * Extracts a question & builds its record
+   * @param {QuestionJob} job - The question to scrape
+   * @param {PageHandler} pageHandler - The page to scrape it on
+   * @returns {Promise<import('./exporters').QuestionRecord>} the scraped question
+   */
+  async extractQuestion({ category, url, num }, pageHandler) {
+    await pageHandler.goToUrl(url);
+
+    const questionData = await this.dataExtractor.extractQuestionData(pageHandler);
+
+    // An empty title or description is usually a page that did not finish rendering, so it is retried
+    if (!questionData.title) {
+      throw new SelectorError(selectors.questionTitle, 'matched an empty element');
+    }
+    if (!questionData.description) {
+      throw new SelectorError(selectors.questionPrompt, 'has no description');
+    }
+
+    const metadata = await this.dataExtractor.extractQuestionMetadata(pageHandler, category);
+    Object.assign(questionData, metadata, { hints: [...questionData.hints, ...metadata.hints] });
+
+    // Get testcase data
+    const testcases = await this.dataExtractor.extractTestCases(pageHandler);
+
+    // Captured after the testcases are expanded, so the snapshot holds everything the extractor reads
+    await this.capturePage(pageHandler);
+
+    // Read before the solutions tab is opened, the code is run in the workspace
+    const submissions = this.submissions
+      ? await this.dataExtractor.extractSubmissions(pageHandler, this.config.languages) : null;
+    questionData.submissions = submissions;
+
+    const solutions = this.solutions ? await this.dataExtractor.extractSolutions(pageHandler, this.config.languages) : null;
+    questionData.video = solutions ? solutions.video : null;
+
+    // Construct markdown content
+    const slug = cli.questionSlug(url);
+    const questionPath = this.questionPath(category, num, url, questionData.title);
+    if (submissions) {
+      await this.placeSubmissions(submissions, questionPath, questionData.title, testcases);
+    }
+    const meta = this.dataExtractor.generateQuestionMeta(questionData, url);
+    const readme = this.readmeTemplate ? {
+      template: this.readmeTemplate,
+      context: await this.readmeTemplate.context({
+        url, slug, category, num, path: questionPath, title: questionData.title, testcases,
+      }),
+    } : null;
+    const markdownContent = this.dataExtractor.generateQuestionMarkdown(questionData, meta, readme);
+    const defaultMarkdown = readme ? this.dataExtractor.generateQuestionMarkdown(questionData, meta) : markdownContent;
+
+    return {
+      url,
+      slug,
+      category,
+      num,
+      path: questionPath,
+      question: questionData,
+      testcases,
+      meta,
+      markdown: markdownContent,
+      defaultMarkdown,
+      solutions,
+      submissions,
+    };
+  }
+
+  /**
+   * Picks the file each submission is written to. The solution file is only replaced while it is missing or still the
+   * generated stub: the user's own code is kept, and the workspace code saved next to it, e.g. `Python/solution.workspace.py`
+   * @param {Object<string, import('./extractor').Submission>} submissions - Updated in place
+   * @param {string} questionPath - Question directory, relative to the output directory
+   * @param {string} title - The question title
+   * @param {Array<import('./extractor').TestCase>} testcases
+   */
+  async placeSubmissions(submissions, questionPath, title, testcases) {
+    const stubs = this.harnessGenerator.generatedVersions(title, this.config.languages, testcases);
+
+    for (const [language, submission] of Object.entries(submissions)) {
+      const local = await readIfExists(path.join(this.outputDir, questionPath, submission.file));
+      if (local === null || (stubs.get(submission.file) || []).includes(local) || local.trimEnd() === submission.code.trimEnd()) {
+        continue;
+      }
+      const { dir, name, ext } = path.posix.parse(submission.file);
+      submission.file = `${dir}/${name}.workspace${ext}`;
+      logger.warn(`-- ${questionPath}/${dir}/${name}${ext} holds your own code, the ${language} workspace code is saved to ${submission.file}`);
+    }
+  }
+
+  /**
+   * Passes a scraped question to the exporters & marks it as done
+   * @param {import('./exporters').QuestionRecord} record - The scraped question
+   */
+  async exportQuestion(record) {
+    try {
+      logger.debug('Starting Step: File Handling');
+      if (this.update) {
+        await this.changeTracker.compareQuestion(record, this.state.get(record.url), this.outputDir);
+      }
+
+      const outputs = [];
+      for (const exporter of this.exporters) {
+        outputs.push(...await exporter.exportQuestion(record));
+      }
+
+      // Changed when it was scraped before with another content
+      const previousHash = (this.state.get(record.url) || {}).contentHash;
+      const hash = contentHash(record.defaultMarkdown, record.testcases);
+      await this.state.markDone(record.url, outputs, hash);
+
+      const changed = Boolean(previousHash && previousHash !== hash);
+      this.report.count(record.category, 'scraped');
+      if (changed) {
+        this.report.count(record.category, 'changed');
+      }
+      logger.info(`-- Saved ${record.category} Question ${record.num}: ${record.question.title}`,
+        { url: record.url, category: record.category, num: record.num, outputs });
+      this.progress.questionFinished(true);
+      this.notify(EVENTS.QUESTION_DONE, {
+        url: record.url, category: record.category, num: record.num, title: record.question.title, outputs, changed, record,
+      });
+    } catch (error) {
+      logger.error(`Error saving URL ${record.url}: ${error}`, { url: record.url, category: record.category });
+      await this.state.markFailed(record.url, error);
+      this.report.fail(record.category, record.url, error);
+      this.progress.questionFinished(false);
+      this.notify(EVENTS.QUESTION_ERROR, {
+        url: record.url, category: record.category, num: record.num, kind: error.kind || null, error,
+      });
+    }
+  }
+
+  /**
+   * Checks if a question should be scraped in this run
+   * @param {string} url - The question URL
+   * @returns {boolean} true for questions not done yet, only failed & interrupted ones with `--retry-failed`, every question with `--update`
+   */
+  shouldScrape(url) {
+    if (this.update) {
+      return true;
+    }
+    if (this.retryFailed) {
+      return this.state.needsRetry(url);
+    }
+    return !this.state.isDone(url);
+  }
+
+  /**
+   * Records the questions done in a previous run that are no longer listed in their category.
+   * Skipped when questions are filtered, since the unselected questions would all look removed
+   * @param {Map<string, Array<string>>} questionsByCategory - Map containing all question URLs by categories
+   */
+  detectRemovedQuestions(questionsByCategory) {
+    if (this.questionFilters.length > 0) {
+      return;
+    }
+
+    const listed = new Set([...questionsByCategory.values()].flat());
+    for (const question of this.state.questions.values()) {
+      if (this.categories.includes(question.category) && question.status === STATUS.DONE && !listed.has(question.url)) {
+        this.changeTracker.markRemoved(question);
+      }
+    }
+  }
+
+  /**
+   * Builds the directory of a question with the path template
+   * @param {string} category - The question category
+   * @param {number} questionNum - Position of the question in its category
+   * @param {string} url - The question URL
+   * @param {string} title - The question title
+   * @returns {string} the question directory, relative to the download directory
+   */
+  questionPath(category, questionNum, url, title) {
+    const rendered = renderPathTemplate(this.pathTemplate, {
+      category,
+      num: String(questionNum).padStart(2, '0'),
+      slug: cli.questionSlug(url),
+      title: title.replace(/\s+/g, '-'),
+    });
+    return path.normalize(rendered);
+  }
+
+  /**
+   * Opens a visible browser to log in to AlgoExpert, then saves the session to the `storageState` file.
+   * With a persistent profile, the profile keeps the session too
+   */
+  async login() {
+    const page = await this.browserManager.open(this.config, { headless: false, requireStorageState: false });
+    const pageHandler = this.createPageHandler(page);
+
+    try {
+      await page.goto(this.startUrl, { timeout: this.timeouts.navigation });
+
+      const prompt = readline.createInterface({ input: process.stdin, output: process.stdout });
+      await prompt.question('Log in to AlgoExpert in the browser window, then press Enter to save the session ');
+      prompt.close();
+
+      // Redirects to the login page when the login did not go through
+      await pageHandler.goToUrl(this.startUrl);
+      await this.browserManager.saveStorageState(this.config.storageState);
+      logger.info(`** Success! ** - saved the login session to ${this.config.storageState}\n`);
+    } finally {
+      await this.browserManager.closeBrowser();
+    }
+  }
+
+  /**
+   * Lists the questions of every selected category
+   */
+  async list() {
+    await this.start();
+
+    const questionsByCategory = await this.collectQuestions();
+    this.printQuestions(questionsByCategory);
+
+    await this.browserManager.closeBrowser();
+  }
+
+  /**
+   * Prints the selected questions of each category, and whether they would be downloaded or skipped
+   * @param {Map<string, Array<string>>} questionsByCategory - Map containing all question URLs by categories
+   */
+  printQuestions(questionsByCategory) {
+    let toDownload = 0;
+    let toSkip = 0;
+
+    for (const [category, urls] of questionsByCategory) {
+      console.log(`${category} (${urls.length} questions)`);
+
+      urls.forEach(url => {
+        if (!cli.matchesQuestion(url, this.questionFilters)) {
+          return;
+        }
+
+        const scrape = this.shouldScrape(url);
+        scrape ? toDownload++ : toSkip++;
+
+        const num = String(this.state.questionNumber(category, url)).padStart(2, '0');
+        const action = !scrape ? 'skip    ' : this.state.needsRetry(url) ? 'retry   ' : 'download';
+        console.log(`  ${action} ${num} ${cli.questionSlug(url)}`);
+      });
+      console.log('');
+    }
+
+    console.log(`${toDownload} question(s) to download, ${toSkip} question(s) to skip\n`);
+  }
+
+  /**
+   * @typedef {Object} SelectorCheck
+   * @property {string} name - Name of the selector
+   * @property {'OK'|'FALLBACK'|'MISSING'|'FAIL'} status - `FALLBACK` when only a fallback candidate matched,
+   *   `MISSING` when an optional selector matched nothing, `FAIL` when a required one matched nothing
+   * @property {string|null} candidate - The first candidate that matched
+   * @property {Array<{candidate: string, count: number}>} counts - Elements matched by each candidate
+   */
+
+  /**
+   * Checks every selector against the questions page & a question page, and prints which ones fail.
+   * The question is the first one selected with `--question`, or the first question on the page
+   * @returns {Promise<Array<SelectorCheck>>} the result of each check
+   */
+  async doctor() {
+    await this.start();
+    const checks = [];
+
+    const check = async (selector, { hasText, scope, optional = false } = {}) => {
+      const counts = await this.pageHandler.inspectSelector(selector, { hasText, scope });
+      const matched = counts.find(result => result.count > 0);
+      const status = !matched ? (optional ? 'MISSING' : 'FAIL') : matched === counts[0] ? 'OK' : 'FALLBACK';
+      checks.push({ name: selector.name, status, candidate: matched ? matched.candidate : null, counts });
+      return Boolean(matched);
+    };
+
+    // Questions page
+    await check(selectors.questionLink);
+    const categories = await this.dataExtractor.discoverCategories(this.pageHandler);
+    if (categories.length > 0) {
+      await check(selectors.questionByCategory(categories[0]));
+    }
+
+    const links = await this.pageHandler.getElements(selectors.questionLink);
+    const urls = [];
+    for (const link of links) {
+      urls.push(`${this.baseUrl}${await this.pageHandler.getElementHref(link)}`);
+    }
+    const url = urls.find(questionUrl => cli.matchesQuestion(questionUrl, this.questionFilters));
+
+    if (url) {
+      // Question page
+      await this.pageHandler.goToUrl(url);
+      await check(selectors.questionTitle);
+      await check(selectors.questionPrompt);
+      await check(selectors.questionDifficulty, { optional: true });
+      await check(selectors.questionTags, { optional: true });
+      await check(selectors.hintButton, { hasText: selectors.hintButtonTxt(1), optional: true });
+      await check(selectors.hintButton, { hasText: selectors.complexityButtonTxt, optional: true });
+
+      if (await check(selectors.runButton, { hasText: selectors.runButtonTxt })) {
+        await this.pageHandler.clickElemenWithText(selectors.runButton, selectors.runButtonTxt);
+        await this.pageHandler.waitForElement(selectors.testcaseData);
+        await check(selectors.collapseTestcase, { optional: true });
+
+        if (await check(selectors.testcaseData)) {
+          const [firstTestcase] = await this.pageHandler.getElements(selectors.testcaseData);
+          await check(selectors.testcaseDataNested, { scope: firstTestcase });
+        }
+      }
+
+      // Solutions are only checked when they are scraped, they depend on the account access
+      if (this.solutions && await check(selectors.tabButton, { hasText: selectors.solutionsTabTxt, optional: true })) {
+        await this.pageHandler.clickElemenWithText(selectors.tabButton, selectors.solutionsTabTxt);
+        await check(selectors.solutionCode, { optional: true });
+        await check(selectors.solutionExplanation, { optional: true });
+        await check(selectors.tabButton, { hasText: selectors.videoTabTxt, optional: true });
+      }
+    } else {
+      logger.warn('No question found to check the question page selectors against\n');
+    }
+
+    this.printSelectorChecks(checks, url);
+    await this.browserManager.closeBrowser();
+    return checks;
+  }
+
+  /**
+   * Prints the doctor report
+   * @param {Array<SelectorCheck>} checks
+   * @param {string} [url] - The question page the selectors were checked against
+   */
+  printSelectorChecks(checks, url) {
+    console.log(`\nSelector report${url ? ` (question page: ${url})` : ''}\n`);
+
+    for (const { name, status, candidate, counts } of checks) {
+      const matched = candidate ? `${candidate} (${counts.find(result => result.candidate === candidate).count})` : '-';
+      console.log(`  ${status.padEnd(8)} ${name.padEnd(20)} ${matched}`);
+
+      if (status === 'FAIL' || status === 'FALLBACK') {
+        for (const result of counts) {
+          console.log(`           ${''.padEnd(20)} ${String(result.count).padStart(3)} x ${result.candidate}`);
+        }
+      }
+    }
+
+    const failed = checks.filter(({ status }) => status === 'FAIL').length;
+    const fallbacks = checks.filter(({ status }) => status === 'FALLBACK').length;
+    console.log(`\n${failed} failing selector(s), ${fallbacks} selector(s) only working through a fallback\n`);
+  }
+
+  /**
+   * Prints the number of questions by status from the state manifest, and the error of each failed question
+   */
+  async status() {
+    await this.state.load();
+
+    const known = this.state.knownCategories();
+    this.categories = cli.resolveCategories(this.requestedCategories, known.length > 0 ? known : this.config.categories);
+
+    const counts = this.state.countByStatus();
+    console.log(`${counts[STATUS.DONE]} done, ${counts[STATUS.FAILED]} failed, ${counts[STATUS.PENDING]} pending\n`);
+
+    const questions = [...this.state.questions.values()];
+    for (const category of this.categories) {
+      const inCategory = questions.filter(question => question.category === category);
+      const done = inCategory.filter(question => question.status === STATUS.DONE).length;
+      console.log(`${category}: ${done} question(s) done, ${inCategory.length - done} still need work`);
+    }
+
+    const unfinished = questions.filter(question => question.status !== STATUS.DONE);
+    if (unfinished.length > 0) {
+      console.log('\nQuestions that still need work (scrape them with --retry-failed):');
+      for (const question of unfinished) {
+        console.log(`  ${question.status.padEnd(7)} ${question.url}${question.error ? ` - ${question.errorKind ? `${question.errorKind}: ` : ''}${question.error}` : ''}`);
+      }
+    }
+  }
+}
+
+module.exports = {
+  EVENTS,
+  Scraper,
+};
@@ -0,0 +1,593 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { marked } = require('marked');
+const { readIfExists, writeFileAtomic } = require('./files');
+const { officialSolutionFiles } = require('./solutions');
+const logger = require('./logger');
+
+/**
+ * Placeholders available in the path template, e.g. `{category}/{num}-{slug}`
+ */
+const PATH_TEMPLATE_KEYS = ['category', 'num', 'slug', 'title'];
+
+/**
+ * @typedef {Object} QuestionRecord
+ * @property {string} url - The question URL
+ * @property {string} slug - The question slug, e.g. `two-number-sum`
+ * @property {string} category - The category the question was scraped from
+ * @property {number} num - Position of the question in its category, starting at 1
+ * @property {string} path - Question directory relative to the output directory, built with the path template
+ * @property {import('./extractor').CodingQuestion} question - The scraped question
+ * @property {Array<import('./extractor').TestCase>} testcases - The scraped testcases
+ * @property {Object} meta - The question metadata, as saved in meta.json
+ * @property {string} markdown - The README.md content
+ * @property {string} defaultMarkdown - The README.md in the default layout, the same as `markdown` without a README
+ *   template. Hashed to tell if the question changed, whatever the template shows of the user's solutions
+ * @property {import('./solutions').OfficialSolutions|null} [solutions] - The official solutions, when they are scraped
+ * @property {Object<string, import('./extractor').Submission>|null} [submissions] - The code saved in the workspace, when it is exported
+ */
+
+/**
+ * Builds a path from the template, replacing every `{placeholder}` with its value
+ * @param {string} template - e.g. `{category}/{num}-{slug}`
+ * @param {Object<string, string|number>} values - Value of each placeholder
+ * @returns {string} the rendered path
+ */
+function renderPathTemplate(template, values) {
+  return template.replace(/\{(\w+)\}/g, (placeholder, key) => {
+    if (!PATH_TEMPLATE_KEYS.includes(key)) {
+      throw new Error(`Unknown placeholder ${placeholder} in path template "${template}". ` +
+        `Expected one of: ${PATH_TEMPLATE_KEYS.map(name => `{${name}}`).join(', ')}`);
+    }
+    // Values must not add directory levels or characters that are invalid in file names
+    return String(values[key]).replace(/[/\\:*?"<>|]/g, '-');
+  });
+}
+
+/**
+ * Escapes text so it can be placed in HTML
+ * @param {string} text
+ * @returns {string}
+ */
+function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+/**
+ * Removes the YAML front matter of a markdown file
+ * @param {string} markdown
+ * @returns {string}
+ */
+function stripFrontMatter(markdown) {
+  return markdown.replace(/^---\n[\s\S]*?\n---\n/, '');
+}
+
+/**
+ * Base class of the output formats. Exporters receive every scraped question & may write
+ * consolidated outputs once the run ends
+ * @typedef {Object} Exporter
+ * @property {string} outputDir - Directory the exporter writes to
+ */
+class Exporter {
+  /**
+   * @param {Object} options
+   * @param {string} options.outputDir - Directory the exporter writes to
+   */
+  constructor({ outputDir }) {
+    this.outputDir = outputDir;
+  }
+
+  /**
+   * Called once before the first question is exported
+   */
+  async begin() {}
+
+  /**
+   * Called for every scraped question
+   * @param {QuestionRecord} record
+   * @returns {Promise<Array<string>>} paths of the files the question is written to
+   */
+  async exportQuestion(record) {
+    return [];
+  }
+
+  /**
+   * Called once after the last question, even when the run stops with an error
+   */
+  async finish() {}
+}
+
+/**
+ * Writes the README.md, testcases.json, meta.json & language directories of every question
+ * @typedef {Object} MarkdownExporter
+ */
+class MarkdownExporter extends Exporter {
+  /**
+   * @param {Object} options
+   * @param {string} options.outputDir - Directory the question directories are created in
+   * @param {import('./files').FileManager} options.fileManager - The fileManager component
+   * @param {import('./harness').HarnessGenerator} options.harnessGenerator - Generates the test harness of each language
+   * @param {Array<string>} options.languages - Languages to create a directory for
+   */
+  constructor({ outputDir, fileManager, harnessGenerator, languages }) {
+    super({ outputDir });
+    this.fileManager = fileManager;
+    this.harnessGenerator = harnessGenerator;
+    this.languages = languages;
+  }
+
+  async exportQuestion(record) {
+    const dirPath = path.join(this.outputDir, record.path);
+
+    // Create question directory if not existing
+    await this.fileManager.createDirectory(dirPath);
+
+    // Create the coding languages subdirectories for the question
+    for (const language of this.languages) {
+      await this.fileManager.createDirectory(path.join(dirPath, language));
+    }
+
+    const outputs = [
+      path.join(dirPath, 'README.md'),
+      path.join(dirPath, 'testcases.json'),
+      path.join(dirPath, 'meta.json'),
+    ];
+    await this.fileManager.saveMarkdown(outputs[0], record.markdown);
+    await this.fileManager.saveJson(outputs[1], record.testcases);
+    await this.fileManager.saveJson(outputs[2], record.meta);
+
+    // The code saved in the workspace, written to the file picked by `Scraper.placeSubmissions`
+    for (const submission of Object.values(record.submissions || {})) {
+      const filePath = path.join(dirPath, submission.file);
+      await this.fileManager.saveFile(filePath, submission.code.endsWith('\n') ? submission.code : `${submission.code}\n`);
+      outputs.push(filePath);
+    }
+
+    // Solution stubs & test runners for each language, never overwriting the user's files
+    const harnessFiles = this.harnessGenerator.generateFiles(record.question.title, this.languages, record.testcases);
+    for (const [relativePath, content] of harnessFiles) {
+      await this.fileManager.saveFileIfMissing(path.join(dirPath, relativePath), content);
+    }
+
+    // Official solutions are saved next to the user's files, under names the harness never uses
+    if (record.solutions) {
+      for (const [relativePath, content] of officialSolutionFiles(record.solutions)) {
+        const filePath = path.join(dirPath, relativePath);
+        await this.fileManager.saveFile(filePath, content);
+        outputs.push(filePath);
+      }
+      if (record.solutions.explanation) {
+        const filePath = path.join(dirPath, 'explanation.md');
+        await this.fileManager.saveMarkdown(filePath, `${record.solutions.explanation}\n`);
+        outputs.push(filePath);
+      }
+    }
+    return outputs;
+  }
+}
+
+/**
+ * Flattens a question record into a single dataset entry
+ * @param {QuestionRecord} record
+ * @returns {Object}
+ */
+function datasetEntry(record) {
+  const { question } = record;
+  return {
+    url: record.url,
+    slug: record.slug,
+    category: record.category,
+    num: record.num,
+    path: record.path,
+    title: question.title,
+    difficulty: question.difficulty || null,
+    tags: question.tags || [],
+    description: question.description,
+    examples: question.examples || [],
+    constraints: question.constraints || '',
+    hints: question.hints || [],
+    complexity: question.complexity || '',
+    testcases: record.testcases,
+  };
+}
+
+/**
+ * Writes every question to a single `dataset.json` array, or one question per line in `dataset.jsonl`.
+ * Questions of previous runs are kept, and replaced when scraped again
+ * @typedef {Object} JsonDatasetExporter
+ */
+class JsonDatasetExporter extends Exporter {
+  /**
+   * @param {Object} options
+   * @param {string} options.outputDir - Directory the dataset is written to
+   * @param {boolean} [options.lines=false] - Write JSON lines instead of a JSON array
+   */
+  constructor({ outputDir, lines = false }) {
+    super({ outputDir });
+    this.lines = lines;
+    this.filePath = path.join(outputDir, lines ? 'dataset.jsonl' : 'dataset.json');
+    this.entries = new Map();
+  }
+
+  async begin() {
+    const content = await readIfExists(this.filePath);
+    if (!content) {
+      return;
+    }
+
+    const entries = this.lines
+      ? content.split('\n').filter(line => line.trim()).map(line => JSON.parse(line))
+      : JSON.parse(content);
+    for (const entry of entries) {
+      this.entries.set(entry.url, entry);
+    }
+  }
+
+  async exportQuestion(record) {
+    this.entries.set(record.url, datasetEntry(record));
+    return [this.filePath];
+  }
+
+  async finish() {
+    const entries = [...this.entries.values()];
+    const content = this.lines
+      ? entries.map(entry => JSON.stringify(entry)).join('\n') + '\n'
+      : JSON.stringify(entries, null, 2);
+
+    await fs.mkdir(this.outputDir, { recursive: true });
+    await writeFileAtomic(this.filePath, content);
+    logger.info(`-- Dataset saved at path ${this.filePath}`);
+  }
+}
+
+/**
+ * Writes every question & testcase to the `algoexpert.sqlite` database
+ * @typedef {Object} SqliteExporter
+ */
+class SqliteExporter extends Exporter {
+  constructor({ outputDir }) {
+    super({ outputDir });
+    this.filePath = path.join(outputDir, 'algoexpert.sqlite');
+    this.db = null;
+  }
+
+  async begin() {
+    const initSqlJs = require('sql.js');
+    const SQL = await initSqlJs();
+    const existing = await readIfExists(this.filePath, null);
+
+    this.db = existing ? new SQL.Database(existing) : new SQL.Database();
+    this.db.run(`
+      CREATE TABLE IF NOT EXISTS questions (
+        url TEXT PRIMARY KEY,
+        slug TEXT NOT NULL,
+        category TEXT NOT NULL,
+        num INTEGER NOT NULL,
+        path TEXT NOT NULL,
+        title TEXT NOT NULL,
+        difficulty TEXT,
+        description TEXT NOT NULL,
+        constraints TEXT,
+        complexity TEXT,
+        tags TEXT NOT NULL,
+        hints TEXT NOT NULL,
+        examples TEXT NOT NULL
+      );
+      CREATE TABLE IF NOT EXISTS testcases (
+        question_url TEXT NOT NULL REFERENCES questions(url) ON DELETE CASCADE,
+        name TEXT NOT NULL,
+        inputs TEXT,
+        expected TEXT,
+        PRIMARY KEY (question_url, name)
+      );
+    `);
+  }
+
+  async exportQuestion(record) {
+    const entry = datasetEntry(record);
+
+    this.db.run(
+      `INSERT OR REPLACE INTO questions
+        (url, slug, category, num, path, title, difficulty, description, constraints, complexity, tags, hints, examples)
+        VALUES (?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?, ?)`,
+      [entry.url, entry.slug, entry.category, entry.num, entry.path, entry.title, entry.difficulty,
+        entry.description, entry.constraints, entry.complexity,
+        JSON.stringify(entry.tags), JSON.stringify(entry.hints), JSON.stringify(entry.examples)]
+    );
+
+    // JSON columns, since the structure of the inputs varies between questions
+    this.db.run('DELETE FROM testcases WHERE question_url = ?', [entry.url]);
+    for (const testcase of record.testcases) {
+      this.db.run(
+        'INSERT OR REPLACE INTO testcases (question_url, name, inputs, expected) VALUES (?, ?, ?, ?)',
+        [entry.url, testcase.name, JSON.stringify(testcase.inputs), JSON.stringify(testcase.expected)]
+      );
+    }
+    return [this.filePath];
+  }
+
+  async finish() {
+    if (!this.db) {
+      return;
+    }
+
+    await fs.mkdir(this.outputDir, { recursive: true });
+    await writeFileAtomic(this.filePath, Buffer.from(this.db.export()));
+    this.db.close();
+    this.db = null;
+    logger.info(`-- SQLite database saved at path ${this.filePath}`);
+  }
+}
+
+/**
+ * Renders the testcases as an HTML table
+ * @param {Array<import('./extractor').TestCase>} testcases
+ * @returns {string}
+ */
+function testcaseTable(testcases) {
+  const rows = testcases.map(testcase => `
+      <tr>
+        <td>${escapeHtml(testcase.name)}</td>
+        <td><pre>${escapeHtml(JSON.stringify(testcase.inputs, null, 2))}</pre></td>
+        <td><pre>${escapeHtml(JSON.stringify(testcase.expected, null, 2))}</pre></td>
+      </tr>`).join('');
+
+  return `<table>
+      <thead><tr><th>Name</th><th>Inputs</th><th>Expected</th></tr></thead>
+      <tbody>${rows}
+      </tbody>
+    </table>`;
+}
+
+/**
+ * Wraps the page body in an HTML document
+ * @param {string} title - The page title
+ * @param {string} body - The page body HTML
+ * @returns {string}
+ */
+function htmlPage(title, body) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <title>${escapeHtml(title)}</title>
+  <style>
+    body { font-family: sans-serif; max-width: 900px; margin: 2rem auto; padding: 0 1rem; line-height: 1.5; }
+    pre { background: #f4f4f4; padding: 0.5rem; overflow-x: auto; }
+    table { border-collapse: collapse; width: 100%; }
+    td, th { border: 1px solid #ddd; padding: 0.25rem 0.5rem; vertical-align: top; text-align: left; }
+  </style>
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+/**
+ * Writes an HTML page for every question under `site/questions/`, and a `site/index.html` listing them by category
+ * @typedef {Object} HtmlSiteExporter
+ */
+class HtmlSiteExporter extends Exporter {
+  constructor({ outputDir }) {
+    super({ outputDir });
+    this.siteDir = path.join(outputDir, 'site');
+    this.indexPath = path.join(this.siteDir, 'questions.json');
+    this.entries = new Map();
+  }
+
+  async begin() {
+    const content = await readIfExists(this.indexPath);
+    for (const entry of content ? JSON.parse(content) : []) {
+      this.entries.set(entry.url, entry);
+    }
+  }
+
+  async exportQuestion(record) {
+    const pagePath = path.join(this.siteDir, 'questions', `${record.slug}.html`);
+    const body = `<p><a href="../index.html">&larr; All questions</a></p>
+${marked.parse(stripFrontMatter(record.markdown))}
+<h3>Test Cases</h3>
+${testcaseTable(record.testcases)}`;
+
+    await fs.mkdir(path.dirname(pagePath), { recursive: true });
+    await writeFileAtomic(pagePath, htmlPage(record.question.title, body));
+
+    this.entries.set(record.url, {
+      url: record.url,
+      slug: record.slug,
+      category: record.category,
+      num: record.num,
+      title: record.question.title,
+      difficulty: record.question.difficulty || null,
+    });
+    return [pagePath];
+  }
+
+  async finish() {
+    const byCategory = new Map();
+    for (const entry of this.entries.values()) {
+      if (!byCategory.has(entry.category)) {
+        byCategory.set(entry.category, []);
+      }
+      byCategory.get(entry.category).push(entry);
+    }
+
+    const sections = [...byCategory.keys()].sort().map(category => {
+      const items = byCategory.get(category)
+        .sort((a, b) => a.num - b.num)
+        .map(entry => `    <li><a href="questions/${encodeURIComponent(entry.slug)}.html">${escapeHtml(entry.title)}</a>` +
+          (entry.difficulty ? ` <small>(${escapeHtml(entry.difficulty)})</small>` : '') + '</li>')
+        .join('\n');
+      return `<h2>${escapeHtml(category)}</h2>\n<ol>\n${items}\n</ol>`;
+    });
+
+    await fs.mkdir(this.siteDir, { recursive: true });
+    await writeFileAtomic(path.join(this.siteDir, 'index.html'),
+      htmlPage('AlgoExpert Questions', `<h1>AlgoExpert Questions</h1>\n${sections.join('\n')}`));
+    await writeFileAtomic(this.indexPath, JSON.stringify([...this.entries.values()], null, 2));
+    logger.info(`-- HTML site saved at path ${this.siteDir}`);
+  }
+}
+
+/**
+ * Splits CSV content into rows of fields, supporting quoted fields with commas, quotes & newlines
+ * @param {string} content
+ * @returns {Array<Array<string>>}
+ */
+function parseCsv(content) {
+  const rows = [];
+  let row = [];
+  let field = '';
+  let quoted = false;
+
+  for (let idx = 0; idx < content.length; idx++) {
+    const char = content[idx];
+    if (quoted) {
+      if (char === '"' && content[idx + 1] === '"') {
+        field += '"';
+        idx++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ',') {
+      row.push(field);
+      field = '';
+    } else if (char === '\n') {
+      row.push(field);
+      rows.push(row);
+      row = [];
+      field = '';
+    } else if (char !== '\r') {
+      field += char;
+    }
+  }
+
+  if (field || row.length > 0) {
+    row.push(field);
+    rows.push(row);
+  }
+  return rows;
+}
+
+/**
+ * Quotes a CSV field
+ * @param {string} value
+ * @returns {string}
+ */
+function csvField(value) {
+  return `"${String(value).replace(/"/g, '""')}"`;
+}
+
+/**
+ * Writes an Anki flashcard CSV, one card per question. The front holds the title & description,
+ * the back holds the examples, hints & optimal complexity
+ * @typedef {Object} AnkiExporter
+ */
+class AnkiExporter extends Exporter {
+  constructor({ outputDir }) {
+    super({ outputDir });
+    this.filePath = path.join(outputDir, 'anki.csv');
+    this.cards = new Map();
+  }
+
+  async begin() {
+    const lines = (await readIfExists(this.filePath) || '').split('\n');
+    // Only the header directives before the first card, e.g. `#html:true`, start with `#`: a line of a multi-line field,
+    // such as a Python comment in a code block, can too
+    const firstCard = lines.findIndex(line => !/^#[\w ]+:/.test(line));
+    const records = firstCard === -1 ? '' : lines.slice(firstCard).join('\n');
+
+    // Cards are keyed by their guid, the question URL
+    for (const [guid, front, back, tags] of parseCsv(records)) {
+      if (guid) {
+        this.cards.set(guid, [guid, front, back, tags]);
+      }
+    }
+  }
+
+  async exportQuestion(record) {
+    const { question } = record;
+    const front = marked.parse(`## ${question.title}\n\n${question.description}`);
+
+    const back = [];
+    for (const example of question.examples || []) {
+      back.push(`**Sample Input**\n\n\`\`\`\n${example.input}\n\`\`\`\n\n**Sample Output**\n\n\`\`\`\n${example.output}\n\`\`\``);
+    }
+    (question.hints || []).forEach((hint, idx) => back.push(`**Hint ${idx + 1}**\n\n${hint}`));
+    if (question.complexity) {
+      back.push(`**Optimal Space & Time Complexity**\n\n${question.complexity}`);
+    }
+
+    // Anki tags can't contain spaces
+    const tags = [...(question.tags || [record.category]), question.difficulty]
+      .filter(Boolean)
+      .map(tag => tag.replace(/\s+/g, '_'))
+      .join(' ');
+
+    this.cards.set(record.url, [record.url, front, marked.parse(back.join('\n\n')), tags]);
+    return [this.filePath];
+  }
+
+  async finish() {
+    const header = ['#separator:Comma', '#html:true', '#guid column:1', '#tags column:4'];
+    const rows = [...this.cards.values()].map(card => card.map(csvField).join(','));
+
+    await fs.mkdir(this.outputDir, { recursive: true });
+    await writeFileAtomic(this.filePath, [...header, ...rows].join('\n') + '\n');
+    logger.info(`-- Anki flashcards saved at path ${this.filePath}`);
+  }
+}
+
+/**
+ * Exporter of each output format
+ */
+const EXPORTERS = {
+  markdown: (options) => new MarkdownExporter(options),
+  json: (options) => new JsonDatasetExporter(options),
+  jsonl: (options) => new JsonDatasetExporter({ ...options, lines: true }),
+  sqlite: (options) => new SqliteExporter(options),
+  html: (options) => new HtmlSiteExporter(options),
+  anki: (options) => new AnkiExporter(options),
+};
+
+/**
+ * Creates the exporters of the given output formats
+ * @param {Array<string>} formats - e.g. `['markdown', 'sqlite']`
+ * @param {Object} options - Options passed to every exporter, see the exporter constructors
+ * @returns {Array<Exporter>}
+ */
+function createExporters(formats, options) {
+  return formats.map(format => {
+    const create = EXPORTERS[format];
+    if (!create) {
+      throw new Error(`Unknown output format "${format}". Expected one of: ${Object.keys(EXPORTERS).join(', ')}`);
+    }
+    return create(options);
+  });
+}
+
+module.exports = {
+  EXPORTERS,
+  Exporter,
+  MarkdownExporter,
+  JsonDatasetExporter,
+  SqliteExporter,
+  HtmlSiteExporter,
+  AnkiExporter,
+  createExporters,
+  renderPathTemplate,
+  escapeHtml,
+  stripFrontMatter,
+  testcaseTable,
+};
@@ -0,0 +1,614 @@
+const selectors = require('./selectors');
+const { domToMarkdownBlocks, groupQuestionSections, codeFence, yamlFrontMatter } = require('./markdown');
+const { SOLUTION_FILES } = require('./harness');
+const { assertValidTestCases, findTestCasesInPayload } = require('./testcases');
+const { SOLUTION_EXTENSIONS, editorText, formatDuration } = require('./solutions');
+const logger = require('./logger');
+
+/**
+ * Whether a request runs the code of `language`: a value of its JSON body names the language or its file extension,
+ * e.g. `{"language": "python"}`
+ * @param {import('playwright').Request} request
+ * @param {string} language - e.g. `Python`
+ * @returns {boolean}
+ */
+function requestsLanguage(request, language) {
+  let body;
+  try {
+    body = request.postDataJSON();
+  } catch (error) {
+    return false; // Not a JSON body
+  }
+
+  const names = [language, SOLUTION_EXTENSIONS[language]].map(name => name.toLowerCase());
+  const queue = [body];
+  while (queue.length > 0) {
+    const value = queue.shift();
+    if (typeof value === 'string' && names.includes(value.toLowerCase())) {
+      return true;
+    }
+    if (value && typeof value === 'object') {
+      queue.push(...Object.values(value));
+    }
+  }
+  return false;
+}
+
+/**
+ * Searches the response of a "Run Code" request for its result: the first `passed` flag, or the `passed` flags
+ * of every test result
+ * @param {any} payload - A parsed JSON response body
+ * @returns {boolean|null} whether the code passes the testcases, null when the payload has no result
+ */
+function findRunResultInPayload(payload) {
+  const queue = [payload];
+
+  while (queue.length > 0) {
+    const value = queue.shift();
+    if (!value || typeof value !== 'object') {
+      continue;
+    }
+
+    if (!Array.isArray(value) && typeof value.passed === 'boolean') {
+      return value.passed;
+    }
+    if (Array.isArray(value) && value.length > 0 && value.every(item => item && typeof item.passed === 'boolean')) {
+      return value.every(item => item.passed);
+    }
+    queue.push(...Object.values(value));
+  }
+  return null;
+}
+
+/**
+ * Handles the extraction & transformation of data 
+ * @typedef {Object} DataExtractor
+ */
+class DataExtractor {
+
+  /**
+   * @typedef {Object} CodingQuestion
+   * @property {string} title - The title of the coding question.
+   * @property {string} description - The description of the question, as markdown.
+   * @property {Array<import('./markdown').QuestionExample>} examples - Every sample input & output of the question.
+   * @property {string} constraints - The constraints of the question as markdown, empty when there are none.
+   * @property {Array<string>} hints - The hints listed in the prompt & the revealed hints, as markdown.
+   * @property {string|null} [difficulty] - Difficulty of the question, e.g. `Easy` or `Very Hard`.
+   * @property {string} [complexity] - The optimal space & time complexity section, as markdown.
+   * @property {Array<string>} [tags] - Category tags of the question.
+   * @property {import('./solutions').VideoExplanation|null} [video] - The video explanation, when the solutions are scraped.
+   * @property {Object<string, Submission>|null} [submissions] - The code saved in the workspace for each language, when it is exported.
+   * @property {string} exampleInput - Sample input of the first example.
+   * @property {string} exampleOutput - Sample output of the first example.
+   */
+
+  /**
+   * @param {import('./page').PageHandler} pageHandler - The pageHandler component
+   * @returns {Promise<CodingQuestion>} A promise that resolves to a CodingQuestion object.
+   */
+  async extractQuestionData(pageHandler) {
+    logger.debug('Starting Step: Extraction of question description');
+
+    const title = ((await pageHandler.getElementText(selectors.questionTitle)) || '').trim();
+    logger.debug('-- Retrieved title');
+
+    // The whole prompt converted to markdown, then split into its sections
+    const blocks = await pageHandler.evaluateOnElement(selectors.questionPrompt, domToMarkdownBlocks);
+    const { description, examples, constraints, hints } = groupQuestionSections(blocks);
+    logger.debug('-- Retrieved description content');
+    logger.debug(`-- Retrieved ${examples.length} example input & output(s)`);
+
+    const exampleInput = examples.length > 0 ? examples[0].input : '';
+    const exampleOutput = examples.length > 0 ? examples[0].output : '';
+
+    const codingQuestion = {
+      title, description, examples, constraints, hints, exampleInput, exampleOutput
+    };
+
+    logger.debug('** Success! **\n');
+    return codingQuestion;
+  }
+
+  /**
+   * @typedef {Object} QuestionMetadata
+   * @property {string|null} difficulty - Difficulty of the question, null when it could not be found.
+   * @property {Array<string>} hints - Markdown of each hint, revealed one at a time.
+   * @property {string} complexity - The optimal space & time complexity section, as markdown.
+   * @property {Array<string>} tags - Category tags, starting with the category being scraped.
+   */
+
+  /**
+   * Extracts the difficulty, hints, optimal complexity and tags of the coding question.
+   * Missing metadata is logged and left empty, it never fails the question
+   * @param {import('./page').PageHandler} pageHandler - The pageHandler component
+   * @param {string} category - The category the question is being scraped from
+   * @returns {Promise<QuestionMetadata>} A promise that resolves to the question metadata.
+   */
+  async extractQuestionMetadata(pageHandler, category) {
+    logger.debug('Starting Step: Extraction of question metadata');
+    const metadata = { difficulty: null, hints: [], complexity: '', tags: [category] };
+
+    try {
+      const difficultyText = await this.extractTextFromElements(pageHandler, selectors.questionDifficulty);
+      metadata.difficulty = this.normalizeDifficulty(difficultyText.join(' '));
+      logger.debug(`-- Retrieved difficulty: ${metadata.difficulty}`);
+    } catch (error) {
+      logger.warn(`-- Could not retrieve difficulty: ${error}`);
+    }
+
+    try {
+      // Hints are hidden until their button is clicked, so they are revealed one at a time
+      for (let num = 1; await pageHandler.hasElementWithText(selectors.hintButton, selectors.hintButtonTxt(num)); num++) {
+        metadata.hints.push(await this.revealPanel(pageHandler, selectors.hintButtonTxt(num)));
+      }
+      logger.debug(`-- Retrieved ${metadata.hints.length} hint(s)`);
+    } catch (error) {
+      logger.warn(`-- Could not retrieve hints: ${error}`);
+    }
+
+    try {
+      if (await pageHandler.hasElementWithText(selectors.hintButton, selectors.complexityButtonTxt)) {
+        metadata.complexity = await this.revealPanel(pageHandler, selectors.complexityButtonTxt);
+        logger.debug('-- Retrieved optimal space & time complexity');
+      }
+    } catch (error) {
+      logger.warn(`-- Could not retrieve optimal space & time complexity: ${error}`);
+    }
+
+    try {
+      const tags = await this.extractTextFromElements(pageHandler, selectors.questionTags);
+      for (const tag of tags.map(text => text.trim()).filter(Boolean)) {
+        if (!metadata.tags.includes(tag)) {
+          metadata.tags.push(tag);
+        }
+      }
+      logger.debug(`-- Retrieved tags: ${metadata.tags.join(', ')}`);
+    } catch (error) {
+      logger.warn(`-- Could not retrieve tags: ${error}`);
+    }
+
+    logger.debug('** Success! **\n');
+    return metadata;
+  }
+
+  /**
+   * Clicks a hint or complexity button, waits for the panel it reveals & returns its markdown
+   * @param {import('./page').PageHandler} pageHandler - The pageHandler component
+   * @param {string|RegExp} buttonTxt - Text of the button
+   * @returns {Promise<string>} the panel content as markdown
+   * @throws {Error} when no panel is revealed in time
+   */
+  async revealPanel(pageHandler, buttonTxt) {
+    // Until the new panel is rendered, the last panel is the one revealed before
+    const revealed = await pageHandler.inspectSelector(selectors.revealedPanels);
+    await pageHandler.clickElemenWithText(selectors.hintButton, buttonTxt);
+    if (!await pageHandler.waitForElement(selectors.revealedPanels, { beyond: revealed })) {
+      throw new Error(`No panel revealed by the "${buttonTxt}" button`);
+    }
+    return await this.extractMarkdown(pageHandler, selectors.revealedContent);
+  }
+
+  /**
+   * Returns the markdown of the first element found with `selector`, without its headings
+   * @param {import('./page').PageHandler} pageHandler - The pageHandler component
+   * @param {string|import('./resolver').SelectorStrategy} selector - CSS selector or selector strategy
+   * @returns {Promise<string>} the element content as markdown
+   */
+  async extractMarkdown(pageHandler, selector) {
+    const blocks = await pageHandler.evaluateOnElement(selector, domToMarkdownBlocks);
+    return blocks
+      .filter(block => block.type !== 'heading')
+      .map(block => block.type === 'code' ? codeFence(block.text) : block.text)
+      .join('\n\n');
+  }
+
+  /**
+   * Extracts the official solutions of every language, the written explanation & the video explanation metadata.
+   * Only what the account has access to is extracted, anything missing is logged and left empty
+   * @param {import('./page').PageHandler} pageHandler - The pageHandler component
+   * @param {Array<string>} languages - Languages to extract the solutions of
+   * @returns {Promise<import('./solutions').OfficialSolutions>} A promise that resolves to the official solutions.
+   */
+  async extractSolutions(pageHandler, languages) {
+    logger.debug('Starting Step: Extraction of official solutions');
+    const solutions = { code: {}, explanation: '', video: null };
+
+    if (!await pageHandler.hasElementWithText(selectors.tabButton, selectors.solutionsTabTxt)) {
+      logger.warn('-- No solutions tab, the account may not have access to the solutions\n');
+      return solutions;
+    }
+    await pageHandler.clickElemenWithText(selectors.tabButton, selectors.solutionsTabTxt);
+
+    for (const language of languages) {
+      try {
+        const codes = await this.extractLanguageSolutions(pageHandler, language);
+        if (codes.length > 0) {
+          solutions.code[language] = codes;
+        }
+        logger.debug(`-- Retrieved ${codes.length} ${language} solution(s)`);
+      } catch (error) {
+        logger.warn(`-- Could not retrieve the ${language} solutions: ${error}`);
+      }
+    }
+
+    try {
+      solutions.explanation = await this.extractMarkdown(pageHandler, selectors.solutionExplanation);
+      logger.debug('-- Retrieved written explanation');
+    } catch (error) {
+      logger.warn(`-- Could not retrieve the written explanation: ${error}`);
+    }
+
+    try {
+      if (await pageHandler.hasElementWithText(selectors.tabButton, selectors.videoTabTxt)) {
+        await pageHandler.clickElemenWithText(selectors.tabButton, selectors.videoTabTxt);
+        const title = ((await pageHandler.getElementText(selectors.videoTitle)) || '').trim();
+        const seconds = await pageHandler.evaluateOnElement(selectors.videoPlayer, video => video.duration);
+        solutions.video = { title, duration: formatDuration(seconds) };
+        logger.debug(`-- Retrieved video explanation: ${title} (${solutions.video.duration || 'unknown duration'})`);
+      }
+    } catch (error) {
+      logger.warn(`-- Could not retrieve the video explanation: ${error}`);
+    }
+
+    logger.debug('** Success! **\n');
+    return solutions;
+  }
+
+  /**
+   * Returns the code of every official solution of a language, shown in the tabs `Solution 1`, `Solution 2`...
+   * @param {import('./page').PageHandler} pageHandler - The pageHandler component
+   * @param {string} language - One of the `languages` option
+   * @returns {Promise<Array<string>>} the code of each solution, empty when the language has none
+   */
+  async extractLanguageSolutions(pageHandler, language) {
+    if (!await this.selectLanguage(pageHandler, language)) {
+      return [];
+    }
+
+    const codes = [];
+    for (let num = 1; await pageHandler.hasElementWithText(selectors.tabButton, selectors.solutionButtonTxt(num)); num++) {
+      await pageHandler.clickElemenWithText(selectors.tabButton, selectors.solutionButtonTxt(num));
+      codes.push(await pageHandler.evaluateOnElement(selectors.solutionCode, editorText));
+    }
+
+    // Questions with a single solution have no solution tabs
+    if (codes.length === 0) {
+      codes.push(await pageHandler.evaluateOnElement(selectors.solutionCode, editorText));
+    }
+    return codes.filter(code => code.trim());
+  }
+
+  /**
+   * Switches the language selector of the page to `language`
+   * @param {import('./page').PageHandler} pageHandler - The pageHandler component
+   * @param {string} language - One of the `languages` option
+   * @returns {Promise<boolean>} false when the language is not offered
+   */
+  async selectLanguage(pageHandler, language) {
+    const optionTxt = selectors.languageOptionTxt(language);
+    if (!await pageHandler.hasElementWithText(selectors.languageOption, optionTxt)) {
+      // The languages are listed in a dropdown that has to be opened first
+      if (!await pageHandler.hasElementWithText(selectors.languageSelect, /\S/)) {
+        return false;
+      }
+      await pageHandler.clickElemenWithText(selectors.languageSelect, /\S/);
+      // The options are rendered once the dropdown is open
+      if (!await pageHandler.waitForElement(selectors.languageOption, { hasText: optionTxt })) {
+        return false;
+      }
+    }
+    await pageHandler.clickElemenWithText(selectors.languageOption, optionTxt);
+    return true;
+  }
+
+  /**
+   * @typedef {Object} Submission
+   * @property {string} code - The code saved in the workspace editor
+   * @property {string} file - File the code is written to, relative to the question directory. The solution file of the
+   *   language, unless it holds the user's own code
+   * @property {boolean|null} passed - Whether the code passes the testcases, null when the result could not be read
+   */
+
+  /**
+   * Extracts the code saved in the workspace editor for every language, and runs it to check if it passes the testcases
+   * @param {import('./page').PageHandler} pageHandler - The pageHandler component
+   * @param {Array<string>} languages - Languages to extract the code of
+   * @returns {Promise<Object<string, Submission>>} the submission of each language, languages without code are left out
+   */
+  async extractSubmissions(pageHandler, languages) {
+    logger.debug('Starting Step: Extraction of submitted code');
+    const submissions = {};
+
+    for (const language of languages) {
+      try {
+        if (!await this.selectLanguage(pageHandler, language)) {
+          logger.warn(`-- No ${language} in the language selector`);
+          continue;
+        }
+
+        const code = await pageHandler.evaluateOnElement(selectors.workspaceEditor, editorText);
+        if (!code.trim()) {
+          logger.debug(`-- No ${language} code`);
+          continue;
+        }
+
+        // Only the responses to the run request of this language are read, never the result still shown for another one
+        const payloads = await pageHandler.captureJsonResponses(() =>
+          pageHandler.clickElemenWithText(selectors.runButton, selectors.runButtonTxt),
+        { match: request => requestsLanguage(request, language) });
+        const results = payloads.map(findRunResultInPayload).filter(result => result !== null);
+        const passed = results.length > 0 ? results[0] : null;
+
+        submissions[language] = { code, file: `${language}/${SOLUTION_FILES[language]}`, passed };
+        logger.debug(`-- Retrieved ${language} code (${passed === null ? 'result unknown' : passed ? 'passing' : 'failing'})`);
+      } catch (error) {
+        logger.warn(`-- Could not retrieve the ${language} code: ${error}`);
+      }
+    }
+
+    logger.debug('** Success! **\n');
+    return submissions;
+  }
+
+  /**
+   * Maps the text of the difficulty element to one of AlgoExpert's difficulty levels
+   * @param {string} text - Text content of the difficulty element
+   * @returns {string|null} `Easy`, `Medium`, `Hard` or `Very Hard`, null when no level is found
+   */
+  normalizeDifficulty(text) {
+    const match = text.match(/very\s+hard|hard|medium|easy/i);
+    if (!match) {
+      return null;
+    }
+    return match[0].toLowerCase().split(/\s+/).map(word => word[0].toUpperCase() + word.slice(1)).join(' ');
+  }
+
+  /**
+   * Creates the metadata saved in `meta.json` & in the README.md front matter
+   * @param {CodingQuestion} codingQuestion
+   * @param {string} url - The question URL
+   * @returns {Object} the question metadata
+   */
+  generateQuestionMeta(codingQuestion, url) {
+    return {
+      title: codingQuestion.title,
+      url,
+      difficulty: codingQuestion.difficulty || null,
+      tags: codingQuestion.tags || [],
+      hints: codingQuestion.hints || [],
+      complexity: codingQuestion.complexity || '',
+      // Only set when the solutions are scraped, so the metadata of other runs stays the same
+      ...(codingQuestion.video ? { video: codingQuestion.video } : {}),
+      ...(codingQuestion.submissions ? { submissions: this.submissionsMeta(codingQuestion.submissions) } : {}),
+    };
+  }
+
+  /**
+   * Summarizes the submissions for meta.json, without their code
+   * @param {Object<string, Submission>} submissions
+   * @returns {Object<string, {file: string, passed: boolean|null}>} the solution file & test result of each language
+   */
+  submissionsMeta(submissions) {
+    return Object.fromEntries(Object.entries(submissions).map(([language, submission]) =>
+      [language, { file: submission.file, passed: submission.passed }]));
+  }
+
+  /**
+   * @typedef {Object} TestCaseInputs
+   * @property {any}... - The structure of the inputs will vary depending on the test cases.
+   */
+
+  /**
+   * @typedef {Object} TestCase
+   * @property {TestCaseInputs} inputs - The inputs for the test case.
+   * @property {string} expected - The expected output for the test case.
+   * @property {string} name - The name of the test case.
+   */
+
+  /**
+   * Extracts the testcases of the coding question as an array of json objects.
+   * The testcases are read from the response of the "Run Code" request, the result rows of the page are only
+   * scraped when no response holds them, e.g. when replaying fixtures
+   * @param {import('./page').PageHandler} pageHandler - The pageHandler component
+   * @returns {Promise<Array<TestCase>>} A promise that resolves to an array of TestCase objects.
+   * @throws {TestCaseSchemaError} when the testcases don't match the testcases.json schema
+   */
+  async extractTestCases(pageHandler) {
+    logger.debug('Starting Step: Extraction of question testcases');
+
+    const payloads = await pageHandler.captureJsonResponses(() =>
+      pageHandler.clickElemenWithText(selectors.runButton, selectors.runButtonTxt));
+    logger.debug('-- Clicked "Run Code" button');
+
+    let testcases = payloads.map(findTestCasesInPayload).find(Boolean);
+    if (testcases) {
+      logger.debug(`-- Retrieved ${testcases.length} testcases from the network response`);
+    } else {
+      logger.warn('-- No testcases in the network responses, falling back to the page');
+      testcases = await this.extractTestCasesFromDom(pageHandler);
+    }
+
+    assertValidTestCases(testcases);
+    logger.debug('** Success! **\n');
+    return testcases;
+  }
+
+  /**
+   * Extracts the testcases from the result rows shown after clicking "Run Code".
+   * Each row is the expected output, two other rows, then the inputs
+   * @param {import('./page').PageHandler} pageHandler - The pageHandler component
+   * @returns {Promise<Array<TestCase>>} A promise that resolves to an array of TestCase objects.
+   * @throws {Error} when a row can't be parsed
+   */
+  async extractTestCasesFromDom(pageHandler) {
+    const testcases = [];
+    const allCollapsedTestcaseEle = await pageHandler.getElements(selectors.collapseTestcase);
+
+    for (const element of allCollapsedTestcaseEle) {
+      await pageHandler.clickAndWait(element);
+    }
+    logger.debug('-- Expanded all collapse testcase elements');
+
+    const allTestcaseEle = await pageHandler.getElements(selectors.testcaseData);
+
+    let testNum = 1;
+    let expectIdx = 0;
+    let inputIdx = 2;
+
+    while (inputIdx < allTestcaseEle.length) {
+      // inputTxt is already a string represention of a json object
+      const expectedTxt = await pageHandler.getNestedElementText(allTestcaseEle[expectIdx], selectors.testcaseDataNested);
+      const inputTxt = await pageHandler.getNestedElementText(allTestcaseEle[inputIdx], selectors.testcaseDataNested);
+      const name = `Test Case ${testNum++}`;
+      let jsonObject = {};
+
+      try {
+        jsonObject['inputs'] = JSON.parse(inputTxt);
+
+        // if expectedTxt begins with a letter, save it as a string
+        // else json to avoid the quotes
+        if (/^[a-zA-Z]/.test(expectedTxt)) {
+          jsonObject['expected'] = expectedTxt;
+        } else {
+          jsonObject['expected'] = JSON.parse(expectedTxt);
+        }
+      } catch (error) {
+        throw new Error(`Could not parse ${name}: ${error.message}`);
+      }
+      jsonObject['name'] = name;
+
+      testcases.push(jsonObject);
+      expectIdx = inputIdx + 1;
+      inputIdx = expectIdx + 2;
+    }
+
+    logger.debug(`-- Retrieved ${testcases.length} testcases from the page`);
+    return testcases;
+  }
+
+  /**
+   * Extracts the text contents of all elements with the given selector
+   * @param {import('./page').PageHandler} pageHandler - The pageHandler component
+   * @param {string} selector - CSS selector for elements 
+   * @returns {Promise<Array<string>>} Array that contains the text content of each element
+   */
+  async extractTextFromElements(pageHandler, selector) {
+    const elements = await pageHandler.getElements(selector);
+    const textContentArray = [];
+
+    for (const element of elements) {
+      const text = await element.textContent(); // Get text content of each element
+      textContentArray.push(text);
+    }
+
+    return textContentArray;
+  }
+
+  /**
+   * Discovers the question categories from the questions page, in the order they are listed
+   * @param {import('./page').PageHandler} pageHandler - The pageHandler component
+   * @returns {Promise<Array<string>>} the category names, the id of the closest ancestor of each question link
+   */
+  async discoverCategories(pageHandler) {
+    logger.debug('Starting Step: Discovering question categories');
+    const categories = await pageHandler.evaluateOnElements(selectors.questionLink, (links) => {
+      const ids = links.map(link => {
+        const section = link.closest('[id]');
+        return section ? section.id : null;
+      });
+      return [...new Set(ids.filter(Boolean))];
+    });
+    logger.debug(`-- Found ${categories.length} categories`);
+    logger.debug('** Success! **\n');
+    return categories;
+  }
+
+  /**
+   * Gets all questions by category
+   * @param {import('./page').PageHandler} pageHandler - The pageHandler component
+   * @param {Array<string>} categories - Array of question categories in AlgoExpert
+   * @returns {Promise<Map<string, Array<string>>>} Map containing all question URLs by categories. `key = category`, `value = array of urls`
+   */
+  async getQuestionsByCategory(pageHandler, categories, baseUrl) {
+    logger.debug('Starting Step: Getting questions by categories');
+    const questionsByCategory = new Map();
+
+    for (const category of categories) {
+      const questions = await pageHandler.getElements(selectors.questionByCategory(category));
+      const questionQueue = []; // array will be used as a queue
+
+      for (const question of questions) {
+        const href = await pageHandler.getElementHref(question);
+        questionQueue.push(`${baseUrl}${href}`);
+      }
+
+      if (questionQueue.length === 0) {
+        logger.warn(`-- No questions found for category "${category}", it may have been renamed or removed`);
+      }
+      questionsByCategory.set(category, questionQueue);
+    }
+    logger.debug('** Success! **\n');
+    return questionsByCategory;
+  }
+
+
+  /**
+   * Creates a markdown file representation of the coding question
+   * @param {CodingQuestion} codingQuestion 
+   * @param {Object} [meta] - Question metadata written as YAML front matter, see `generateQuestionMeta`
+   * @param {{template: import('./template').ReadmeTemplate, context: import('./template').ReadmeContext}|null} [readme] -
+   *   Template of the user replacing the default layout, with the values of the question
+   * @returns {string} markdown represention of the coding question description
+   */
+  generateQuestionMarkdown(codingQuestion, meta, readme = null) {
+    const sections = [`## ${codingQuestion.title}`, codingQuestion.description];
+
+    // Examples are numbered only when the question has more than one
+    const examples = codingQuestion.examples || [];
+    examples.forEach((example, idx) => {
+      const suffix = examples.length > 1 ? ` #${idx + 1}` : '';
+      sections.push(`### Sample Input${suffix}\n${codeFence(example.input)}`);
+      sections.push(`### Sample Output${suffix}\n${codeFence(example.output)}`);
+      if (example.explanation) {
+        sections.push(example.explanation);
+      }
+    });
+
+    if (codingQuestion.constraints) {
+      sections.push(`### Constraints\n\n${codingQuestion.constraints}`);
+    }
+
+    if (codingQuestion.hints && codingQuestion.hints.length > 0) {
+      const hints = codingQuestion.hints.map((hint, idx) => `#### Hint ${idx + 1}\n\n${hint}`);
+      sections.push(`### Hints\n\n${hints.join('\n\n')}`);
+    }
+
+    if (codingQuestion.complexity) {
+      sections.push(`### Optimal Space & Time Complexity\n\n${codingQuestion.complexity}`);
+    }
+
+    // Construct markdown text, the template gets the default layout as `body`
+    const body = sections.join('\n\n');
+    const content = readme
+      ? readme.template.render({ ...readme.context, question: codingQuestion, meta: meta || null, body }).replace(/\s+$/, '')
+      : body;
+    const frontMatter = meta ? yamlFrontMatter(meta) : '';
+    const markdown = `${frontMatter}\n${content}\n`;
+    logger.debug('Generated question markdown content\n');
+    return markdown;
+  }
+
+  /**
+   * Removes spaces after newlines and trims the text
+   * @param {string} text 
+   * @returns {string} input text with spaces after newlines removed and trimmed
+   */
+  removeNewlineSpaces(text) {
+    return text.replace(/\n\s+/g, '\n').trim();  // 
+  }
+
+}
+
+module.exports = {
+  DataExtractor,
+};
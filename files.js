@@ -0,0 +1,207 @@
+const fs = require('fs').promises;
+const path = require('path');
+const { fixturePathForUrl } = require('./fixtures');
+const logger = require('./logger');
+
+// Makes the temporary file names unique when the same file is written twice at once
+let tmpCounter = 0;
+
+/**
+ * Writes a file atomically: the content is written to a temporary file next to `filePath`,
+ * which is then renamed. A crash never leaves a half written file behind
+ * @param {string} filePath - The path of the file
+ * @param {string|Buffer} content - The file content
+ */
+async function writeFileAtomic(filePath, content) {
+  const tmpPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${process.pid}.${tmpCounter++}.tmp`);
+
+  try {
+    await fs.writeFile(tmpPath, content);
+    await fs.rename(tmpPath, filePath);
+  } catch (error) {
+    await fs.rm(tmpPath, { force: true });
+    throw error;
+  }
+}
+
+/**
+ * Creates a file atomically, only when it does not exist yet: the content is written to a temporary file, which is
+ * then hard linked to `filePath`. The link fails when the file exists, even when it was created after the check
+ * @param {string} filePath - The path of the file
+ * @param {string|Buffer} content - The file content
+ * @returns {Promise<boolean>} false when the file already exists
+ */
+async function createFileAtomic(filePath, content) {
+  const tmpPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${process.pid}.${tmpCounter++}.tmp`);
+
+  try {
+    await fs.writeFile(tmpPath, content);
+    await fs.link(tmpPath, filePath);
+    return true;
+  } catch (error) {
+    if (error.code === 'EEXIST') {
+      return false;
+    }
+    throw error;
+  } finally {
+    await fs.rm(tmpPath, { force: true });
+  }
+}
+
+/**
+ * Reads a file, returning null when it does not exist
+ * @param {string} filePath
+ * @param {string|null} [encoding='utf8'] - Pass null to read a Buffer
+ * @returns {Promise<string|Buffer|null>}
+ */
+async function readIfExists(filePath, encoding = 'utf8') {
+  try {
+    return await fs.readFile(filePath, encoding);
+  } catch (error) {
+    if (error.code === 'ENOENT') {
+      return null;
+    }
+    throw error;
+  }
+}
+
+/**
+ * Manages the handling of files and directories 
+ * @typedef {Object} FileManager
+ */
+class FileManager {
+  async createDirectory(dirPath) {
+    try {
+      await fs.mkdir(dirPath, { recursive: true });
+      logger.debug(`Success! - directory already exist or it was created ${dirPath}\n`);
+    } catch (error) {
+      logger.error(`Error creating directory ${dirPath}: ${error}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Stores a markdown with the given text content in the file path
+   * @param {string} filePath - The path to store the markdown file in
+   * @param {string} content  - The markdown file text content 
+   */
+  async saveMarkdown(filePath, content) {
+    try {
+      if (await this.hasContent(filePath, content)) {
+        logger.debug(`-- Markdown file unchanged at path ${filePath}`);
+        return;
+      }
+      await writeFileAtomic(filePath, content);
+      logger.debug(`-- Markdown file saved at path ${filePath}`);
+    } catch (error) {
+      logger.error(`Error saving markdown file ${filePath}: ${error}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Saves json data, such as the array of testcases, as a json file in the given path
+   * @param {string} filePath - The path to store the json file in
+   * @param {Array<TestCase>|Object} data - array of json data for each testcase, or any other json data
+   */
+  async saveJson(filePath, data) {
+    try {
+      const prettyJson = JSON.stringify(data, null, 2); // Prettified JSON
+      if (await this.hasContent(filePath, prettyJson)) {
+        logger.debug(`-- JSON file unchanged at path ${filePath}`);
+        return;
+      }
+      // TODO: decided whether to try and make testcase.json file not have a new line
+      //       line between every array element or remove the line below
+      // const formattedJsonString = jsonString.replace(/\[\n\s*(\[.*?\]),\n\s*(\[.*?\]),\n\s*(\[.*?\])\n\s*\]/g, '[[ $1 ], [ $2 ], [ $3 ]]');
+
+      await writeFileAtomic(filePath, prettyJson);
+      logger.debug(`-- JSON file saved at path ${filePath}`);
+    } catch (error) {
+      logger.error(`Error saving JSON file ${filePath}: ${error}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Stores a text file, creating its directory when needed. Files that already have the content are not rewritten
+   * @param {string} filePath - The path of the file
+   * @param {string} content - The file text content
+   */
+  async saveFile(filePath, content) {
+    try {
+      if (await this.hasContent(filePath, content)) {
+        logger.debug(`-- File unchanged at path ${filePath}`);
+        return;
+      }
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      await writeFileAtomic(filePath, content);
+      logger.debug(`-- File saved at path ${filePath}`);
+    } catch (error) {
+      logger.error(`Error saving file ${filePath}: ${error}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Saves the HTML of a page as a fixture that can be replayed offline
+   * @param {string} fixturesDir - Directory to store the HTML snapshots in
+   * @param {string} url - The URL of the page
+   * @param {string} html - The page HTML
+   */
+  async saveFixture(fixturesDir, url, html) {
+    const fixturePath = fixturePathForUrl(fixturesDir, url);
+    try {
+      await fs.mkdir(path.dirname(fixturePath), { recursive: true });
+      await writeFileAtomic(fixturePath, html);
+      logger.debug(`-- Captured page HTML at path ${fixturePath}`);
+    } catch (error) {
+      logger.error(`Error saving fixture ${fixturePath}: ${error}`);
+      throw error;
+    }
+  }
+
+  /**
+   * Checks if a file already has the given content, so unchanged files are not rewritten
+   * @param {string} filePath - The path of the file
+   * @param {string} content - The expected text content
+   * @returns {Promise<boolean>} true if the file exists with exactly `content`
+   */
+  async hasContent(filePath, content) {
+    try {
+      return await fs.readFile(filePath, 'utf8') === content;
+    } catch (error) {
+      if (error.code === 'ENOENT') {
+        return false;
+      }
+      throw error;
+    }
+  }
+
+  /**
+   * Writes a file only when it does not exist yet, so files the user already edited are kept
+   * @param {string} filePath - The path of the file
+   * @param {string} content - The file text content
+   * @returns {Promise<boolean>} true if the file was written
+   */
+  async saveFileIfMissing(filePath, content) {
+    try {
+      await fs.mkdir(path.dirname(filePath), { recursive: true });
+      if (!await createFileAtomic(filePath, content)) {
+        logger.debug(`-- Keeping existing file ${filePath}`);
+        return false;
+      }
+      logger.debug(`-- File saved at path ${filePath}`);
+      return true;
+    } catch (error) {
+      logger.error(`Error saving file ${filePath}: ${error}`);
+      throw error;
+    }
+  }
+}
+
+module.exports = {
+  writeFileAtomic,
+  readIfExists,
+  FileManager,
+};
@@ -0,0 +1,45 @@
+const path = require('path');
+
+// Header of the response served for a page without a fixture, holding the fixture path
+const MISSING_FIXTURE_HEADER = 'x-missing-fixture';
+
+/**
+ * Thrown when a replayed page has no fixture. Loading it again can't help, so the question fails right away
+ */
+class MissingFixtureError extends Error {
+  /**
+   * @param {string} url - The URL that was being loaded
+   * @param {string} fixturePath - Where its fixture was looked for
+   */
+  constructor(url, fixturePath) {
+    super(`No fixture found for ${url} at ${fixturePath}`);
+    this.name = 'MissingFixtureError';
+    this.url = url;
+    this.fixturePath = fixturePath;
+  }
+}
+
+/**
+ * Returns the path of the HTML fixture that stores the page found at `url`.
+ * e.g. `https://www.algoexpert.io/questions/two-number-sum` -> `<fixturesDir>/questions/two-number-sum.html`
+ * @param {string} fixturesDir - Directory the HTML snapshots are stored in
+ * @param {string} url - The page URL
+ * @returns {string} the fixture file path
+ */
+function fixturePathForUrl(fixturesDir, url) {
+  const segments = new URL(url).pathname.split('/').filter(Boolean);
+
+  if (segments.length === 0) {
+    segments.push('index');
+  }
+
+  // Prevent a crafted URL from pointing outside of the fixtures directory
+  const safeSegments = segments.map(segment => segment.replace(/[^a-zA-Z0-9_-]/g, '_'));
+  return path.join(fixturesDir, ...safeSegments) + '.html';
+}
+
+module.exports = {
+  MISSING_FIXTURE_HEADER,
+  MissingFixtureError,
+  fixturePathForUrl,
+};
@@ -0,0 +1,506 @@
+const logger = require('./logger');
+
+/**
+ * Solution stub file of each language, relative to the language directory
+ */
+const SOLUTION_FILES = {
+  Golang: 'solution.go',
+  Java: 'src/Program.java',
+  JavaScript: 'solution.js',
+  Python: 'solution.py',
+};
+
+/**
+ * Reserved words of each language, which can't name a function or a parameter
+ */
+const RESERVED_WORDS = {
+  Golang: new Set(['break', 'case', 'chan', 'const', 'continue', 'default', 'defer', 'else', 'fallthrough', 'for', 'func',
+    'go', 'goto', 'if', 'import', 'interface', 'map', 'package', 'range', 'return', 'select', 'struct', 'switch', 'type', 'var']),
+  Java: new Set(['abstract', 'assert', 'boolean', 'break', 'byte', 'case', 'catch', 'char', 'class', 'const', 'continue',
+    'default', 'do', 'double', 'else', 'enum', 'extends', 'false', 'final', 'finally', 'float', 'for', 'goto', 'if',
+    'implements', 'import', 'instanceof', 'int', 'interface', 'long', 'native', 'new', 'null', 'package', 'private',
+    'protected', 'public', 'return', 'short', 'static', 'strictfp', 'super', 'switch', 'synchronized', 'this', 'throw',
+    'throws', 'transient', 'true', 'try', 'void', 'volatile', 'while', '_']),
+  JavaScript: new Set(['arguments', 'await', 'break', 'case', 'catch', 'class', 'const', 'continue', 'debugger', 'default',
+    'delete', 'do', 'else', 'enum', 'eval', 'export', 'extends', 'false', 'finally', 'for', 'function', 'if', 'implements',
+    'import', 'in', 'instanceof', 'interface', 'let', 'new', 'null', 'package', 'private', 'protected', 'public', 'return',
+    'static', 'super', 'switch', 'this', 'throw', 'true', 'try', 'typeof', 'var', 'void', 'while', 'with', 'yield']),
+  Python: new Set(['False', 'None', 'True', 'and', 'as', 'assert', 'async', 'await', 'break', 'class', 'continue', 'def',
+    'del', 'elif', 'else', 'except', 'finally', 'for', 'from', 'global', 'if', 'import', 'in', 'is', 'lambda', 'nonlocal',
+    'not', 'or', 'pass', 'raise', 'return', 'try', 'while', 'with', 'yield']),
+};
+
+/**
+ * @typedef {Object} ValueType
+ * @property {'int'|'float'|'string'|'bool'|'array'|'object'|'any'|'unknown'} kind - The JSON value kind
+ * @property {ValueType} [elem] - Type of the elements when `kind` is `array`
+ */
+
+/**
+ * Infers the type of a JSON value
+ * @param {any} value
+ * @returns {ValueType}
+ */
+function inferType(value) {
+  if (value === null || value === undefined) return { kind: 'unknown' };
+  if (typeof value === 'boolean') return { kind: 'bool' };
+  if (typeof value === 'string') return { kind: 'string' };
+  if (typeof value === 'number') return { kind: Number.isInteger(value) ? 'int' : 'float' };
+  if (Array.isArray(value)) {
+    return { kind: 'array', elem: value.map(inferType).reduce(mergeTypes, { kind: 'unknown' }) };
+  }
+  return { kind: 'object' };
+}
+
+/**
+ * Merges two inferred types, e.g. an `int` seen in one testcase & a `float` in another becomes a `float`
+ * @param {ValueType} a
+ * @param {ValueType} b
+ * @returns {ValueType}
+ */
+function mergeTypes(a, b) {
+  if (a.kind === 'unknown') return b;
+  if (b.kind === 'unknown') return a;
+  if (a.kind === 'array' && b.kind === 'array') return { kind: 'array', elem: mergeTypes(a.elem, b.elem) };
+  if (a.kind === b.kind) return a;
+  if (['int', 'float'].includes(a.kind) && ['int', 'float'].includes(b.kind)) return { kind: 'float' };
+  return { kind: 'any' };
+}
+
+/**
+ * Converts a question title to a camelCase function name, e.g. `Two Number Sum` -> `twoNumberSum`
+ * @param {string} title
+ * @returns {string}
+ */
+function functionName(title) {
+  const words = title.split(/[^a-zA-Z0-9]+/).filter(Boolean);
+  const name = words
+    .map((word, idx) => idx === 0 ? word.toLowerCase() : word[0].toUpperCase() + word.slice(1))
+    .join('');
+  return /^[0-9]/.test(name) ? `solve${name}` : (name || 'solve');
+}
+
+/**
+ * Converts an identifier to PascalCase, e.g. `targetSum` -> `TargetSum`
+ * @param {string} name
+ * @returns {string}
+ */
+function pascalCase(name) {
+  return name[0].toUpperCase() + name.slice(1);
+}
+
+/**
+ * Replaces the characters that are not allowed in identifiers
+ * @param {string} name
+ * @returns {string}
+ */
+function identifier(name) {
+  const safe = name.replace(/[^a-zA-Z0-9_]/g, '_');
+  return /^[0-9]/.test(safe) ? `_${safe}` : safe;
+}
+
+/**
+ * Appends `_` to an identifier that is a reserved word of the language, e.g. `type` -> `type_` in Go
+ * @param {string} name
+ * @param {string} [language] - One of the `languages` option, none keeps the name
+ * @returns {string}
+ */
+function unreserved(name, language) {
+  return RESERVED_WORDS[language] && RESERVED_WORDS[language].has(name) ? `${name}_` : name;
+}
+
+/**
+ * @param {ValueType} type
+ * @returns {string} the Go type
+ */
+function goType(type) {
+  switch (type.kind) {
+    case 'int': return 'int';
+    case 'float': return 'float64';
+    case 'string': return 'string';
+    case 'bool': return 'bool';
+    case 'array': return `[]${goType(type.elem)}`;
+    case 'object': return 'map[string]interface{}';
+    default: return 'interface{}';
+  }
+}
+
+/**
+ * @param {ValueType} type
+ * @returns {string} the Java type
+ */
+function javaType(type) {
+  switch (type.kind) {
+    case 'int': return 'int';
+    case 'float': return 'double';
+    case 'string': return 'String';
+    case 'bool': return 'boolean';
+    case 'array': {
+      const elem = javaType(type.elem);
+      return elem === 'Object' ? 'Object[]' : `${elem}[]`;
+    }
+    default: return 'Object';
+  }
+}
+
+/**
+ * Generates a solution stub & a test runner for each language, which load the scraped testcases.json
+ * @typedef {Object} HarnessGenerator
+ */
+class HarnessGenerator {
+
+  /**
+   * @typedef {Object} Signature
+   * @property {string} name - camelCase name of the solution function
+   * @property {Array<{name: string, key: string, type: ValueType}>} params - Parameters, in the order of the testcase inputs
+   * @property {ValueType} returnType - Type of the expected output
+   */
+
+  /**
+   * Infers the solution signature from the testcases
+   * @param {string} title - The title of the coding question
+   * @param {Array<import('./extractor').TestCase>} testcases - The scraped testcases
+   * @param {string} [language] - Language the names are valid identifiers of, its reserved words get a trailing `_`
+   * @returns {Signature|null} the signature, null when no testcase has inputs
+   */
+  inferSignature(title, testcases, language) {
+    const withInputs = testcases.filter(testcase => testcase.inputs && typeof testcase.inputs === 'object');
+    if (withInputs.length === 0) {
+      return null;
+    }
+
+    const params = Object.keys(withInputs[0].inputs).map(key => ({
+      key,
+      name: unreserved(identifier(key), language),
+      type: withInputs.map(testcase => inferType(testcase.inputs[key])).reduce(mergeTypes, { kind: 'unknown' }),
+    }));
+    const returnType = withInputs.map(testcase => inferType(testcase.expected)).reduce(mergeTypes, { kind: 'unknown' });
+
+    // Go exports the solution function: its capitalized name is never a keyword
+    const name = language === 'Golang' ? functionName(title) : unreserved(functionName(title), language);
+    return { name, params, returnType };
+  }
+
+  /**
+   * Generates the harness files of every language
+   * @param {string} title - The title of the coding question
+   * @param {Array<string>} languages - Languages to generate files for
+   * @param {Array<import('./extractor').TestCase>} testcases - The scraped testcases
+   * @param {Object} [options]
+   * @param {boolean} [options.escapeReserved=true] - Whether the names that are reserved words get a trailing `_`, as
+   *   they didn't in the stubs of older runs
+   * @returns {Map<string, string>} Map of file contents, `key = path relative to the question directory`. Empty when no testcase has inputs
+   */
+  generateFiles(title, languages, testcases, { escapeReserved = true } = {}) {
+    const files = new Map();
+    const signature = this.inferSignature(title, testcases);
+    if (!signature) {
+      logger.warn(`-- No testcase inputs for ${title}, skipping test harness generation`);
+      return files;
+    }
+
+    for (const language of languages) {
+      const languageSignature = this.inferSignature(title, testcases, escapeReserved ? language : undefined);
+      const generator = {
+        Golang: () => this.golang(title, languageSignature),
+        Java: () => this.java(title, languageSignature),
+        JavaScript: () => this.javascript(title, languageSignature),
+        Python: () => this.python(title, languageSignature),
+      }[language];
+
+      if (!generator) {
+        logger.warn(`-- No test harness available for ${language}`);
+        continue;
+      }
+
+      for (const [fileName, content] of Object.entries(generator())) {
+        files.set(`${language}/${fileName}`, content);
+      }
+    }
+    return files;
+  }
+
+  /**
+   * Generates the harness files as the current & older runs wrote them, to tell the stubs the user never edited apart
+   * @param {string} title - The title of the coding question
+   * @param {Array<string>} languages - Languages to generate files for
+   * @param {Array<import('./extractor').TestCase>} testcases - The scraped testcases
+   * @returns {Map<string, Array<string>>} Every generated content of each file, the current one first. Empty when no
+   *   testcase has inputs
+   */
+  generatedVersions(title, languages, testcases) {
+    const versions = new Map();
+    if (!this.inferSignature(title, testcases)) {
+      return versions;
+    }
+
+    for (const escapeReserved of [true, false]) {
+      for (const [file, content] of this.generateFiles(title, languages, testcases, { escapeReserved })) {
+        const contents = versions.get(file) || [];
+        versions.set(file, contents.includes(content) ? contents : [...contents, content]);
+      }
+    }
+    return versions;
+  }
+
+  /**
+   * Jest runner & CommonJS solution stub
+   * @param {string} title
+   * @param {Signature} signature
+   * @returns {Object<string, string>} file contents by file name
+   */
+  javascript(title, { name, params }) {
+    const args = params.map(param => param.name).join(', ');
+
+    return {
+      [SOLUTION_FILES.JavaScript]: `function ${name}(${args}) {
+  // Write your code here.
+}
+
+exports.${name} = ${name};
+`,
+      'solution.test.js': `const testcases = require('../testcases.json');
+const { ${name} } = require('./solution');
+
+const PARAMS = ${JSON.stringify(params.map(param => param.key))};
+
+describe(${JSON.stringify(title)}, () => {
+  test.each(testcases.map(testcase => [testcase.name, testcase]))('%s', (_name, { inputs, expected }) => {
+    expect(${name}(...PARAMS.map(param => inputs[param]))).toEqual(expected);
+  });
+});
+`,
+    };
+  }
+
+  /**
+   * pytest runner & solution stub
+   * @param {string} title
+   * @param {Signature} signature
+   * @returns {Object<string, string>} file contents by file name
+   */
+  python(title, { name, params }) {
+    const args = params.map(param => param.name).join(', ');
+
+    return {
+      [SOLUTION_FILES.Python]: `def ${name}(${args}):
+    # Write your code here.
+    pass
+`,
+      'test_solution.py': `# ${title}
+import json
+import os
+
+import pytest
+
+from solution import ${name}
+
+HERE = os.path.dirname(os.path.abspath(__file__))
+with open(os.path.join(HERE, "..", "testcases.json")) as file:
+    TESTCASES = json.load(file)
+
+PARAMS = ${JSON.stringify(params.map(param => param.key))}
+
+
+@pytest.mark.parametrize("testcase", TESTCASES, ids=[testcase["name"] for testcase in TESTCASES])
+def test_solution(testcase):
+    inputs = testcase["inputs"]
+    assert ${name}(*[inputs[param] for param in PARAMS]) == testcase["expected"]
+`,
+    };
+  }
+
+  /**
+   * go test runner, solution stub & go.mod
+   * @param {string} title
+   * @param {Signature} signature
+   * @returns {Object<string, string>} file contents by file name
+   */
+  golang(title, { name, params, returnType }) {
+    const funcName = pascalCase(name);
+    const args = params.map(param => `${param.name} ${goType(param.type)}`).join(', ');
+    const fields = params
+      .map(param => `\t\t${pascalCase(param.name)} ${goType(param.type)} \`json:${JSON.stringify(param.key)}\``)
+      .join('\n');
+    const callArgs = params.map(param => `tc.Inputs.${pascalCase(param.name)}`).join(', ');
+
+    return {
+      'go.mod': `module solution
+
+go 1.20
+`,
+      [SOLUTION_FILES.Golang]: `package solution
+
+func ${funcName}(${args}) ${goType(returnType)} {
+\t// Write your code here.
+\tpanic("not implemented")
+}
+`,
+      'solution_test.go': `package solution
+
+import (
+\t"encoding/json"
+\t"os"
+\t"path/filepath"
+\t"reflect"
+\t"testing"
+)
+
+type testCase struct {
+\tName   string \`json:"name"\`
+\tInputs struct {
+${fields}
+\t} \`json:"inputs"\`
+\tExpected ${goType(returnType)} \`json:"expected"\`
+}
+
+// equal compares with reflect.DeepEqual, treating nil & empty slices as equal
+func equal(a, b interface{}) bool {
+\tva, vb := reflect.ValueOf(a), reflect.ValueOf(b)
+\tif va.Kind() == reflect.Slice && vb.Kind() == reflect.Slice && va.Len() == 0 && vb.Len() == 0 {
+\t\treturn true
+\t}
+\treturn reflect.DeepEqual(a, b)
+}
+
+// Test${funcName} runs the testcases of ${title}
+func Test${funcName}(t *testing.T) {
+\tdata, err := os.ReadFile(filepath.Join("..", "testcases.json"))
+\tif err != nil {
+\t\tt.Fatal(err)
+\t}
+
+\tvar testcases []testCase
+\tif err := json.Unmarshal(data, &testcases); err != nil {
+\t\tt.Fatal(err)
+\t}
+
+\tfor _, tc := range testcases {
+\t\ttc := tc
+\t\tt.Run(tc.Name, func(t *testing.T) {
+\t\t\tactual := ${funcName}(${callArgs})
+\t\t\tif !equal(actual, tc.Expected) {
+\t\t\t\tt.Errorf("expected %v, got %v", tc.Expected, actual)
+\t\t\t}
+\t\t})
+\t}
+}
+`,
+    };
+  }
+
+  /**
+   * JUnit 5 runner, solution stub & maven pom.xml. Testcases are read with Gson
+   * @param {string} title
+   * @param {Signature} signature
+   * @returns {Object<string, string>} file contents by file name
+   */
+  java(title, { name, params, returnType }) {
+    const args = params.map(param => `${javaType(param.type)} ${param.name}`).join(', ');
+    const fields = params
+      .map(param => `    @SerializedName(${JSON.stringify(param.key)}) ${javaType(param.type)} ${param.name};`)
+      .join('\n');
+    const callArgs = params.map(param => `testcase.inputs.${param.name}`).join(', ');
+
+    return {
+      'pom.xml': `<?xml version="1.0" encoding="UTF-8"?>
+<project xmlns="http://maven.apache.org/POM/4.0.0"
+         xmlns:xsi="http://www.w3.org/2001/XMLSchema-instance"
+         xsi:schemaLocation="http://maven.apache.org/POM/4.0.0 http://maven.apache.org/xsd/maven-4.0.0.xsd">
+  <modelVersion>4.0.0</modelVersion>
+  <groupId>algoexpert</groupId>
+  <artifactId>solution</artifactId>
+  <version>1.0.0</version>
+
+  <properties>
+    <maven.compiler.release>11</maven.compiler.release>
+    <project.build.sourceEncoding>UTF-8</project.build.sourceEncoding>
+  </properties>
+
+  <dependencies>
+    <dependency>
+      <groupId>org.junit.jupiter</groupId>
+      <artifactId>junit-jupiter</artifactId>
+      <version>5.10.2</version>
+      <scope>test</scope>
+    </dependency>
+    <dependency>
+      <groupId>com.google.code.gson</groupId>
+      <artifactId>gson</artifactId>
+      <version>2.10.1</version>
+      <scope>test</scope>
+    </dependency>
+  </dependencies>
+
+  <build>
+    <sourceDirectory>src</sourceDirectory>
+    <testSourceDirectory>test</testSourceDirectory>
+    <plugins>
+      <plugin>
+        <groupId>org.apache.maven.plugins</groupId>
+        <artifactId>maven-surefire-plugin</artifactId>
+        <version>3.2.5</version>
+      </plugin>
+    </plugins>
+  </build>
+</project>
+`,
+      [SOLUTION_FILES.Java]: `import java.util.*;
+
+class Program {
+  public static ${javaType(returnType)} ${name}(${args}) {
+    // Write your code here.
+    throw new UnsupportedOperationException("not implemented");
+  }
+}
+`,
+      'test/ProgramTest.java': `import static org.junit.jupiter.api.Assertions.assertTrue;
+
+import com.google.gson.Gson;
+import com.google.gson.annotations.SerializedName;
+import java.nio.file.Files;
+import java.nio.file.Paths;
+import java.util.Arrays;
+import java.util.Objects;
+import java.util.stream.Stream;
+import org.junit.jupiter.api.DynamicTest;
+import org.junit.jupiter.api.TestFactory;
+
+/** Runs the testcases of ${title} */
+class ProgramTest {
+  static class Inputs {
+${fields}
+  }
+
+  static class TestCase {
+    String name;
+    Inputs inputs;
+    ${javaType(returnType)} expected;
+  }
+
+  @TestFactory
+  Stream<DynamicTest> testcases() throws Exception {
+    Gson gson = new Gson();
+    String json = new String(Files.readAllBytes(Paths.get("..", "testcases.json")));
+    TestCase[] testcases = gson.fromJson(json, TestCase[].class);
+
+    return Arrays.stream(testcases).map(testcase -> DynamicTest.dynamicTest(testcase.name, () -> {
+      Object actual = Program.${name}(${callArgs});
+      assertTrue(Objects.deepEquals(testcase.expected, actual),
+          "expected " + gson.toJson(testcase.expected) + ", got " + gson.toJson(actual));
+    }));
+  }
+}
+`,
+    };
+  }
+}
+
+module.exports = {
+  SOLUTION_FILES,
+  HarnessGenerator,
+  inferType,
+  goType,
+  javaType,
+  pascalCase,
+};
@@ -0,0 +1,53 @@
+/**
+ * Public API of the AlgoExpert scraper, to embed it in other tools. The command line entry point is scraper.js
+ */
+const { EVENTS, Scraper } = require('./core');
+const { BROWSER_MODES, BrowserManager } = require('./browser');
+const { PageHandler } = require('./page');
+const { DataExtractor } = require('./extractor');
+const { FileManager } = require('./files');
+const { EXPORTERS, Exporter, createExporters } = require('./exporters');
+const { StateManifest, STATUS } = require('./state');
+const { ERROR_KINDS, RetryPolicy, SessionExpiredError } = require('./retry');
+const { RunReport } = require('./report');
+const { ArchiveReader } = require('./archive');
+const { SiteBuilder, serveSite } = require('./site');
+const { RESULT, RUN_STATUS, Verifier } = require('./verify');
+const { ReviewScheduler } = require('./review');
+const { ISSUES, ArchiveAuditor } = require('./audit');
+const { ReadmeTemplate, renderTemplate } = require('./template');
+const { ConfigError, loadConfig } = require('./settings');
+const logger = require('./logger');
+
+module.exports = {
+  Scraper,
+  EVENTS,
+  BrowserManager,
+  BROWSER_MODES,
+  PageHandler,
+  DataExtractor,
+  FileManager,
+  Exporter,
+  EXPORTERS,
+  createExporters,
+  StateManifest,
+  STATUS,
+  RetryPolicy,
+  ERROR_KINDS,
+  SessionExpiredError,
+  RunReport,
+  ArchiveReader,
+  SiteBuilder,
+  serveSite,
+  Verifier,
+  RESULT,
+  RUN_STATUS,
+  ReviewScheduler,
+  ArchiveAuditor,
+  ISSUES,
+  ReadmeTemplate,
+  renderTemplate,
+  loadConfig,
+  ConfigError,
+  logger,
+};
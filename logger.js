@@ -0,0 +1,108 @@
+const fs = require('fs');
+
+/**
+ * Log levels, by increasing severity
+ */
+const LEVELS = {
+  debug: 10,
+  info: 20,
+  warn: 30,
+  error: 40,
+  silent: 100,
+};
+
+/**
+ * Logger shared by every module. Messages at or above `level` are printed, and every message is
+ * written as a JSON line to the log file when one is configured
+ * @typedef {Object} Logger
+ * @property {string} level - Minimum level printed to the console
+ * @property {fs.WriteStream|null} file - JSON lines log file
+ * @property {import('./progress').Progress|null} progress - Progress display redrawn below the printed messages
+ */
+class Logger {
+  constructor() {
+    this.level = 'info';
+    this.file = null;
+    this.progress = null;
+  }
+
+  /**
+   * @param {Object} options
+   * @param {string} [options.level] - Minimum level printed to the console: debug, info, warn, error or silent
+   * @param {string|null} [options.file] - Path of a JSON lines log file, appended to
+   */
+  configure({ level, file } = {}) {
+    if (level !== undefined) {
+      if (!(level in LEVELS)) {
+        throw new Error(`Unknown log level "${level}". Expected one of: ${Object.keys(LEVELS).join(', ')}`);
+      }
+      this.level = level;
+    }
+    if (file) {
+      this.file = fs.createWriteStream(file, { flags: 'a' });
+    }
+  }
+
+  /**
+   * @param {string} level - debug, info, warn or error
+   * @param {string} message
+   * @param {Object} [fields] - Structured data saved with the message in the log file, e.g. `{ url, category }`
+   */
+  log(level, message, fields = {}) {
+    if (this.file) {
+      this.file.write(JSON.stringify({ time: new Date().toISOString(), level, message: message.trim(), ...fields }) + '\n');
+    }
+    if (LEVELS[level] < LEVELS[this.level]) {
+      return;
+    }
+
+    // The progress line is cleared first, so messages never print over it
+    if (this.progress) {
+      this.progress.clear();
+    }
+    if (level === 'error') {
+      console.error(message);
+    } else if (level === 'warn') {
+      console.warn(message);
+    } else {
+      console.log(message);
+    }
+    if (this.progress) {
+      this.progress.render();
+    }
+  }
+
+  debug(message, fields) {
+    this.log('debug', message, fields);
+  }
+
+  info(message, fields) {
+    this.log('info', message, fields);
+  }
+
+  warn(message, fields) {
+    this.log('warn', message, fields);
+  }
+
+  error(message, fields) {
+    this.log('error', message, fields);
+  }
+
+  /**
+   * Flushes & closes the log file
+   * @returns {Promise<void>}
+   */
+  async close() {
+    if (!this.file) {
+      return;
+    }
+
+    const file = this.file;
+    this.file = null;
+    await new Promise(resolve => file.end(resolve));
+  }
+}
+
+module.exports = new Logger();
+module.exports.Logger = Logger;
+module.exports.LEVELS = LEVELS;
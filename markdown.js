@@ -0,0 +1,276 @@
+/**
+ * @typedef {Object} RichTextBlock
+ * @property {'heading'|'markdown'|'code'} type - The kind of block
+ * @property {string} text - Heading text, markdown text, or the raw text of a `<pre>` block
+ */
+
+/**
+ * Converts the children of `root` into a flat list of markdown blocks.
+ *
+ * Runs inside the browser through `locator.evaluate`, so it must not reference anything outside its own body.
+ * @param {HTMLElement} root - The element containing the question prompt
+ * @returns {Array<RichTextBlock>} the blocks in document order
+ */
+function domToMarkdownBlocks(root) {
+  const BLOCK_TAGS = ['P', 'DIV', 'SECTION', 'UL', 'OL', 'PRE', 'BLOCKQUOTE', 'TABLE', 'HR',
+    'H1', 'H2', 'H3', 'H4', 'H5', 'H6'];
+
+  // Wraps text in a markdown marker, keeping surrounding whitespace outside of the marker
+  const wrap = (marker, text) => {
+    const trimmed = text.trim();
+    if (!trimmed) {
+      return text;
+    }
+    const lead = text.match(/^\s*/)[0];
+    const trail = text.match(/\s*$/)[0];
+    return `${lead}${marker}${trimmed}${marker}${trail}`;
+  };
+
+  const inline = (node) => {
+    if (node.nodeType === Node.TEXT_NODE) {
+      return node.textContent.replace(/\s+/g, ' ');
+    }
+    if (node.nodeType !== Node.ELEMENT_NODE) {
+      return '';
+    }
+
+    const content = () => Array.from(node.childNodes).map(inline).join('');
+    switch (node.tagName) {
+      case 'STRONG':
+      case 'B':
+        return wrap('**', content());
+      case 'EM':
+      case 'I':
+        return wrap('*', content());
+      case 'CODE':
+        return wrap('`', node.textContent);
+      case 'A':
+        return `[${content().trim()}](${node.href || node.getAttribute('href') || ''})`;
+      case 'IMG':
+        return `![${node.getAttribute('alt') || ''}](${node.src || node.getAttribute('src') || ''})`;
+      case 'BR':
+        return '  \n';
+      default:
+        return content();
+    }
+  };
+
+  const list = (node, depth) => {
+    const ordered = node.tagName === 'OL';
+    const isList = (child) => child.tagName === 'UL' || child.tagName === 'OL';
+
+    return Array.from(node.children)
+      .filter(child => child.tagName === 'LI')
+      .map((item, idx) => {
+        const marker = ordered ? `${idx + 1}.` : '-';
+        const text = Array.from(item.childNodes)
+          .filter(child => !isList(child))
+          .map(inline).join('').trim();
+        const nested = Array.from(item.children).filter(isList).map(child => list(child, depth + 1));
+        return [`${'  '.repeat(depth)}${marker} ${text}`, ...nested].join('\n');
+      })
+      .join('\n');
+  };
+
+  const table = (node) => {
+    const rows = Array.from(node.querySelectorAll('tr')).map(row =>
+      Array.from(row.children).map(cell => inline(cell).trim().replace(/\|/g, '\\|')));
+    if (rows.length === 0) {
+      return '';
+    }
+
+    const lines = rows.map(cells => `| ${cells.join(' | ')} |`);
+    lines.splice(1, 0, `| ${rows[0].map(() => '---').join(' | ')} |`);
+    return lines.join('\n');
+  };
+
+  const blocks = [];
+  const collect = (parent) => {
+    let paragraph = '';
+    const flush = () => {
+      const text = paragraph.replace(/[ \t]+\n/g, '  \n').trim();
+      if (text) {
+        blocks.push({ type: 'markdown', text });
+      }
+      paragraph = '';
+    };
+
+    for (const node of Array.from(parent.childNodes)) {
+      if (node.nodeType !== Node.ELEMENT_NODE || !BLOCK_TAGS.includes(node.tagName)) {
+        paragraph += inline(node);
+        continue;
+      }
+
+      flush();
+      switch (node.tagName) {
+        case 'PRE':
+          blocks.push({ type: 'code', text: node.textContent.replace(/\n+$/, '') });
+          break;
+        case 'UL':
+        case 'OL':
+          blocks.push({ type: 'markdown', text: list(node, 0) });
+          break;
+        case 'TABLE':
+          blocks.push({ type: 'markdown', text: table(node) });
+          break;
+        case 'HR':
+          blocks.push({ type: 'markdown', text: '---' });
+          break;
+        case 'BLOCKQUOTE': {
+          const text = inline(node).trim();
+          if (text) {
+            blocks.push({ type: 'markdown', text: text.split('\n').map(line => `> ${line}`).join('\n') });
+          }
+          break;
+        }
+        case 'P':
+          paragraph = inline(node);
+          flush();
+          break;
+        case 'DIV':
+        case 'SECTION':
+          collect(node);
+          break;
+        default: // Headings
+          blocks.push({ type: 'heading', text: node.textContent.replace(/\s+/g, ' ').trim() });
+      }
+    }
+    flush();
+  };
+
+  collect(root);
+  return blocks.filter(block => block.type === 'code' || block.text);
+}
+
+/**
+ * @typedef {Object} QuestionExample
+ * @property {string} input - Sample input of the example
+ * @property {string} output - Sample output of the example
+ * @property {string} explanation - Markdown written around the sample blocks, empty when there is none
+ */
+
+/**
+ * @typedef {Object} QuestionSections
+ * @property {string} description - Markdown of the prompt, without the examples, constraints & hints
+ * @property {Array<QuestionExample>} examples - Every sample input & output pair
+ * @property {string} constraints - Markdown of the constraints section, empty when there is none
+ * @property {Array<string>} hints - Markdown of each hint
+ */
+
+/**
+ * Returns the prompt section a heading starts
+ * @param {string} heading
+ * @returns {'input'|'output'|'constraints'|'hints'|'description'}
+ */
+function classifyHeading(heading) {
+  if (/sample\s+input/i.test(heading)) return 'input';
+  if (/sample\s+output/i.test(heading)) return 'output';
+  if (/constraint/i.test(heading)) return 'constraints';
+  if (/hint/i.test(heading)) return 'hints';
+  return 'description';
+}
+
+/**
+ * Wraps the text of a `<pre>` block in a fenced markdown code block
+ * @param {string} text
+ * @returns {string}
+ */
+function codeFence(text) {
+  return '```\n' + text + '\n```';
+}
+
+/**
+ * Splits the blocks of a question prompt into its description, examples, constraints & hints
+ * @param {Array<RichTextBlock>} blocks - Blocks returned by `domToMarkdownBlocks`
+ * @returns {QuestionSections} the separated sections
+ */
+function groupQuestionSections(blocks) {
+  const description = [];
+  const inputs = [];
+  const outputs = [];
+  const explanations = [];
+  const constraints = [];
+  const hints = [];
+
+  let section = 'description';
+  for (const block of blocks) {
+    if (block.type === 'heading') {
+      section = classifyHeading(block.text);
+      if (section === 'description') {
+        description.push(`### ${block.text}`);
+      }
+      continue;
+    }
+
+    const markdown = block.type === 'code' ? codeFence(block.text) : block.text;
+    switch (section) {
+      case 'input':
+      case 'output':
+        if (block.type === 'code') {
+          (section === 'input' ? inputs : outputs).push(block.text.trim());
+        } else {
+          // Text next to a sample belongs to the example currently being read
+          const idx = Math.max(inputs.length, outputs.length) - 1;
+          if (idx < 0) {
+            description.push(markdown);
+            break;
+          }
+          explanations[idx] = [explanations[idx], markdown].filter(Boolean).join('\n\n');
+        }
+        break;
+      case 'constraints':
+        constraints.push(markdown);
+        break;
+      case 'hints':
+        hints.push(markdown);
+        break;
+      default:
+        description.push(markdown);
+    }
+  }
+
+  const examples = [];
+  for (let idx = 0; idx < Math.max(inputs.length, outputs.length); idx++) {
+    examples.push({
+      input: inputs[idx] || '',
+      output: outputs[idx] || '',
+      explanation: explanations[idx] || '',
+    });
+  }
+
+  return {
+    description: description.join('\n\n'),
+    examples,
+    constraints: constraints.join('\n\n'),
+    hints,
+  };
+}
+
+/**
+ * Serializes a flat object as a YAML front matter block. Strings are written as double quoted
+ * YAML scalars (a subset of JSON strings), arrays as block sequences
+ * @param {Object<string, string|number|boolean|null|Array<string>>} data
+ * @returns {string} the front matter, including the `---` delimiters and a trailing newline
+ */
+function yamlFrontMatter(data) {
+  const scalar = (value) => (value === null || value === undefined) ? 'null' : JSON.stringify(value);
+
+  const lines = Object.entries(data).map(([key, value]) => {
+    if (!Array.isArray(value)) {
+      return `${key}: ${scalar(value)}`;
+    }
+    if (value.length === 0) {
+      return `${key}: []`;
+    }
+    return [`${key}:`, ...value.map(item => `  - ${scalar(item)}`)].join('\n');
+  });
+
+  return `---\n${lines.join('\n')}\n---\n`;
+}
+
+module.exports = {
+  domToMarkdownBlocks,
+  groupQuestionSections,
+  codeFence,
+  yamlFrontMatter,
+};
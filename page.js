@@ -0,0 +1,297 @@
+const selectors = require('./selectors');
+const { SelectorError, SelectorResolver } = require('./resolver');
+const { jitter } = require('./ratelimit');
+const { SessionExpiredError } = require('./retry');
+const { MISSING_FIXTURE_HEADER, MissingFixtureError } = require('./fixtures');
+const logger = require('./logger');
+
+/**
+ * Handles page interactions such as navigation, and element interactions.
+ * Selectors are either CSS selectors or selector strategies from selectors.js, whose fallbacks are tried in order
+ * @typedef {Object} PageHandler
+ * @property {import('playwright').Page} page
+ * @property {SelectorResolver} resolver
+ */
+class PageHandler {
+  /**
+   * @param {import('playwright').Page} page
+   * @param {Object} [options]
+   * @param {boolean} [options.waits=true] - Whether to wait between actions, disabled when replaying fixtures
+   * @param {import('./ratelimit').TokenBucket} [options.rateLimiter] - Rate limiter shared by every page
+   * @param {Array<number>} [options.jitter=[500, 2000]] - Minimum & maximum random delay before each action, in milliseconds
+   * @param {SelectorResolver} [options.resolver] - Resolver shared by every page, so they all prefer the candidates that matched
+   * @param {Object} [options.timeouts] - `navigation` & `element` timeouts, in milliseconds (30000 by default)
+   * @param {() => Promise<import('playwright').Page>} [options.newPage] - Opens the page replacing a closed one,
+   *   defaults to a new page in the same browser context
+   */
+  constructor(page, {
+    waits = true, rateLimiter = null, jitter = [500, 2000], resolver = new SelectorResolver(), timeouts = {},
+    newPage = () => this.page.context().newPage(),
+  } = {}) {
+    this.page = page;
+    this.newPage = newPage;
+    this.waits = waits;
+    this.rateLimiter = rateLimiter;
+    this.jitter = jitter;
+    this.resolver = resolver;
+    this.timeouts = { navigation: 30000, element: 30000, ...timeouts };
+  }
+
+  /**
+   * Resolves a selector to a locator on the page, see `SelectorResolver.resolve`
+   * @param {string|import('./resolver').SelectorStrategy} selector - CSS selector or selector strategy
+   * @param {Object} [options] - `hasText`, `required` & `timeout` options
+   * @returns {Promise<import('playwright').Locator>}
+   */
+  async locate(selector, options) {
+    return await this.resolver.resolve(this.page, selector, { timeout: this.timeouts.element, ...options });
+  }
+
+  /**
+   * Goes to the given `url`
+   * @param {string} url 
+   * @throws {SessionExpiredError} when AlgoExpert redirects to the login page or rejects the session
+   * @throws {MissingFixtureError} when a replayed page has no fixture
+   */
+  async goToUrl(url) {
+    await this.throttle();
+    logger.debug(`Goto: ${url}\n`);
+    const response = await this.page.goto(url, { waitUntil: 'networkidle', timeout: this.timeouts.navigation }); // Realistic waiting
+
+    if (/\/(login|log-in|sign-?in)\b/i.test(new URL(this.page.url()).pathname)) {
+      throw new SessionExpiredError(url);
+    }
+    if (response && response.headers()[MISSING_FIXTURE_HEADER]) {
+      throw new MissingFixtureError(url, response.headers()[MISSING_FIXTURE_HEADER]);
+    }
+    if (response && [401, 403].includes(response.status())) {
+      throw new SessionExpiredError(url, `got HTTP ${response.status()}`);
+    }
+  }
+
+  /**
+   * Closes the page and opens a new one in the same browser context, e.g. after a navigation timeout
+   */
+  async reopen() {
+    await this.page.close().catch(() => {}); // Closing a crashed page may fail
+    this.page = await this.newPage();
+    logger.info('-- Reopened the page');
+  }
+
+  /**
+   * Waits for a token of the shared rate limiter, then a random delay, before each navigation or click
+   */
+  async throttle() {
+    if (!this.waits) {
+      return;
+    }
+
+    if (this.rateLimiter) {
+      await this.rateLimiter.take();
+    }
+    await this.page.waitForTimeout(jitter(...this.jitter));
+  }
+
+  /**
+   * Returns the text contents of the element found with `selectorOrLocator`
+   * @param {string|import('./resolver').SelectorStrategy|import('playwright').Locator} selectorOrLocator - Either a selector or a Locator. 
+   * @returns {string} the element text contents
+   * @throws {SelectorError} when no candidate of a selector strategy matches an element
+   */
+  async getElementText(selectorOrLocator) {
+    try {
+      if (typeof selectorOrLocator === 'string' || selectorOrLocator.candidates) {
+        return await (await this.locate(selectorOrLocator)).first().textContent();
+      }
+      // return await element.textContent();
+      return await selectorOrLocator.textContent();
+    } catch (error) {
+      if (error instanceof SelectorError) {
+        throw error;
+      }
+      logger.error(`Error finding element with selector ${selectorOrLocator.name || selectorOrLocator}: ${error}`);
+      return null;
+    }
+  }
+
+  /**
+   * Returns the text contents of the first element found with `selector` inside of `element`
+   * @param {import('playwright').Locator} element - The element to search in
+   * @param {string|import('./resolver').SelectorStrategy} selector - CSS selector or selector strategy
+   * @returns {Promise<string>} the element text contents
+   * @throws {SelectorError} when no candidate of a selector strategy matches an element
+   */
+  async getNestedElementText(element, selector) {
+    return await (await this.resolver.resolve(element, selector, { timeout: this.timeouts.element })).first().textContent();
+  }
+
+  /**
+   * Returns the href of `element`
+   * @param {import('playwright').Locator | import('playwright').ElementHandle} element
+   * @returns {Promise<string>} The element href value
+   */
+  async getElementHref(element) { // New method to get href of a single element
+    return await element.getAttribute('href');
+  }
+
+  /**
+   * Clicks the element given in `selectorOrLocator`, once the rate limiter allows it
+   * @param {string|import('./resolver').SelectorStrategy|import('playwright').Locator} selectorOrLocator - Either a selector or a Locator. 
+   */
+  async clickAndWait(selectorOrLocator) {
+    await this.throttle();
+    if (typeof selectorOrLocator === 'string' || selectorOrLocator.candidates) {
+      await (await this.locate(selectorOrLocator)).click();
+    } else {
+      await selectorOrLocator.click();
+    }
+  }
+
+  /**
+   * Clicks the first element with the given text, once the rate limiter allows it
+   * @param {string|import('./resolver').SelectorStrategy} selector - CSS selector or selector strategy for element
+   * @param {string|RegExp} elementText - Text content the element should have
+   */
+  async clickElemenWithText(selector, elementText) {
+    await this.throttle();
+    await (await this.locate(selector, { hasText: elementText })).click();
+  }
+
+  /**
+   * Waits for an element with the given selector, and text when given, to appear
+   * @param {string|import('./resolver').SelectorStrategy} selector - CSS selector or selector strategy for element
+   * @param {Object} [options]
+   * @param {string|RegExp} [options.hasText] - Text content the element should have
+   * @param {Array<{candidate: string, count: number}>} [options.beyond] - Counts of `inspectSelector` taken before an
+   *   action, to wait for a candidate matching one more element, e.g. the panel revealed by a click
+   * @param {number} [options.timeout] - How long to wait, in milliseconds, defaults to the element timeout
+   * @returns {Promise<boolean>} false when no element appeared in time
+   */
+  async waitForElement(selector, { hasText, beyond, timeout = this.timeouts.element } = {}) {
+    try {
+      if (beyond) {
+        const filter = hasText ? { hasText } : undefined;
+        // Invalid candidates are reported by inspectSelector, they can't be waited for
+        await beyond.filter(({ error }) => !error).map(({ candidate, count }) => this.page.locator(candidate, filter).nth(count))
+          .reduce((any, locator) => any.or(locator)).first().waitFor({ state: 'attached', timeout });
+      } else {
+        await (await this.locate(selector, { hasText, timeout })).first().waitFor({ state: 'attached', timeout });
+      }
+      return true;
+    } catch (error) {
+      return false;
+    }
+  }
+
+  /**
+   * Runs `action` while recording the JSON bodies of the fetch & xhr responses the page receives.
+   * Once the action is done, responses are recorded until none arrives for `idle` milliseconds
+   * @param {Function} action - Async function that triggers the requests, e.g. a click
+   * @param {Object} [options]
+   * @param {number} [options.idle=2000] - Milliseconds without a new response after which the requests are done
+   * @param {number} [options.timeout=30000] - Maximum time to wait for the responses, in milliseconds
+   * @param {function(import('playwright').Request): boolean} [options.match] - Only records the responses of the
+   *   requests it accepts, e.g. the run request of one language
+   * @returns {Promise<Array<any>>} the parsed response bodies, in the order the responses arrived
+   */
+  async captureJsonResponses(action, { idle = 2000, timeout = 30000, match = () => true } = {}) {
+    const bodies = [];
+    const onResponse = (response) => {
+      const contentType = response.headers()['content-type'] || '';
+      if (!['fetch', 'xhr'].includes(response.request().resourceType()) || !contentType.includes('json') ||
+        !match(response.request())) {
+        return;
+      }
+      // Bodies of redirects or aborted requests can't be read, they are ignored
+      bodies.push(response.json().catch(() => null));
+    };
+
+    this.page.on('response', onResponse);
+    try {
+      await action();
+
+      // Replays block every request, there is nothing to wait for
+      const deadline = Date.now() + timeout;
+      for (let seen = -1; this.waits && Date.now() < deadline && (bodies.length === 0 || bodies.length !== seen);) {
+        seen = bodies.length;
+        await this.page.waitForTimeout(idle);
+      }
+    } finally {
+      this.page.off('response', onResponse);
+    }
+    return (await Promise.all(bodies)).filter(body => body !== null);
+  }
+
+  /**
+   * Runs `pageFunction` in the browser with every element found with `selector`
+   * @param {string|import('./resolver').SelectorStrategy} selector - CSS selector or selector strategy for the elements
+   * @param {Function} pageFunction - Self contained function that receives the array of elements
+   * @returns {Promise<any>} the serializable value returned by `pageFunction`
+   */
+  async evaluateOnElements(selector, pageFunction) {
+    return await (await this.locate(selector, { required: false })).evaluateAll(pageFunction);
+  }
+
+  /**
+   * Checks if there is at least one element with the given selector & text
+   * @param {string|import('./resolver').SelectorStrategy} selector - CSS selector or selector strategy for element
+   * @param {string|RegExp} elementText - Text content the element should have
+   * @returns {Promise<boolean>}
+   */
+  async hasElementWithText(selector, elementText) {
+    return await (await this.locate(selector, { hasText: elementText, required: false })).count() > 0;
+  }
+
+  /**
+   * Runs `pageFunction` in the browser with the first element found with `selector`
+   * @param {string|import('./resolver').SelectorStrategy} selector - CSS selector or selector strategy for the element
+   * @param {Function} pageFunction - Self contained function that receives the element
+   * @returns {Promise<any>} the serializable value returned by `pageFunction`
+   * @throws {SelectorError} when no candidate of a selector strategy matches an element
+   */
+  async evaluateOnElement(selector, pageFunction) {
+    return await (await this.locate(selector)).first().evaluate(pageFunction);
+  }
+
+  /**
+   * Returns the HTML of the current page
+   * @returns {Promise<string>} the serialized page HTML
+   */
+  async getPageHtml() {
+    return await this.page.content();
+  }
+
+  /**
+   * Returns the URL of the current page
+   * @returns {string}
+   */
+  getCurrentUrl() {
+    return this.page.url();
+  }
+
+  /**
+   * Gets all elements elements with the given selector
+   * @param {string|import('./resolver').SelectorStrategy} selector - CSS selector or selector strategy for elements 
+   * @returns {Promise<Array<import('playwright').Locator>>} A promise that resolves to an array of Locators, empty when nothing matches.
+   */
+  async getElements(selector) {
+    return await (await this.locate(selector, { required: false })).all();
+  }
+
+  /**
+   * Counts the elements every candidate of a selector matches, see `SelectorResolver.inspect`
+   * @param {string|import('./resolver').SelectorStrategy} selector - CSS selector or selector strategy
+   * @param {Object} [options]
+   * @param {string|RegExp} [options.hasText] - Text content the element should have
+   * @param {import('playwright').Locator} [options.scope] - Element to search in, defaults to the page
+   * @returns {Promise<Array<{candidate: string, count: number}>>}
+   */
+  async inspectSelector(selector, { hasText, scope } = {}) {
+    return await this.resolver.inspect(scope || this.page, selector, { hasText });
+  }
+
+}
+
+module.exports = {
+  PageHandler,
+};
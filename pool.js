@@ -0,0 +1,73 @@
+/**
+ * Runs `worker` on every item, with at most `concurrency` items in progress at once.
+ * Items are started in order. When a worker throws, no other item is started, and the error is
+ * thrown once the items in progress are done
+ * @param {Array<any>} items
+ * @param {number} concurrency - Number of workers
+ * @param {(item: any, idx: number, workerIdx: number) => Promise<void>} worker - Handles one item, receives the
+ *   item, its position & the number of the worker running it
+ */
+async function runPool(items, concurrency, worker) {
+  let next = 0;
+  let failed = false;
+
+  const workers = Array.from({ length: Math.min(concurrency, items.length) }, async (_, workerIdx) => {
+    while (!failed && next < items.length) {
+      const idx = next++;
+      try {
+        await worker(items[idx], idx, workerIdx);
+      } catch (error) {
+        failed = true;
+        throw error;
+      }
+    }
+  });
+
+  const results = await Promise.allSettled(workers);
+  const rejected = results.find(result => result.status === 'rejected');
+  if (rejected) {
+    throw rejected.reason;
+  }
+}
+
+/**
+ * Runs tasks in the order of their position, whatever order they are ready in.
+ * Every position must be run exactly once, or the tasks after it wait forever
+ * @typedef {Object} Sequencer
+ * @property {number} next - Position of the next task to run
+ * @property {Map<number, Function>} waiting - Resolves the tasks waiting for their turn, by position
+ */
+class Sequencer {
+  constructor() {
+    this.next = 0;
+    this.waiting = new Map();
+  }
+
+  /**
+   * Waits for the tasks before `idx`, then runs `task`
+   * @param {number} idx - Position of the task, starting at 0
+   * @param {() => Promise<any>} task
+   * @returns {Promise<any>} the value returned by `task`
+   */
+  async run(idx, task) {
+    if (idx !== this.next) {
+      await new Promise(resolve => this.waiting.set(idx, resolve));
+    }
+
+    try {
+      return await task();
+    } finally {
+      this.next++;
+      const resolve = this.waiting.get(this.next);
+      if (resolve) {
+        this.waiting.delete(this.next);
+        resolve();
+      }
+    }
+  }
+}
+
+module.exports = {
+  runPool,
+  Sequencer,
+};
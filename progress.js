@@ -0,0 +1,140 @@
+const logger = require('./logger');
+
+/**
+ * Formats a duration in milliseconds as `1h 05m`, `4m 09s` or `12s`
+ * @param {number} ms
+ * @returns {string}
+ */
+function formatEta(ms) {
+  const seconds = Math.round(ms / 1000);
+  const pad = (value) => String(value).padStart(2, '0');
+  if (seconds >= 3600) {
+    return `${Math.floor(seconds / 3600)}h ${pad(Math.floor(seconds / 60) % 60)}m`;
+  }
+  if (seconds >= 60) {
+    return `${Math.floor(seconds / 60)}m ${pad(seconds % 60)}s`;
+  }
+  return `${seconds}s`;
+}
+
+/**
+ * Progress of the questions being scraped, with an ETA based on the average time per question so far.
+ * On a terminal it is a status line redrawn below the log messages, otherwise a log message per finished question
+ * @typedef {Object} Progress
+ * @property {NodeJS.WriteStream} stream - Stream the status line is drawn on
+ * @property {boolean} interactive - Whether the status line is drawn
+ * @property {number} total - Number of questions to scrape
+ * @property {number} finished - Number of questions done or failed
+ * @property {number} failed - Number of questions failed
+ * @property {string|null} category - Category of the question started last
+ */
+class Progress {
+  /**
+   * @param {Object} [options]
+   * @param {NodeJS.WriteStream} [options.stream=process.stderr]
+   * @param {boolean} [options.enabled=true] - Draw the status line when `stream` is a terminal
+   */
+  constructor({ stream = process.stderr, enabled = true } = {}) {
+    this.stream = stream;
+    this.interactive = Boolean(enabled && stream.isTTY);
+    this.total = 0;
+    this.finished = 0;
+    this.failed = 0;
+    this.category = null;
+    this.startedAt = null;
+    this.drawn = false;
+  }
+
+  /**
+   * @param {number} total - Number of questions to scrape
+   */
+  start(total) {
+    this.total = total;
+    this.startedAt = Date.now();
+    if (this.interactive && total > 0) {
+      logger.progress = this;
+      this.render();
+    }
+  }
+
+  /**
+   * @param {string} category - Category of the question being started
+   */
+  questionStarted(category) {
+    this.category = category;
+    this.render();
+  }
+
+  /**
+   * @param {boolean} ok - false when the question failed
+   */
+  questionFinished(ok) {
+    this.finished++;
+    if (!ok) {
+      this.failed++;
+    }
+
+    if (this.interactive) {
+      this.render();
+    } else {
+      logger.info(`Progress: ${this.line(this.finished)}`, { finished: this.finished, total: this.total, failed: this.failed });
+    }
+  }
+
+  /**
+   * @returns {number|null} milliseconds left, null before the first question finishes
+   */
+  eta() {
+    if (this.finished === 0) {
+      return null;
+    }
+    return (Date.now() - this.startedAt) / this.finished * (this.total - this.finished);
+  }
+
+  /**
+   * @param {number} [current] - Question number shown, defaults to the question in progress
+   * @returns {string} e.g. `[Arrays] question 4/40, 1 failed, ETA 25m 10s`
+   */
+  line(current = Math.min(this.finished + 1, this.total)) {
+    const eta = this.eta();
+    return `[${this.category || '-'}] question ${current}/${this.total}` +
+      (this.failed > 0 ? `, ${this.failed} failed` : '') +
+      `, ETA ${eta === null ? 'unknown' : formatEta(eta)}`;
+  }
+
+  /**
+   * Draws the status line
+   */
+  render() {
+    if (!this.interactive || logger.progress !== this) {
+      return;
+    }
+    this.stream.write(`\r\x1b[2K${this.line()}`);
+    this.drawn = true;
+  }
+
+  /**
+   * Erases the status line
+   */
+  clear() {
+    if (this.drawn) {
+      this.stream.write('\r\x1b[2K');
+      this.drawn = false;
+    }
+  }
+
+  /**
+   * Erases the status line for good
+   */
+  stop() {
+    this.clear();
+    if (logger.progress === this) {
+      logger.progress = null;
+    }
+  }
+}
+
+module.exports = {
+  Progress,
+  formatEta,
+};
@@ -0,0 +1,69 @@
+const { setTimeout: sleep } = require('timers/promises');
+
+/**
+ * Returns a random whole number of milliseconds between `min` & `max`, both included
+ * @param {number} min
+ * @param {number} max
+ * @returns {number}
+ */
+function jitter(min, max) {
+  return Math.floor(Math.random() * (max - min + 1)) + min;
+}
+
+/**
+ * Token bucket shared by every page, so the pace of the requests to AlgoExpert stays the same
+ * no matter how many pages scrape at once. Waiters get their token in the order they asked for it
+ * @typedef {Object} TokenBucket
+ * @property {number} interval - Milliseconds to refill one token
+ * @property {number} capacity - Maximum number of tokens, how many actions can run back to back
+ * @property {number} tokens - Tokens currently available
+ */
+class TokenBucket {
+  /**
+   * @param {Object} options
+   * @param {number} options.ratePerMinute - Tokens added per minute
+   * @param {number} [options.burst=1] - Maximum number of tokens
+   */
+  constructor({ ratePerMinute, burst = 1 }) {
+    if (!(ratePerMinute > 0) || !(burst >= 1)) {
+      throw new Error(`Invalid rate limit: ${ratePerMinute} per minute with a burst of ${burst}`);
+    }
+
+    this.interval = 60000 / ratePerMinute;
+    this.capacity = burst;
+    this.tokens = burst;
+    this.refilledAt = Date.now();
+    this.queue = Promise.resolve();
+  }
+
+  /**
+   * Adds the tokens earned since the last refill
+   */
+  refill() {
+    const now = Date.now();
+    this.tokens = Math.min(this.capacity, this.tokens + (now - this.refilledAt) / this.interval);
+    this.refilledAt = now;
+  }
+
+  /**
+   * Waits until a token is available and takes it
+   * @returns {Promise<void>}
+   */
+  take() {
+    const turn = this.queue.then(async () => {
+      this.refill();
+      if (this.tokens < 1) {
+        await sleep(Math.ceil((1 - this.tokens) * this.interval));
+        this.refill();
+      }
+      this.tokens -= 1;
+    });
+    this.queue = turn;
+    return turn;
+  }
+}
+
+module.exports = {
+  TokenBucket,
+  jitter,
+};
@@ -0,0 +1,120 @@
+const { writeFileAtomic } = require('./files');
+
+const RUN_REPORT_FILE = 'run-report.json';
+
+/**
+ * Outcomes counted per category
+ */
+const OUTCOMES = ['scraped', 'skipped', 'failed', 'changed'];
+
+/**
+ * Summary of a run: what happened to the questions of each category
+ * @typedef {Object} RunReport
+ * @property {Date} startedAt
+ * @property {Date|null} finishedAt
+ * @property {Map<string, Object<string, number>>} categories - Number of questions of each outcome, by category
+ * @property {Array<{url: string, category: string, kind: string|null, error: string}>} failures - The failed questions
+ * @property {string|null} stoppedBy - Error that stopped the run early, e.g. an expired session
+ */
+class RunReport {
+  constructor() {
+    this.startedAt = new Date();
+    this.finishedAt = null;
+    this.categories = new Map();
+    this.failures = [];
+    this.stoppedBy = null;
+  }
+
+  /**
+   * Counts a question. A changed question is counted as `scraped` too
+   * @param {string} category
+   * @param {'scraped'|'skipped'|'failed'|'changed'} outcome
+   */
+  count(category, outcome) {
+    if (!this.categories.has(category)) {
+      this.categories.set(category, Object.fromEntries(OUTCOMES.map(name => [name, 0])));
+    }
+    this.categories.get(category)[outcome]++;
+  }
+
+  /**
+   * Counts a failed question & keeps its error
+   * @param {string} category
+   * @param {string} url
+   * @param {Error|string} error
+   */
+  fail(category, url, error) {
+    this.count(category, 'failed');
+    this.failures.push({
+      url,
+      category,
+      kind: (error && error.kind) || null,
+      error: error instanceof Error ? error.message : String(error),
+    });
+  }
+
+  /**
+   * @param {Error} [error] - The error that stopped the run early
+   */
+  finish(error) {
+    this.finishedAt = new Date();
+    this.stoppedBy = error ? error.message : null;
+  }
+
+  /**
+   * @returns {Object<string, number>} number of questions of each outcome, across the categories
+   */
+  totals() {
+    const totals = Object.fromEntries(OUTCOMES.map(name => [name, 0]));
+    for (const counts of this.categories.values()) {
+      for (const name of OUTCOMES) {
+        totals[name] += counts[name];
+      }
+    }
+    return totals;
+  }
+
+  toJSON() {
+    const finishedAt = this.finishedAt || new Date();
+    return {
+      startedAt: this.startedAt.toISOString(),
+      finishedAt: finishedAt.toISOString(),
+      durationMs: finishedAt - this.startedAt,
+      stoppedBy: this.stoppedBy,
+      totals: this.totals(),
+      categories: Object.fromEntries(this.categories),
+      failures: this.failures,
+    };
+  }
+
+  /**
+   * Renders the counts of each category as a text table
+   * @returns {string}
+   */
+  toTable() {
+    const rows = [['Category', ...OUTCOMES.map(name => name[0].toUpperCase() + name.slice(1))]];
+    for (const [category, counts] of this.categories) {
+      rows.push([category, ...OUTCOMES.map(name => String(counts[name]))]);
+    }
+    rows.push(['Total', ...OUTCOMES.map(name => String(this.totals()[name]))]);
+
+    const widths = rows[0].map((_, column) => Math.max(...rows.map(row => row[column].length)));
+    const format = (row) => row.map((cell, column) => column === 0 ? cell.padEnd(widths[column]) : cell.padStart(widths[column])).join('  ');
+    const separator = widths.map(width => '-'.repeat(width)).join('  ');
+
+    return [format(rows[0]), separator, ...rows.slice(1, -1).map(format), separator, format(rows[rows.length - 1])].join('\n');
+  }
+
+  /**
+   * Saves the report as JSON
+   * @param {string} [filePath]
+   */
+  async write(filePath = RUN_REPORT_FILE) {
+    await writeFileAtomic(filePath, JSON.stringify(this.toJSON(), null, 2));
+  }
+}
+
+module.exports = {
+  RUN_REPORT_FILE,
+  RunReport,
+};
@@ -0,0 +1,137 @@
+const logger = require('./logger');
+
+/**
+ * @typedef {Object} SelectorStrategy
+ * @property {string} name - Name of the selector, used in error messages & the doctor report
+ * @property {Array<string>} candidates - Playwright selectors tried in order: the obfuscated class names first,
+ *   then role, text & structure based fallbacks that survive a redeploy of the site
+ */
+
+/**
+ * Creates a selector strategy
+ * @param {string} name - Name of the selector
+ * @param {...string} candidates - Playwright selectors, in the order they are tried
+ * @returns {SelectorStrategy}
+ */
+function strategy(name, ...candidates) {
+  return { name, candidates };
+}
+
+/**
+ * @param {SelectorStrategy} selector
+ * @returns {string} the key of the candidate that matched last, the same for strategies with the same candidates
+ */
+function preferenceKey(selector) {
+  return selector.candidates.join('\n');
+}
+
+/**
+ * Thrown when none of the candidates of a selector strategy matches an element
+ */
+class SelectorError extends Error {
+  /**
+   * @param {SelectorStrategy} selector - The strategy that failed
+   * @param {string} [detail] - Why it failed
+   */
+  constructor(selector, detail = 'matched no element') {
+    super(`Selector "${selector.name}" ${detail} (tried: ${selector.candidates.join(' | ')})`);
+    this.name = 'SelectorError';
+    this.selectorName = selector.name;
+    this.candidates = selector.candidates;
+  }
+}
+
+/**
+ * Finds the locator of a selector, trying the fallbacks of a strategy in order.
+ * The candidate that matched last is tried first next time, so a broken primary selector costs a single check
+ * @typedef {Object} SelectorResolver
+ * @property {Map<string, string>} preferred - Candidate that matched last, by candidate list. Strategies built by
+ *   a function, such as the selector of each category, share a name but not their candidates
+ */
+class SelectorResolver {
+  constructor() {
+    this.preferred = new Map();
+  }
+
+  /**
+   * @param {SelectorStrategy} selector
+   * @returns {Array<string>} the candidates, the one that matched last first
+   */
+  orderedCandidates(selector) {
+    const preferred = this.preferred.get(preferenceKey(selector));
+    return preferred ? [preferred, ...selector.candidates.filter(candidate => candidate !== preferred)] : selector.candidates;
+  }
+
+  /**
+   * Resolves a CSS selector or a selector strategy to a locator
+   * @param {import('playwright').Page|import('playwright').Locator} scope - Page or element the selector is scoped to
+   * @param {string|SelectorStrategy} selector
+   * @param {Object} [options]
+   * @param {string|RegExp} [options.hasText] - Text content the element should have
+   * @param {boolean} [options.required=true] - Wait for an element, and throw a `SelectorError` when none appears.
+   *   Optional selectors resolve to an empty locator instead
+   * @param {number} [options.timeout=30000] - How long a required selector waits for an element, in milliseconds
+   * @returns {Promise<import('playwright').Locator>}
+   */
+  async resolve(scope, selector, { hasText, required = true, timeout = 30000 } = {}) {
+    const filter = hasText ? { hasText } : undefined;
+    if (typeof selector === 'string') {
+      return scope.locator(selector, filter);
+    }
+
+    const candidates = this.orderedCandidates(selector);
+    const locators = candidates.map(candidate => scope.locator(candidate, filter));
+
+    if (required) {
+      try {
+        await locators.reduce((any, locator) => any.or(locator)).first().waitFor({ state: 'attached', timeout });
+      } catch (error) {
+        throw new SelectorError(selector, `matched no element within ${timeout}ms`);
+      }
+    }
+
+    for (let idx = 0; idx < candidates.length; idx++) {
+      if (await locators[idx].count() > 0) {
+        if (candidates[idx] !== selector.candidates[0] && this.preferred.get(preferenceKey(selector)) !== candidates[idx]) {
+          logger.warn(`-- Selector "${selector.name}" is using the fallback ${candidates[idx]}`);
+        }
+        this.preferred.set(preferenceKey(selector), candidates[idx]);
+        return locators[idx];
+      }
+    }
+
+    if (required) {
+      throw new SelectorError(selector);
+    }
+    return locators[0];
+  }
+
+  /**
+   * Counts the elements every candidate of a strategy matches, used by the doctor command
+   * @param {import('playwright').Page|import('playwright').Locator} scope - Page or element the selector is scoped to
+   * @param {string|SelectorStrategy} selector
+   * @param {Object} [options]
+   * @param {string|RegExp} [options.hasText] - Text content the element should have
+   * @returns {Promise<Array<{candidate: string, count: number}>>}
+   */
+  async inspect(scope, selector, { hasText } = {}) {
+    const candidates = typeof selector === 'string' ? [selector] : selector.candidates;
+    const results = [];
+
+    for (const candidate of candidates) {
+      try {
+        results.push({ candidate, count: await scope.locator(candidate, hasText ? { hasText } : undefined).count() });
+      } catch (error) {
+        // An invalid selector is reported as matching nothing
+        results.push({ candidate, count: 0, error: error.message });
+      }
+    }
+    return results;
+  }
+}
+
+module.exports = {
+  strategy,
+  SelectorError,
+  SelectorResolver,
+};
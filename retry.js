@@ -0,0 +1,146 @@
+const { setTimeout: sleep } = require('timers/promises');
+const { SelectorError } = require('./resolver');
+const { TestCaseSchemaError } = require('./testcases');
+const { MissingFixtureError } = require('./fixtures');
+const { jitter } = require('./ratelimit');
+const logger = require('./logger');
+
+/**
+ * Kinds of errors a question can fail with
+ */
+const ERROR_KINDS = {
+  NAVIGATION_TIMEOUT: 'navigation-timeout',
+  MISSING_ELEMENT: 'missing-element',
+  PARSE_ERROR: 'parse-error',
+  SESSION_EXPIRED: 'session-expired',
+  MISSING_FIXTURE: 'missing-fixture',
+  UNKNOWN: 'unknown',
+};
+
+/**
+ * Thrown when AlgoExpert redirects to the login page or rejects the session, every following question would fail too
+ */
+class SessionExpiredError extends Error {
+  /**
+   * @param {string} url - The URL that was being loaded
+   * @param {string} [detail] - How the expired session was detected
+   */
+  constructor(url, detail = 'redirected to the login page') {
+    super(`The AlgoExpert login session has expired (${detail} while loading ${url}). ` +
+      'Log in again in the browser (or with "node scraper.js login"), then rerun the scraper to resume');
+    this.name = 'SessionExpiredError';
+    this.url = url;
+  }
+}
+
+/**
+ * Classifies an error, to decide if the step that threw it is worth retrying
+ * @param {Error} error
+ * @returns {string} one of `ERROR_KINDS`
+ */
+function classifyError(error) {
+  if (error instanceof SessionExpiredError) {
+    return ERROR_KINDS.SESSION_EXPIRED;
+  }
+  if (error instanceof MissingFixtureError) {
+    return ERROR_KINDS.MISSING_FIXTURE;
+  }
+  if (error instanceof SelectorError) {
+    return ERROR_KINDS.MISSING_ELEMENT;
+  }
+  if (error instanceof TestCaseSchemaError || error instanceof SyntaxError || /Could not parse/.test(error.message)) {
+    return ERROR_KINDS.PARSE_ERROR;
+  }
+
+  const message = String(error.message);
+  if (/page\.(goto|reload)|net::ERR_|Navigation|Target (page, context or browser )?(has been )?closed/i.test(message)) {
+    return ERROR_KINDS.NAVIGATION_TIMEOUT;
+  }
+  // Playwright timeouts that are not navigations come from waiting on an element
+  if (error.name === 'TimeoutError') {
+    return ERROR_KINDS.MISSING_ELEMENT;
+  }
+  return ERROR_KINDS.UNKNOWN;
+}
+
+/**
+ * Retries failed steps with an exponential backoff, depending on the kind of error
+ * @typedef {Object} RetryPolicy
+ * @property {number} maxAttempts - Attempts of a step, including the first one
+ * @property {number} baseDelay - Delay before the first retry, in milliseconds. Doubles at every retry
+ * @property {number} maxDelay - Maximum delay between two attempts, in milliseconds
+ * @property {Array<string>} retryOn - Error kinds that are retried, see `ERROR_KINDS`
+ */
+class RetryPolicy {
+  /**
+   * @param {Object} [options]
+   * @param {number} [options.maxAttempts=3]
+   * @param {number} [options.baseDelay=2000]
+   * @param {number} [options.maxDelay=30000]
+   * @param {Array<string>} [options.retryOn] - Defaults to navigation timeouts, missing elements & parse errors
+   */
+  constructor({
+    maxAttempts = 3, baseDelay = 2000, maxDelay = 30000,
+    retryOn = [ERROR_KINDS.NAVIGATION_TIMEOUT, ERROR_KINDS.MISSING_ELEMENT, ERROR_KINDS.PARSE_ERROR],
+  } = {}) {
+    const unknownKinds = retryOn.filter(kind => !Object.values(ERROR_KINDS).includes(kind));
+    if (unknownKinds.length > 0) {
+      throw new Error(`Unknown error kind(s) in the retry policy: ${unknownKinds.join(', ')}. ` +
+        `Expected any of: ${Object.values(ERROR_KINDS).join(', ')}`);
+    }
+    if (retryOn.includes(ERROR_KINDS.SESSION_EXPIRED)) {
+      throw new Error('An expired session can not be retried, it stops the run');
+    }
+
+    this.maxAttempts = maxAttempts;
+    this.baseDelay = baseDelay;
+    this.maxDelay = maxDelay;
+    this.retryOn = retryOn;
+  }
+
+  /**
+   * @param {number} attempt - The attempt that failed, starting at 1
+   * @returns {number} milliseconds to wait before the next attempt, with up to 25% of jitter
+   */
+  delay(attempt) {
+    const delay = Math.min(this.maxDelay, this.baseDelay * 2 ** (attempt - 1));
+    return delay + jitter(0, Math.floor(delay / 4));
+  }
+
+  /**
+   * Runs `task` until it succeeds, its error is not retried, or every attempt is used
+   * @param {(attempt: number) => Promise<any>} task - Receives the attempt number, starting at 1
+   * @param {Object} [options]
+   * @param {(kind: string, error: Error, attempt: number) => Promise<void>} [options.onRetry] - Called before each
+   *   retry, e.g. to reload or reopen the page
+   * @returns {Promise<any>} the value returned by `task`
+   * @throws the error of the last attempt, with its kind in `error.kind`
+   */
+  async run(task, { onRetry } = {}) {
+    for (let attempt = 1; ; attempt++) {
+      try {
+        return await task(attempt);
+      } catch (error) {
+        error.kind = classifyError(error);
+        if (!this.retryOn.includes(error.kind) || attempt >= this.maxAttempts) {
+          throw error;
+        }
+
+        const delay = this.delay(attempt);
+        logger.warn(`-- Attempt ${attempt}/${this.maxAttempts} failed (${error.kind}): ${error.message.split('\n')[0]}`);
+        logger.warn(`-- Retrying in ${(delay / 1000).toFixed(1)}s`);
+        if (onRetry) {
+          await onRetry(error.kind, error, attempt);
+        }
+        await sleep(delay);
+      }
+    }
+  }
+}
+
+module.exports = {
+  ERROR_KINDS,
+  SessionExpiredError,
+  classifyError,
+  RetryPolicy,
+};
@@ -0,0 +1,264 @@
+const path = require('path');
+const { pathToFileURL } = require('url');
+const { ArchiveReader } = require('./archive');
+const { readIfExists, writeFileAtomic } = require('./files');
+const cli = require('./cli');
+const logger = require('./logger');
+
+/**
+ * Review history in the download directory, when no other is configured
+ */
+const REVIEW_FILE = 'review-history.json';
+
+// SM-2 easiness factors: new questions start higher the easier they are, so hard questions come back sooner
+const INITIAL_EASINESS = {
+  'Easy': 2.5,
+  'Medium': 2.3,
+  'Hard': 2.1,
+  'Very Hard': 1.9,
+};
+const DEFAULT_EASINESS = 2.5;
+const MIN_EASINESS = 1.3;
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * @typedef {Object} Review
+ * @property {string} date - `YYYY-MM-DD`
+ * @property {number} grade - 0 (blank) to 5 (perfect recall)
+ * @property {number} interval - Days until the next review
+ */
+
+/**
+ * @typedef {Object} ReviewItem
+ * @property {string} slug - e.g. `two-number-sum`
+ * @property {string} title
+ * @property {string} category
+ * @property {string|null} difficulty
+ * @property {number} easiness - SM-2 easiness factor, 1.3 at least
+ * @property {number} interval - Days between the last review & the next one
+ * @property {number} repetitions - Reviews in a row graded 3 or more
+ * @property {string} due - `YYYY-MM-DD` of the next review
+ * @property {Array<Review>} history
+ */
+
+/**
+ * @param {Date} [date]
+ * @returns {string} the local date, `YYYY-MM-DD`
+ */
+function formatDate(date = new Date()) {
+  return [date.getFullYear(), date.getMonth() + 1, date.getDate()].map(part => String(part).padStart(2, '0')).join('-');
+}
+
+/**
+ * @param {string} date - `YYYY-MM-DD`
+ * @returns {number} the UTC timestamp of the start of the day, so differences are whole days
+ */
+function parseDate(date) {
+  const [year, month, day] = date.split('-').map(Number);
+  return Date.UTC(year, month - 1, day);
+}
+
+/**
+ * @param {string} date - `YYYY-MM-DD`
+ * @param {number} days
+ * @returns {string} the date `days` later, `YYYY-MM-DD`
+ */
+function addDays(date, days) {
+  return new Date(parseDate(date) + days * DAY_MS).toISOString().slice(0, 10);
+}
+
+/**
+ * Applies a review to the SM-2 state of a question: a grade of 3 or more grows the interval (1 day, 6 days, then
+ * the last interval times the easiness), a lower grade starts the question over the next day
+ * @param {ReviewItem} item
+ * @param {number} grade - 0 to 5
+ * @param {string} date - Day of the review, `YYYY-MM-DD`
+ * @returns {ReviewItem} the updated item
+ */
+function applyReview(item, grade, date) {
+  const repetitions = grade >= 3 ? item.repetitions + 1 : 0;
+  const interval = grade < 3 ? 1 : repetitions === 1 ? 1 : repetitions === 2 ? 6 : Math.round(item.interval * item.easiness);
+  const easiness = Math.max(MIN_EASINESS, item.easiness + 0.1 - (5 - grade) * (0.08 + (5 - grade) * 0.02));
+
+  return {
+    ...item,
+    easiness: Math.round(easiness * 100) / 100,
+    interval,
+    repetitions,
+    due: addDays(date, interval),
+    history: [...item.history, { date, grade, interval }],
+  };
+}
+
+/**
+ * Spaced-repetition study plan over the questions of the download directory, scheduled with SM-2
+ * @typedef {Object} ReviewScheduler
+ * @property {string} archiveDir - The download directory
+ * @property {string} historyFile - JSON file of the review history
+ * @property {number} newPerDay - Questions never reviewed added to the queue each day
+ * @property {number} maxPerDay - Size of the daily queue, reviews that don't fit stay due
+ * @property {Map<string, ReviewItem>} items - Review state of each question by slug
+ */
+class ReviewScheduler {
+  /**
+   * @param {Object} options
+   * @param {string} options.archiveDir - The download directory
+   * @param {Array<string>} options.languages - Languages checked for solutions
+   * @param {string|null} [options.stateFile] - State manifest of the scraper
+   * @param {Array<string>} [options.exclude] - Directories skipped while scanning, such as the study site
+   * @param {{file: string|null, newPerDay: number, maxPerDay: number}} options.plan - `file` defaults to review-history.json in the download directory
+   */
+  constructor({ archiveDir, languages, stateFile = null, exclude = [], plan }) {
+    this.archiveDir = archiveDir;
+    this.historyFile = plan.file || path.join(archiveDir, REVIEW_FILE);
+    this.newPerDay = plan.newPerDay;
+    this.maxPerDay = plan.maxPerDay;
+    this.archiveReader = new ArchiveReader({ archiveDir, languages, stateFile, exclude });
+    this.items = new Map();
+  }
+
+  /**
+   * Loads the review history, empty when there is no history file yet
+   */
+  async load() {
+    const content = await readIfExists(this.historyFile);
+    const data = content ? JSON.parse(content) : {};
+    this.items = new Map(Object.entries(data.questions || {}));
+  }
+
+  /**
+   * Saves the review history atomically
+   */
+  async save() {
+    await writeFileAtomic(this.historyFile, JSON.stringify({
+      version: 1,
+      questions: Object.fromEntries([...this.items].sort(([a], [b]) => a.localeCompare(b))),
+    }, null, 2));
+  }
+
+  /**
+   * Records a review of a question
+   * @param {import('./archive').ArchiveQuestion} question
+   * @param {number} grade - 0 (blank) to 5 (perfect recall)
+   * @param {string} [date] - Day of the review, `YYYY-MM-DD`, defaults to today
+   * @returns {ReviewItem}
+   */
+  grade(question, grade, date = formatDate()) {
+    // The title, category & difficulty follow the archive, e.g. after an --update
+    const archived = { slug: question.slug, title: question.title, category: question.category, difficulty: question.difficulty };
+    const item = this.items.get(question.slug) || {
+      ...archived,
+      easiness: INITIAL_EASINESS[question.difficulty] || DEFAULT_EASINESS,
+      interval: 0,
+      repetitions: 0,
+      due: date,
+      history: [],
+    };
+    const updated = applyReview({ ...item, ...archived }, grade, date);
+    this.items.set(question.slug, updated);
+    return updated;
+  }
+
+  /**
+   * Builds the queue of a day: the due questions, most overdue first, then new questions taken from each category
+   * in turn, in the order of the category
+   * @param {Array<import('./archive').ArchiveQuestion>} questions - The questions to plan, by category & number
+   * @param {string} [date] - `YYYY-MM-DD`, defaults to today
+   * @returns {{due: Array<{question: Object, item: ReviewItem}>, fresh: Array<{question: Object}>, later: number}}
+   * `later` counts the reviewed questions due after `date`
+   */
+  queue(questions, date = formatDate()) {
+    const reviewed = questions.filter(question => this.items.has(question.slug));
+    const due = reviewed
+      .map(question => ({ question, item: this.items.get(question.slug) }))
+      .filter(({ item }) => item.due <= date)
+      // Most overdue first, then the ones recalled with the most trouble
+      .sort((a, b) => a.item.due.localeCompare(b.item.due) || a.item.easiness - b.item.easiness)
+      .slice(0, this.maxPerDay);
+
+    // New questions already started today count against the daily limit, so running the command again adds none
+    const startedToday = [...this.items.values()].filter(item => item.history.length > 0 && item.history[0].date === date).length;
+    const newCount = Math.max(0, Math.min(this.newPerDay - startedToday, this.maxPerDay - due.length));
+    const byCategory = new Map();
+    for (const question of questions.filter(candidate => !this.items.has(candidate.slug))) {
+      byCategory.set(question.category, [...(byCategory.get(question.category) || []), question]);
+    }
+    // Taking one question per category in turn mixes the topics of a day
+    const fresh = [];
+    while (fresh.length < newCount && [...byCategory.values()].some(pending => pending.length > 0)) {
+      for (const pending of byCategory.values()) {
+        if (pending.length > 0 && fresh.length < newCount) {
+          fresh.push({ question: pending.shift() });
+        }
+      }
+    }
+
+    return { due, fresh, later: reviewed.filter(question => this.items.get(question.slug).due > date).length };
+  }
+
+  /**
+   * Records the given grades, saves the history & prints the queue of the day
+   * @param {Object} [options]
+   * @param {Array<string>} [options.categories] - Category names, case insensitive
+   * @param {Array<string>} [options.questions] - Question slugs or URL globs
+   * @param {Array<{slug: string, grade: number}>} [options.grades] - Reviews done today
+   * @param {string} [options.date] - `YYYY-MM-DD`, defaults to today
+   * @returns {Promise<{due: Array<Object>, fresh: Array<Object>, later: number}>} the queue
+   */
+  async review({ categories = [], questions = [], grades = [], date = formatDate() } = {}) {
+    const archive = await this.archiveReader.scan();
+    await this.load();
+
+    for (const { slug, grade } of grades) {
+      const question = archive.find(candidate => candidate.slug === slug);
+      if (!question) {
+        throw new Error(`Unknown question "${slug}", it is not in ${this.archiveDir}`);
+      }
+      const item = this.grade(question, grade, date);
+      logger.info(`-- Graded ${question.title} ${grade}/5, next review on ${item.due}`);
+    }
+    if (grades.length > 0) {
+      await this.save();
+    }
+
+    const selected = cli.resolveCategories(categories, [...new Set(archive.map(question => question.category))]);
+    const queue = this.queue(archive.filter(question => selected.includes(question.category) &&
+      cli.matchesQuestion(question.url || `https://www.algoexpert.io/questions/${question.slug}`, questions)), date);
+    this.printQueue(queue, date);
+    return queue;
+  }
+
+  /**
+   * @param {{due: Array<Object>, fresh: Array<Object>, later: number}} queue
+   * @param {string} date
+   */
+  printQueue({ due, fresh, later }, date) {
+    console.log(`\nReview queue for ${date}: ${due.length} due, ${fresh.length} new (${later} scheduled later)\n`);
+
+    const print = (question, detail) => {
+      console.log(`  ${question.category} / ${question.title}${question.difficulty ? ` (${question.difficulty})` : ''} - ${detail}`);
+      console.log(`    ${pathToFileURL(path.resolve(this.archiveDir, question.dir, 'README.md')).href}`);
+    };
+    for (const { question, item } of due) {
+      const last = item.history[item.history.length - 1];
+      const overdue = (parseDate(date) - parseDate(item.due)) / DAY_MS;
+      print(question, `${overdue > 0 ? `${overdue} day(s) overdue` : 'due today'}, last graded ${last.grade}/5 on ${last.date}`);
+    }
+    for (const { question } of fresh) {
+      print(question, 'new');
+    }
+
+    if (due.length + fresh.length === 0) {
+      console.log('  Nothing to review today\n');
+      return;
+    }
+    console.log('\nOnce done, grade each question from 0 (blank) to 5 (perfect recall), e.g.');
+    console.log(`  node scraper.js review --grade ${(due[0] || fresh[0]).question.slug}=4\n`);
+  }
+}
+
+module.exports = {
+  REVIEW_FILE,
+  applyReview,
+  ReviewScheduler,
+};
@@ -1,12 +1,92 @@
+const { strategy } = require('./resolver');
 
+// Label of the languages of the `languages` option in AlgoExpert's language selector, when it differs from their name
+const LANGUAGE_LABELS = {
+  Golang: 'Go',
+};
+
+// Each selector lists its candidates in the order they are tried. The obfuscated class names change whenever
+// AlgoExpert is redeployed, so they are followed by role, text & structure based fallbacks
 module.exports = {
-  questionByCategory: (category) => `[id="${category}"] .XfBN006G5IBT_e4fZRcU a`, // Function for dynamic selector
-  questionTitle: 'div h2',
-  questionParagraph: '.ae-workspace-dark p',
-  questionExample: '.ae-workspace-dark pre',
-  collapseTestcase: '.Gvne7CKrNUC1MWWcgX0h .EXdCvTD_bubcEGmmHOFu',
-  testcaseData: '.f7nTfdupWXhhK1Frxcbv .aR1l5rhU3UqdVORse042',
-  testcaseDataNested: '.ae-workspace-dark',
-  runButton: 'button',
+  // Question links of every category, each category is the closest ancestor with an id
+  questionLink: strategy('questionLink',
+    '.XfBN006G5IBT_e4fZRcU a',
+    '[id] a[href^="/questions/"]'),
+  questionByCategory: (category) => strategy('questionByCategory', // Function for dynamic selector
+    `[id="${category}"] .XfBN006G5IBT_e4fZRcU a`,
+    `[id="${category}"] a[href^="/questions/"]`),
+  questionTitle: strategy('questionTitle',
+    'div h2',
+    'role=heading[level=2]',
+    'h1'),
+  questionPrompt: strategy('questionPrompt',
+    '.ae-workspace-dark:has(p)',
+    'div:has(> p):has(> pre)',
+    'div:has(> p)'),
+  // Read from the header holding the title, not the rest of the page, & only the innermost elements, not their list
+  questionDifficulty: strategy('questionDifficulty',
+    'div:has(> h2) [class*="difficulty" i]:not(:has([class*="difficulty" i]))',
+    'div:has(> h2) >> text=/^\\s*(Easy|Medium|Hard|Very Hard)\\s*$/'),
+  questionTags: strategy('questionTags',
+    'div:has(> h2) [class*="tag" i]:not(:has([class*="tag" i]))'),
+  hintButton: strategy('hintButton',
+    'button',
+    'role=button'),
+  hintButtonTxt: (num) => new RegExp(`^\\s*Hint ${num}\\s*$`), // Function for dynamic selector
+  complexityButtonTxt: 'Optimal Space & Time Complexity',
+  // Every revealed hint or complexity panel, counted to wait for the one a click reveals
+  revealedPanels: strategy('revealedPanels',
+    '[class*="hint" i] .ae-workspace-dark',
+    '[class*="hint" i]'),
+  // Last revealed hint or complexity panel
+  revealedContent: strategy('revealedContent',
+    '[class*="hint" i] .ae-workspace-dark >> nth=-1',
+    '[class*="hint" i] >> nth=-1'),
+  collapseTestcase: strategy('collapseTestcase',
+    '.Gvne7CKrNUC1MWWcgX0h .EXdCvTD_bubcEGmmHOFu',
+    '[aria-expanded="false"]:has-text("Test Case")'),
+  testcaseData: strategy('testcaseData',
+    '.f7nTfdupWXhhK1Frxcbv .aR1l5rhU3UqdVORse042',
+    '[class*="test" i] :is(div, section):has(> .ae-workspace-dark)'),
+  testcaseDataNested: strategy('testcaseDataNested',
+    '.ae-workspace-dark',
+    'pre',
+    'code'),
+  runButton: strategy('runButton',
+    'button',
+    'role=button'),
   runButtonTxt: 'Run Code',
-};
\ No newline at end of file
+  // Tabs of the question page, e.g. the solutions & video explanation tabs
+  tabButton: strategy('tabButton',
+    'role=tab',
+    'button'),
+  solutionsTabTxt: /^\s*Solutions?\s*$/,
+  videoTabTxt: /^\s*Video Explanation\s*$/,
+  languageSelect: strategy('languageSelect',
+    'role=combobox',
+    '[class*="language" i] button'),
+  languageOption: strategy('languageOption',
+    'role=option',
+    'button'),
+  languageOptionTxt: (language) => { // Function for dynamic selector
+    const label = (LANGUAGE_LABELS[language] || language).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+    return new RegExp(`^\\s*${label}\\s*$`);
+  },
+  solutionButtonTxt: (num) => new RegExp(`^\\s*Solution ${num}\\s*$`), // Function for dynamic selector
+  solutionCode: strategy('solutionCode',
+    '.monaco-editor',
+    '.CodeMirror, .cm-editor',
+    'pre'),
+  solutionExplanation: strategy('solutionExplanation',
+    '[class*="explanation" i]:has(p)',
+    '[role="tabpanel"]:has(p)'),
+  // Code editor of the workspace, holding the code saved for the selected language
+  workspaceEditor: strategy('workspaceEditor',
+    '.monaco-editor',
+    '.CodeMirror, .cm-editor'),
+  videoTitle: strategy('videoTitle',
+    '[class*="video" i] h3',
+    '[class*="video" i] :is(h2, h3, h4)'),
+  videoPlayer: strategy('videoPlayer',
+    'video'),
+};
@@ -0,0 +1,492 @@
+const fs = require('fs');
+const path = require('path');
+const Ajv = require('ajv');
+const YAML = require('yaml');
+const defaults = require('./config');
+const { EXPORTERS, renderPathTemplate } = require('./exporters');
+const { SOLUTION_FILES } = require('./harness');
+const { ERROR_KINDS } = require('./retry');
+const { LEVELS } = require('./logger');
+const { BROWSER_MODES } = require('./browser');
+
+/**
+ * Config files looked up in the working directory when none is given with `--config`
+ */
+const CONFIG_FILES = ['algoexpert.config.json', 'algoexpert.config.yaml', 'algoexpert.config.yml'];
+
+/**
+ * Prefix of the environment variables overriding options, e.g. `ALGOEXPERT_DOWNLOAD_BASE_PATH`
+ */
+const ENV_PREFIX = 'ALGOEXPERT_';
+
+const PLACEHOLDER_PATH = '/path/to/your/download/directory';
+
+/**
+ * JSON schema of the options, once every source is merged
+ */
+const CONFIG_SCHEMA = {
+  type: 'object',
+  additionalProperties: false,
+  properties: {
+    downloadBasePath: { type: 'string', minLength: 1 },
+    browserMode: { enum: Object.values(BROWSER_MODES) },
+    cdpUrl: { type: 'string', minLength: 1 },
+    profileDir: { type: ['string', 'null'], minLength: 1 },
+    storageState: { type: 'string', minLength: 1 },
+    headless: { type: 'boolean' },
+    browserChannel: { type: ['string', 'null'], minLength: 1 },
+    baseUrl: { type: 'string', minLength: 1 },
+    categories: { type: 'array', minItems: 1, uniqueItems: true, items: { type: 'string', minLength: 1 } },
+    languages: { type: 'array', minItems: 1, uniqueItems: true, items: { enum: Object.keys(SOLUTION_FILES) } },
+    stateFile: { type: 'string', minLength: 1 },
+    skipFile: { type: 'string', minLength: 1 },
+    pathTemplate: { type: 'string', minLength: 1 },
+    formats: { type: 'array', minItems: 1, uniqueItems: true, items: { enum: Object.keys(EXPORTERS) } },
+    solutions: { type: 'boolean' },
+    submissions: { type: 'boolean' },
+    concurrency: { type: 'integer', minimum: 1 },
+    requestsPerMinute: { type: 'number', exclusiveMinimum: 0 },
+    burst: { type: 'integer', minimum: 1 },
+    jitter: { type: 'array', minItems: 2, maxItems: 2, items: { type: 'integer', minimum: 0 } },
+    logLevel: { enum: Object.keys(LEVELS) },
+    logFile: { type: ['string', 'null'], minLength: 1 },
+    progress: { type: 'boolean' },
+    siteDir: { type: ['string', 'null'], minLength: 1 },
+    sitePort: { type: 'integer', minimum: 1, maximum: 65535 },
+    verify: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        timeout: { type: 'integer', minimum: 1 },
+        buildTimeout: { type: 'integer', minimum: 1 },
+        memoryMb: { type: 'integer', minimum: 16 },
+      },
+    },
+    review: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        file: { type: ['string', 'null'], minLength: 1 },
+        newPerDay: { type: 'integer', minimum: 0 },
+        maxPerDay: { type: 'integer', minimum: 1 },
+      },
+    },
+    readme: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        template: { type: ['string', 'null'], minLength: 1 },
+        partials: { type: ['string', 'null'], minLength: 1 },
+      },
+    },
+    timeouts: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        navigation: { type: 'integer', minimum: 1 },
+        element: { type: 'integer', minimum: 1 },
+      },
+    },
+    retry: {
+      type: 'object',
+      additionalProperties: false,
+      properties: {
+        maxAttempts: { type: 'integer', minimum: 1 },
+        baseDelay: { type: 'integer', minimum: 0 },
+        maxDelay: { type: 'integer', minimum: 0 },
+        retryOn: {
+          type: 'array',
+          uniqueItems: true,
+          items: { enum: Object.values(ERROR_KINDS).filter(kind => kind !== ERROR_KINDS.SESSION_EXPIRED) },
+        },
+      },
+    },
+  },
+};
+CONFIG_SCHEMA.required = Object.keys(CONFIG_SCHEMA.properties);
+
+const validate = new Ajv({ allErrors: true }).compile(CONFIG_SCHEMA);
+
+/**
+ * Thrown at startup when the configuration is invalid, before connecting to the browser
+ */
+class ConfigError extends Error {
+  /**
+   * @param {Array<string>} problems - One message per invalid option
+   */
+  constructor(problems) {
+    super(`Invalid configuration:\n${problems.map(problem => `  - ${problem}`).join('\n')}`);
+    this.name = 'ConfigError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * @param {any} value
+ * @returns {boolean} true for objects that are not arrays
+ */
+function isPlainObject(value) {
+  return value !== null && typeof value === 'object' && !Array.isArray(value);
+}
+
+/**
+ * Merges `source` into a copy of `target`. Objects are merged key by key, arrays & other values replace the target's,
+ * undefined values are ignored
+ * @param {Object} target
+ * @param {Object} source
+ * @returns {Object}
+ */
+function mergeOptions(target, source) {
+  const merged = { ...target };
+  for (const [key, value] of Object.entries(source)) {
+    if (value === undefined) {
+      continue;
+    }
+    merged[key] = isPlainObject(value) && isPlainObject(merged[key]) ? mergeOptions(merged[key], value) : value;
+  }
+  return merged;
+}
+
+/**
+ * Converts an option name to the name of its environment variable, e.g. `retry.maxAttempts` to `ALGOEXPERT_RETRY_MAX_ATTEMPTS`
+ * @param {string} key - Option name, nested options separated with dots
+ * @returns {string}
+ */
+function envName(key) {
+  return ENV_PREFIX + key.replace(/\./g, '_').replace(/([a-z0-9])([A-Z])/g, '$1_$2').toUpperCase();
+}
+
+/**
+ * Lists the options that can be set from a string, with their schema
+ * @returns {Array<{key: string, schema: Object}>} e.g. `{ key: 'retry.maxAttempts', schema: { type: 'integer' } }`
+ */
+function optionSchemas() {
+  return Object.entries(CONFIG_SCHEMA.properties).flatMap(([key, schema]) => schema.type === 'object'
+    ? Object.entries(schema.properties).map(([name, nested]) => ({ key: `${key}.${name}`, schema: nested }))
+    : [{ key, schema }]);
+}
+
+/**
+ * Converts a string to the type of an option. Values that can't be converted are returned as is, for the schema to report them
+ * @param {string} value - e.g. `3`, `true`, `markdown,json` or `[500, 2000]`
+ * @param {Object} schema - Schema of the option
+ * @returns {any}
+ */
+function parseOptionValue(value, schema) {
+  const types = [].concat(schema.type || 'string');
+  const trimmed = value.trim();
+
+  if (types.includes('null') && (trimmed === '' || trimmed === 'null')) {
+    return null;
+  }
+  if (types.includes('array')) {
+    if (trimmed.startsWith('[')) {
+      try {
+        return JSON.parse(trimmed);
+      } catch (error) {
+        return value;
+      }
+    }
+    return trimmed.split(',').map(item => item.trim()).filter(Boolean).map(item => parseOptionValue(item, schema.items));
+  }
+  if ((types.includes('integer') || types.includes('number')) && trimmed !== '' && !Number.isNaN(Number(trimmed))) {
+    return Number(trimmed);
+  }
+  if (types.includes('boolean') && /^(true|false|1|0|yes|no)$/i.test(trimmed)) {
+    return /^(true|1|yes)$/i.test(trimmed);
+  }
+  return value;
+}
+
+/**
+ * Sets the option `key` of `options` to `value`, creating the objects of nested options
+ * @param {Object} options
+ * @param {string} key - Option name, nested options separated with dots
+ * @param {any} value
+ */
+function setOption(options, key, value) {
+  const [name, nested] = key.split('.');
+  if (nested) {
+    options[name] = { ...options[name], [nested]: value };
+  } else {
+    options[name] = value;
+  }
+}
+
+/**
+ * Parses a `--set key=value` override
+ * @param {string} assignment - e.g. `downloadBasePath=../algoexpert` or `retry.maxAttempts=5`
+ * @returns {Object} the option, e.g. `{ retry: { maxAttempts: 5 } }`
+ */
+function parseOverride(assignment) {
+  const separator = assignment.indexOf('=');
+  const key = separator === -1 ? assignment : assignment.slice(0, separator).trim();
+  const option = optionSchemas().find(candidate => candidate.key === key);
+  if (separator === -1 || !option) {
+    throw new ConfigError([separator === -1
+      ? `--set ${assignment}: expected key=value`
+      : `--set ${assignment}: unknown option "${key}". Expected one of: ${optionSchemas().map(({ key }) => key).join(', ')}`]);
+  }
+
+  const options = {};
+  setOption(options, key, parseOptionValue(assignment.slice(separator + 1), option.schema));
+  return options;
+}
+
+/**
+ * Reads the options set with `ALGOEXPERT_*` environment variables
+ * @param {Object<string, string>} env
+ * @returns {{options: Object, sources: Object<string, string>, problems: Array<string>}} the options, the variable
+ *   setting each option, and the unknown variables
+ */
+function readEnv(env) {
+  const options = {};
+  const sources = {};
+  const known = new Set([envName('config'), envName('profile')]);
+
+  for (const { key, schema } of optionSchemas()) {
+    const name = envName(key);
+    known.add(name);
+    if (env[name] !== undefined) {
+      setOption(options, key, parseOptionValue(env[name], schema));
+      sources[key] = name;
+    }
+  }
+
+  const problems = Object.keys(env)
+    .filter(name => name.startsWith(ENV_PREFIX) && !known.has(name))
+    .map(name => `${name}: unknown environment variable. Expected one of: ${[...known].join(', ')}`);
+  return { options, sources, problems };
+}
+
+/**
+ * Reads a JSON or YAML config file
+ * @param {string} filePath
+ * @returns {Object} the options in the file
+ */
+function readConfigFile(filePath) {
+  const extension = path.extname(filePath).toLowerCase();
+  if (!['.json', '.yaml', '.yml'].includes(extension)) {
+    throw new ConfigError([`${filePath}: config files must be .json, .yaml or .yml`]);
+  }
+
+  let content;
+  try {
+    content = fs.readFileSync(filePath, 'utf8');
+  } catch (error) {
+    throw new ConfigError([`${filePath}: could not read the config file (${error.code || error.message})`]);
+  }
+
+  let options;
+  try {
+    options = extension === '.json' ? JSON.parse(content) : YAML.parse(content);
+  } catch (error) {
+    throw new ConfigError([`${filePath}: could not parse the config file (${error.message.split('\n')[0]})`]);
+  }
+  if (options === null || options === undefined) {
+    return {};
+  }
+  if (!isPlainObject(options)) {
+    throw new ConfigError([`${filePath}: the config file must contain an object of options`]);
+  }
+  return options;
+}
+
+/**
+ * Finds the config file to read
+ * @param {string|null} file - Path given with `--config` or `ALGOEXPERT_CONFIG`
+ * @param {string} cwd
+ * @returns {string|null} the path of the config file, null when there is none
+ */
+function findConfigFile(file, cwd) {
+  if (file) {
+    return path.resolve(cwd, file);
+  }
+  const found = CONFIG_FILES.map(name => path.join(cwd, name)).find(candidate => fs.existsSync(candidate));
+  return found || null;
+}
+
+/**
+ * Records `label` as the source of every option set in `options`
+ * @param {Object<string, string>} sources - Source of each option, by option name
+ * @param {Object} options
+ * @param {string} label - e.g. `algoexpert.config.yaml`
+ */
+function recordSources(sources, options, label) {
+  for (const [key, value] of Object.entries(options)) {
+    if (value === undefined) {
+      continue;
+    }
+    sources[key] = label;
+    if (isPlainObject(value)) {
+      for (const nested of Object.keys(value)) {
+        sources[`${key}.${nested}`] = label;
+      }
+    }
+  }
+}
+
+/**
+ * Checks the options against the schema, and the values the schema can't check
+ * @param {Object} config - The merged options
+ * @param {Object} [options]
+ * @param {boolean} [options.checkDownloadPath=true] - Check that the download directory exists
+ * @param {string} [options.cwd]
+ * @returns {Array<{key: string, message: string}>} one problem per invalid option
+ */
+function checkConfig(config, { checkDownloadPath = true, cwd = process.cwd() } = {}) {
+  if (!validate(config)) {
+    return validate.errors.map(error => {
+      const key = error.instancePath.split('/').filter(Boolean)
+        .filter(segment => !/^\d+$/.test(segment)).join('.');
+      if (error.keyword === 'additionalProperty' || error.keyword === 'additionalProperties') {
+        const unknown = key ? `${key}.${error.params.additionalProperty}` : error.params.additionalProperty;
+        return { key: unknown, message: 'unknown option' };
+      }
+      const allowed = error.params.allowedValues ? `: ${error.params.allowedValues.join(', ')}` : '';
+      return { key, message: `${error.message}${allowed}` };
+    });
+  }
+
+  const problems = [];
+  for (const key of ['cdpUrl', 'baseUrl']) {
+    let url = null;
+    try {
+      url = new URL(config[key]);
+    } catch (error) {
+      // reported below
+    }
+    if (!url || !['http:', 'https:'].includes(url.protocol)) {
+      problems.push({ key, message: `must be an http(s) URL, got "${config[key]}"` });
+    }
+  }
+  if (config.browserMode === BROWSER_MODES.PERSISTENT && !config.profileDir) {
+    problems.push({ key: 'profileDir', message: 'must be set to the profile directory when browserMode is "persistent"' });
+  }
+  if (config.jitter[0] > config.jitter[1]) {
+    problems.push({ key: 'jitter', message: `the minimum delay ${config.jitter[0]} is above the maximum ${config.jitter[1]}` });
+  }
+  if (config.retry.baseDelay > config.retry.maxDelay) {
+    problems.push({ key: 'retry.baseDelay', message: `must not be above retry.maxDelay (${config.retry.maxDelay})` });
+  }
+  try {
+    renderPathTemplate(config.pathTemplate, {});
+  } catch (error) {
+    problems.push({ key: 'pathTemplate', message: error.message });
+  }
+  if (config.logFile && !fs.existsSync(path.dirname(path.resolve(cwd, config.logFile)))) {
+    problems.push({ key: 'logFile', message: `the directory of "${config.logFile}" does not exist` });
+  }
+  if (config.review.file && !fs.existsSync(path.dirname(path.resolve(cwd, config.review.file)))) {
+    problems.push({ key: 'review.file', message: `the directory of "${config.review.file}" does not exist` });
+  }
+  const templatePath = config.readme.template && path.resolve(cwd, config.readme.template);
+  if (templatePath && !(fs.existsSync(templatePath) && fs.statSync(templatePath).isFile())) {
+    problems.push({ key: 'readme.template', message: `the template "${config.readme.template}" does not exist` });
+  }
+  const partialsPath = config.readme.partials && path.resolve(cwd, config.readme.partials);
+  if (partialsPath && !(fs.existsSync(partialsPath) && fs.statSync(partialsPath).isDirectory())) {
+    problems.push({ key: 'readme.partials', message: `the directory "${config.readme.partials}" does not exist` });
+  }
+
+  if (checkDownloadPath) {
+    const downloadPath = path.resolve(cwd, config.downloadBasePath);
+    if (config.downloadBasePath === PLACEHOLDER_PATH) {
+      problems.push({
+        key: 'downloadBasePath',
+        message: `is still the placeholder "${PLACEHOLDER_PATH}". Set it to the directory the questions are downloaded to`,
+      });
+    } else if (!fs.existsSync(downloadPath)) {
+      problems.push({ key: 'downloadBasePath', message: `the directory "${downloadPath}" does not exist` });
+    } else if (!fs.statSync(downloadPath).isDirectory()) {
+      problems.push({ key: 'downloadBasePath', message: `"${downloadPath}" is not a directory` });
+    }
+  }
+  return problems;
+}
+
+/**
+ * @typedef {Object} LoadedConfig
+ * @property {Object} config - The options, see config.js
+ * @property {string|null} file - Path of the config file read, null when there is none
+ * @property {string|null} profile - Name of the profile applied
+ */
+
+/**
+ * Loads the options. Each source overrides the ones before it: the defaults of config.js, the config file,
+ * the profile selected in the config file, the `ALGOEXPERT_*` environment variables & the command line
+ * @param {Object} [options]
+ * @param {string|null} [options.file] - Config file given with `--config`, defaults to `ALGOEXPERT_CONFIG`
+ *   or the first of `CONFIG_FILES` in the working directory
+ * @param {string|null} [options.profile] - Profile given with `--profile`, defaults to `ALGOEXPERT_PROFILE`
+ * @param {Object} [options.overrides] - Options given on the command line
+ * @param {Object<string, string>} [options.env=process.env]
+ * @param {string} [options.cwd=process.cwd()]
+ * @param {boolean} [options.checkDownloadPath=true] - Check that the download directory exists, only needed
+ *   by the commands reading or writing questions
+ * @returns {LoadedConfig}
+ * @throws {ConfigError} listing every invalid option & where it was set
+ */
+function loadConfig({
+  file = null, profile = null, overrides = {}, env = process.env, cwd = process.cwd(), checkDownloadPath = true,
+} = {}) {
+  const { profiles: defaultProfiles, ...defaultOptions } = defaults;
+  const sources = {};
+  recordSources(sources, defaultOptions, 'config.js');
+  let config = defaultOptions;
+  let profiles = { ...defaultProfiles };
+
+  const filePath = findConfigFile(file || env[envName('config')], cwd);
+  const fileLabel = filePath ? path.relative(cwd, filePath) || filePath : null;
+  if (filePath) {
+    const { profiles: fileProfiles, ...fileOptions } = readConfigFile(filePath);
+    if (fileProfiles !== undefined && !isPlainObject(fileProfiles)) {
+      throw new ConfigError([`profiles (from ${fileLabel}): must be an object of named profiles`]);
+    }
+    config = mergeOptions(config, fileOptions);
+    recordSources(sources, fileOptions, fileLabel);
+    profiles = { ...profiles, ...fileProfiles };
+  }
+
+  const profileName = profile || env[envName('profile')] || null;
+  if (profileName) {
+    if (!isPlainObject(profiles[profileName])) {
+      const names = Object.keys(profiles);
+      throw new ConfigError([`Unknown profile "${profileName}". ` +
+        (names.length > 0 ? `Expected one of: ${names.join(', ')}` : 'No profiles are defined in config.js or a config file')]);
+    }
+    config = mergeOptions(config, profiles[profileName]);
+    recordSources(sources, profiles[profileName], `profile "${profileName}"`);
+  }
+
+  const fromEnv = readEnv(env);
+  config = mergeOptions(config, fromEnv.options);
+  Object.assign(sources, fromEnv.sources);
+
+  config = mergeOptions(config, overrides);
+  recordSources(sources, overrides, 'the command line');
+
+  const problems = [
+    ...fromEnv.problems,
+    ...checkConfig(config, { checkDownloadPath, cwd }).map(({ key, message }) => {
+      const source = sources[key] || sources[key.split('.')[0]];
+      return `${key}${source ? ` (from ${source})` : ''}: ${message}`;
+    }),
+  ];
+  if (problems.length > 0) {
+    throw new ConfigError(problems);
+  }
+
+  return { config, file: filePath, profile: profileName };
+}
+
+module.exports = {
+  CONFIG_FILES,
+  CONFIG_SCHEMA,
+  ConfigError,
+  loadConfig,
+  checkConfig,
+  parseOverride,
+  mergeOptions,
+  envName,
+};
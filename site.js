@@ -0,0 +1,341 @@
+const fs = require('fs').promises;
+const http = require('http');
+const path = require('path');
+const { marked } = require('marked');
+const { escapeHtml, testcaseTable } = require('./exporters');
+const { ArchiveReader } = require('./archive');
+const { writeFileAtomic } = require('./files');
+const logger = require('./logger');
+
+/**
+ * Directory of the study site in the download directory, when no other is configured
+ */
+const SITE_DIR = 'study-site';
+
+const CONTENT_TYPES = {
+  '.html': 'text/html; charset=utf-8',
+  '.css': 'text/css; charset=utf-8',
+  '.js': 'text/javascript; charset=utf-8',
+  '.json': 'application/json; charset=utf-8',
+  '.svg': 'image/svg+xml',
+  '.png': 'image/png',
+};
+
+/**
+ * Builds a static study site from the questions in the download directory: a progress overview,
+ * an index by category with search & filters, and a page per question
+ * @typedef {Object} SiteBuilder
+ * @property {string} archiveDir - The download directory
+ * @property {string} siteDir - Directory the site is written to
+ * @property {Array<string>} languages - Languages checked for solutions
+ * @property {string|null} stateFile - State manifest, read for the category & number of each question
+ */
+class SiteBuilder {
+  /**
+   * @param {Object} options
+   * @param {string} options.archiveDir - The download directory
+   * @param {string} [options.siteDir] - Defaults to `study-site` in the download directory
+   * @param {Array<string>} options.languages - Languages checked for solutions
+   * @param {string|null} [options.stateFile] - State manifest of the scraper
+   */
+  constructor({ archiveDir, siteDir = null, languages, stateFile = null }) {
+    this.archiveDir = archiveDir;
+    this.siteDir = siteDir || path.join(archiveDir, SITE_DIR);
+    this.languages = languages;
+    this.stateFile = stateFile;
+    // The site directory is skipped, it never holds questions
+    this.archiveReader = new ArchiveReader({ archiveDir, languages, stateFile, exclude: [this.siteDir] });
+  }
+
+  /**
+   * Writes the site
+   * @returns {Promise<{siteDir: string, questions: number}>}
+   */
+  async build() {
+    logger.info('Starting Step: Building the study site');
+    const questions = await this.archiveReader.scan();
+    logger.info(`-- Retrieved ${questions.length} question(s) from ${this.archiveDir}`);
+
+    await fs.mkdir(path.join(this.siteDir, 'questions'), { recursive: true });
+    await writeFileAtomic(path.join(this.siteDir, 'style.css'), SITE_CSS);
+    await writeFileAtomic(path.join(this.siteDir, 'search.js'), SITE_SEARCH_JS);
+    // A script rather than JSON, so the search also works when index.html is opened from the disk
+    await writeFileAtomic(path.join(this.siteDir, 'questions.js'),
+      `window.SITE_QUESTIONS = ${JSON.stringify(questions.map(searchEntry))};\n`);
+    await writeFileAtomic(path.join(this.siteDir, 'index.html'), this.indexPage(questions));
+
+    for (const [idx, question] of questions.entries()) {
+      const previous = questions[idx - 1] && questions[idx - 1].category === question.category ? questions[idx - 1] : null;
+      const next = questions[idx + 1] && questions[idx + 1].category === question.category ? questions[idx + 1] : null;
+      await writeFileAtomic(path.join(this.siteDir, 'questions', `${pageName(question)}.html`),
+        this.questionPage(question, { previous, next }));
+    }
+
+    logger.info(`** Success! ** - study site saved at path ${path.join(this.siteDir, 'index.html')}\n`);
+    return { siteDir: this.siteDir, questions: questions.length };
+  }
+
+  /**
+   * @param {Array<import('./archive').ArchiveQuestion>} questions
+   * @returns {string} the HTML of the progress overview & the question index
+   */
+  indexPage(questions) {
+    const solvedCount = (list) => list.filter(question => question.solved.length > 0).length;
+    const groupBy = (key) => {
+      const groups = new Map();
+      for (const question of questions) {
+        const name = question[key] || 'Unknown';
+        groups.set(name, [...(groups.get(name) || []), question]);
+      }
+      return groups;
+    };
+    const progressRows = (groups) => [...groups].map(([name, list]) =>
+      `<tr><td>${escapeHtml(name)}</td><td>${solvedCount(list)} / ${list.length}</td><td>${progressBar(solvedCount(list), list.length)}</td></tr>`).join('\n');
+
+    const languageRows = this.languages.map(language => {
+      const count = questions.filter(question => question.solved.includes(language)).length;
+      return `<tr><td>${escapeHtml(language)}</td><td>${count} / ${questions.length}</td><td>${progressBar(count, questions.length)}</td></tr>`;
+    }).join('\n');
+
+    const difficulties = [...new Set(questions.map(question => question.difficulty).filter(Boolean))].sort();
+    const categories = [...groupBy('category')].map(([category, list]) => `
+<section class="category" data-category="${escapeHtml(category)}">
+  <h2>${escapeHtml(category)} <small>${solvedCount(list)} / ${list.length} solved</small></h2>
+  <ol>
+${list.map(question => `    <li data-slug="${escapeHtml(pageName(question))}" data-difficulty="${escapeHtml(question.difficulty || '')}" data-solved="${question.solved.length > 0}">
+      <a href="questions/${encodeURIComponent(pageName(question))}.html">${escapeHtml(question.title)}</a>
+      ${difficultyBadge(question.difficulty)} ${question.solved.map(language => `<span class="badge solved">${escapeHtml(language)}</span>`).join(' ')}
+    </li>`).join('\n')}
+  </ol>
+</section>`).join('\n');
+
+    const body = `<h1>AlgoExpert Study Site</h1>
+
+<section class="progress">
+  <h2>Progress</h2>
+  <p class="overall">${solvedCount(questions)} of ${questions.length} questions solved ${progressBar(solvedCount(questions), questions.length)}</p>
+  <div class="tables">
+    <table><thead><tr><th>Category</th><th>Solved</th><th></th></tr></thead><tbody>
+${progressRows(groupBy('category'))}
+    </tbody></table>
+    <table><thead><tr><th>Difficulty</th><th>Solved</th><th></th></tr></thead><tbody>
+${progressRows(groupBy('difficulty'))}
+    </tbody></table>
+    <table><thead><tr><th>Language</th><th>Solved</th><th></th></tr></thead><tbody>
+${languageRows}
+    </tbody></table>
+  </div>
+</section>
+
+<form class="filters" onsubmit="return false">
+  <input id="search" type="search" placeholder="Search titles, tags & descriptions" autofocus>
+  <select id="difficulty">
+    <option value="">Any difficulty</option>
+${difficulties.map(difficulty => `    <option>${escapeHtml(difficulty)}</option>`).join('\n')}
+  </select>
+  <select id="status">
+    <option value="">Solved or not</option>
+    <option value="true">Solved</option>
+    <option value="false">Not solved</option>
+  </select>
+  <span id="count"></span>
+</form>
+${categories}
+<script src="questions.js"></script>
+<script src="search.js"></script>`;
+
+    return sitePage('AlgoExpert Study Site', body, '');
+  }
+
+  /**
+   * @param {import('./archive').ArchiveQuestion} question
+   * @param {Object} links
+   * @param {import('./archive').ArchiveQuestion|null} links.previous - The question before it in its category
+   * @param {import('./archive').ArchiveQuestion|null} links.next - The question after it in its category
+   * @returns {string} the HTML of the question page
+   */
+  questionPage(question, { previous, next }) {
+    const link = (target, label) => target
+      ? `<a href="${encodeURIComponent(pageName(target))}.html">${label}</a>` : '<span></span>';
+    const solved = this.languages.map(language => question.solved.includes(language)
+      ? `<span class="badge solved">${escapeHtml(language)} &#10003;</span>`
+      : `<span class="badge">${escapeHtml(language)}</span>`).join(' ');
+
+    const body = `<nav><a href="../index.html">&larr; All questions</a> / ${escapeHtml(question.category)}</nav>
+<p class="meta">${difficultyBadge(question.difficulty)} ${question.tags.map(tag => `<span class="badge tag">${escapeHtml(tag)}</span>`).join(' ')}</p>
+<p class="meta">${solved}</p>
+${marked.parse(question.markdown)}
+<h3>Test Cases</h3>
+${testcaseTable(question.testcases)}
+${question.explanation ? `<details><summary>Written explanation</summary>\n${marked.parse(question.explanation)}\n</details>` : ''}
+<nav class="pager">${link(previous, '&larr; Previous')} ${link(next, 'Next &rarr;')}</nav>`;
+
+    return sitePage(question.title, body, '../');
+  }
+}
+
+/**
+ * @param {import('./archive').ArchiveQuestion} question
+ * @returns {string} file name of the question page, without extension. The category is kept, slugs may repeat across categories
+ */
+function pageName(question) {
+  return `${question.category}-${question.slug}`.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '');
+}
+
+/**
+ * @param {import('./archive').ArchiveQuestion} question
+ * @returns {Object} what the client side search matches against
+ */
+function searchEntry(question) {
+  const text = question.markdown.replace(/```[\s\S]*?```/g, ' ').replace(/[#*_`>[\]()|-]+/g, ' ').replace(/\s+/g, ' ');
+  return {
+    page: pageName(question),
+    text: [question.title, question.category, ...question.tags, text].join(' ').toLowerCase(),
+  };
+}
+
+/**
+ * @param {number} count
+ * @param {number} total
+ * @returns {string} the HTML of a progress bar
+ */
+function progressBar(count, total) {
+  const percent = total > 0 ? Math.round(count / total * 100) : 0;
+  return `<progress value="${count}" max="${total || 1}"></progress> ${percent}%`;
+}
+
+/**
+ * @param {string|null} difficulty
+ * @returns {string} the HTML of the difficulty badge, empty when unknown
+ */
+function difficultyBadge(difficulty) {
+  if (!difficulty) {
+    return '';
+  }
+  return `<span class="badge difficulty ${escapeHtml(difficulty.toLowerCase().replace(/\s+/g, '-'))}">${escapeHtml(difficulty)}</span>`;
+}
+
+/**
+ * Wraps the page body in an HTML document of the study site
+ * @param {string} title - The page title
+ * @param {string} body - The page body HTML
+ * @param {string} root - Relative path to the site root, e.g. `../`
+ * @returns {string}
+ */
+function sitePage(title, body, root) {
+  return `<!DOCTYPE html>
+<html lang="en">
+<head>
+  <meta charset="utf-8">
+  <meta name="viewport" content="width=device-width, initial-scale=1">
+  <title>${escapeHtml(title)}</title>
+  <link rel="stylesheet" href="${root}style.css">
+</head>
+<body>
+${body}
+</body>
+</html>
+`;
+}
+
+const SITE_CSS = `body { font-family: sans-serif; max-width: 960px; margin: 2rem auto; padding: 0 1rem; line-height: 1.5; color: #222; }
+a { color: #1a5fb4; }
+pre { background: #f4f4f4; padding: 0.5rem; overflow-x: auto; }
+table { border-collapse: collapse; width: 100%; margin-bottom: 1rem; }
+td, th { border: 1px solid #ddd; padding: 0.25rem 0.5rem; vertical-align: top; text-align: left; }
+h2 small { font-weight: normal; color: #666; font-size: 0.9rem; }
+progress { width: 8rem; vertical-align: middle; }
+.progress .tables { display: grid; grid-template-columns: repeat(auto-fit, minmax(280px, 1fr)); gap: 1rem; }
+.filters { display: flex; flex-wrap: wrap; gap: 0.5rem; align-items: center; position: sticky; top: 0; background: #fff; padding: 0.5rem 0; }
+.filters input { flex: 1; min-width: 200px; padding: 0.4rem; }
+.badge { display: inline-block; border: 1px solid #ccc; border-radius: 4px; padding: 0 0.4rem; font-size: 0.8rem; color: #555; }
+.badge.solved { border-color: #2ec27e; color: #26a269; }
+.badge.easy { border-color: #2ec27e; color: #26a269; }
+.badge.medium { border-color: #e5a50a; color: #c64600; }
+.badge.hard, .badge.very-hard { border-color: #e01b24; color: #c01c28; }
+.pager { display: flex; justify-content: space-between; margin-top: 2rem; }
+[hidden] { display: none !important; }
+`;
+
+const SITE_SEARCH_JS = `// Filters the question index by search text, difficulty & solved status
+(function () {
+  var texts = {};
+  (window.SITE_QUESTIONS || []).forEach(function (question) { texts[question.page] = question.text; });
+
+  var search = document.getElementById('search');
+  var difficulty = document.getElementById('difficulty');
+  var status = document.getElementById('status');
+  var count = document.getElementById('count');
+
+  function filter() {
+    var words = search.value.toLowerCase().split(/\\s+/).filter(Boolean);
+    var shown = 0;
+    document.querySelectorAll('section.category').forEach(function (section) {
+      var visible = 0;
+      section.querySelectorAll('li').forEach(function (item) {
+        var text = texts[item.dataset.slug] || '';
+        var match = words.every(function (word) { return text.indexOf(word) !== -1; }) &&
+          (!difficulty.value || item.dataset.difficulty === difficulty.value) &&
+          (!status.value || item.dataset.solved === status.value);
+        item.hidden = !match;
+        visible += match ? 1 : 0;
+      });
+      section.hidden = visible === 0;
+      shown += visible;
+    });
+    count.textContent = shown + ' question(s)';
+  }
+
+  [search, difficulty, status].forEach(function (input) { input.addEventListener('input', filter); });
+  filter();
+})();
+`;
+
+/**
+ * Serves a directory over HTTP, for browsing the study site locally
+ * @param {string} siteDir - Directory to serve
+ * @param {Object} [options]
+ * @param {number} [options.port=8080]
+ * @param {string} [options.host='127.0.0.1'] - Only reachable from this machine by default
+ * @returns {Promise<http.Server>} the listening server
+ */
+async function serveSite(siteDir, { port = 8080, host = '127.0.0.1' } = {}) {
+  const root = path.resolve(siteDir);
+
+  const server = http.createServer(async (request, response) => {
+    let filePath;
+    try {
+      filePath = path.join(root, decodeURIComponent(new URL(request.url, 'http://localhost').pathname));
+    } catch (error) {
+      filePath = null;
+    }
+    // Requests outside of the site directory are not served
+    if (!filePath || (filePath !== root && !filePath.startsWith(root + path.sep))) {
+      response.writeHead(400, { 'Content-Type': 'text/plain' }).end('Bad request');
+      return;
+    }
+
+    try {
+      if ((await fs.stat(filePath)).isDirectory()) {
+        filePath = path.join(filePath, 'index.html');
+      }
+      const content = await fs.readFile(filePath);
+      response.writeHead(200, { 'Content-Type': CONTENT_TYPES[path.extname(filePath)] || 'application/octet-stream' });
+      response.end(content);
+    } catch (error) {
+      response.writeHead(404, { 'Content-Type': 'text/plain' }).end('Not found');
+    }
+  });
+
+  await new Promise((resolve, reject) => {
+    server.once('error', reject);
+    server.listen(port, host, resolve);
+  });
+  return server;
+}
+
+module.exports = {
+  SITE_DIR,
+  SiteBuilder,
+  serveSite,
+};
@@ -0,0 +1,97 @@
+/**
+ * File extension of the official solutions of each language
+ */
+const SOLUTION_EXTENSIONS = {
+  Golang: 'go',
+  Java: 'java',
+  JavaScript: 'js',
+  Python: 'py',
+};
+
+/**
+ * @typedef {Object} VideoExplanation
+ * @property {string} title - Title of the video
+ * @property {string|null} duration - Duration of the video, e.g. `23:41`, null when it could not be found
+ */
+
+/**
+ * @typedef {Object} OfficialSolutions
+ * @property {Object<string, Array<string>>} code - Code of every official solution, by language
+ * @property {string} explanation - The written explanation, as markdown. Empty when there is none
+ * @property {VideoExplanation|null} video - The video explanation, null when there is none
+ */
+
+/**
+ * Returns the code shown in a code editor, one line per editor line.
+ * Runs in the browser, so it must stay self contained
+ * @param {Element} root - The editor element
+ * @returns {string} the code
+ */
+function editorText(root) {
+  // The editor API holds every line, the DOM only the lines scrolled into view
+  const monaco = window.monaco;
+  if (monaco && monaco.editor && monaco.editor.getEditors) {
+    const editor = monaco.editor.getEditors().find(candidate => root.contains(candidate.getDomNode()));
+    if (editor) {
+      return editor.getValue();
+    }
+  }
+
+  // Monaco renders its lines absolutely positioned, in any order
+  const monacoLines = Array.from(root.querySelectorAll('.view-line'));
+  if (monacoLines.length > 0) {
+    return monacoLines
+      .sort((a, b) => parseFloat(a.style.top || 0) - parseFloat(b.style.top || 0))
+      .map(line => line.textContent.replace(/\u00a0/g, ' '))
+      .join('\n');
+  }
+
+  const codeMirrorLines = Array.from(root.querySelectorAll('.CodeMirror-line, .cm-line'));
+  if (codeMirrorLines.length > 0) {
+    return codeMirrorLines.map(line => line.textContent).join('\n');
+  }
+  return root.textContent;
+}
+
+/**
+ * Formats a duration in seconds as `m:ss`, or `h:mm:ss` for an hour or more
+ * @param {number} seconds
+ * @returns {string|null} the formatted duration, null when `seconds` is not a finite number
+ */
+function formatDuration(seconds) {
+  if (!Number.isFinite(seconds)) {
+    return null;
+  }
+
+  const total = Math.round(seconds);
+  const [hours, minutes, secs] = [Math.floor(total / 3600), Math.floor(total / 60) % 60, total % 60];
+  const pad = (value) => String(value).padStart(2, '0');
+  return hours > 0 ? `${hours}:${pad(minutes)}:${pad(secs)}` : `${minutes}:${pad(secs)}`;
+}
+
+/**
+ * Builds the official solution files of a question, e.g. `Python/official_solution_1.py`
+ * @param {OfficialSolutions} solutions
+ * @returns {Map<string, string>} content of every file, by path relative to the question directory
+ */
+function officialSolutionFiles(solutions) {
+  const files = new Map();
+
+  for (const [language, codes] of Object.entries(solutions.code)) {
+    codes.forEach((code, idx) => {
+      // Never one of the SOLUTION_FILES of the harness, the user's solution is kept
+      const fileName = `official_solution_${idx + 1}.${SOLUTION_EXTENSIONS[language]}`;
+      // Go compiles every file of the directory, the constraint keeps the official code out of the test build
+      const header = language === 'Golang' ? '//go:build ignore\n\n' : '';
+      files.set(`${language}/${fileName}`, header + (code.endsWith('\n') ? code : `${code}\n`));
+    });
+  }
+  return files;
+}
+
+module.exports = {
+  SOLUTION_EXTENSIONS,
+  editorText,
+  formatDuration,
+  officialSolutionFiles,
+};
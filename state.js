@@ -0,0 +1,276 @@
+const crypto = require('crypto');
+const { readIfExists, writeFileAtomic } = require('./files');
+const logger = require('./logger');
+
+const STATE_FILE = 'scrape-state.json';
+const LEGACY_SKIP_FILE = 'urls_to_skip.txt';
+
+/**
+ * Status of a question in the manifest
+ */
+const STATUS = {
+  PENDING: 'pending',
+  DONE: 'done',
+  FAILED: 'failed',
+};
+
+/**
+ * @typedef {Object} QuestionState
+ * @property {string} url - The question URL
+ * @property {string|null} category - The category the question was scraped from
+ * @property {number|null} num - Position of the question in its category
+ * @property {'pending'|'done'|'failed'} status - `pending` while being scraped, or when a run stopped in the middle of it
+ * @property {string|null} error - Error message of the last failure
+ * @property {string|null} [errorKind] - Kind of the last failure, e.g. `navigation-timeout`, see `ERROR_KINDS` in retry.js
+ * @property {number} attempts - How many times the question was scraped
+ * @property {string|null} startedAt - ISO timestamp of the last attempt start
+ * @property {string} updatedAt - ISO timestamp of the last status change
+ * @property {string|null} completedAt - ISO timestamp of the last success
+ * @property {Array<string>} outputs - Paths of the files the question was written to
+ * @property {string|null} contentHash - sha256 of the scraped README.md content & testcases
+ */
+
+/**
+ * Returns the sha256 hash of the scraped content of a question
+ * @param {string} markdown - The README.md content
+ * @param {Array<Object>} testcases - The scraped testcases
+ * @returns {string} hex digest
+ */
+function contentHash(markdown, testcases) {
+  return crypto.createHash('sha256').update(markdown).update(JSON.stringify(testcases)).digest('hex');
+}
+
+/**
+ * Per-question state manifest, saved after every change so an interrupted run can resume
+ * @typedef {Object} StateManifest
+ * @property {string|null} filePath - Path of the manifest, null keeps the state in memory only
+ * @property {string} skipFile - Path of the legacy list of URLs to skip, imported when there is no manifest yet
+ * @property {Map<string, QuestionState>} questions - State of each question by URL
+ * @property {Map<string, Array<string>>} categories - Question URLs of each category, in the order their numbers were assigned
+ * @property {Array<string>} discoveredCategories - Every category found on the questions page by the last run, even the
+ *   ones it didn't scrape. Empty until a run discovers them
+ * @property {Promise<void>} saving - The last save
+ */
+class StateManifest {
+  /**
+   * @param {string|null} [filePath] - Path of the manifest, null keeps the state in memory only
+   * @param {Object} [options]
+   * @param {string} [options.skipFile] - Path of the legacy list of URLs to skip, defaults to urls_to_skip.txt
+   */
+  constructor(filePath = STATE_FILE, { skipFile = LEGACY_SKIP_FILE } = {}) {
+    this.filePath = filePath;
+    this.skipFile = skipFile;
+    this.questions = new Map();
+    this.categories = new Map();
+    this.discoveredCategories = [];
+    this.saving = Promise.resolve();
+  }
+
+  /**
+   * Loads the manifest. When there is none yet, the URLs of the legacy skip file are imported as done
+   */
+  async load() {
+    if (!this.filePath) {
+      return;
+    }
+
+    const content = await readIfExists(this.filePath);
+    if (content) {
+      const data = JSON.parse(content);
+      for (const question of data.questions || []) {
+        this.questions.set(question.url, question);
+      }
+      for (const [category, urls] of Object.entries(data.categories || {})) {
+        this.categories.set(category, urls);
+      }
+      this.discoveredCategories = data.discoveredCategories || [];
+      logger.info(`Success! - read ${this.filePath}`);
+      return;
+    }
+
+    const legacy = await readIfExists(this.skipFile);
+    if (legacy) {
+      const urls = legacy.split('\n').map(url => url.trim()).filter(Boolean);
+      for (const url of urls) {
+        this.update(url, { status: STATUS.DONE });
+      }
+      await this.save();
+      logger.info(`Imported ${urls.length} URL(s) from ${this.skipFile} into ${this.filePath}`);
+    }
+  }
+
+  /**
+   * Saves the manifest atomically. Saves run one after the other, so the last save always writes the latest state
+   */
+  async save() {
+    if (!this.filePath) {
+      return;
+    }
+
+    const save = this.saving.catch(() => {}).then(() => writeFileAtomic(this.filePath, JSON.stringify({
+      version: 1,
+      categories: Object.fromEntries(this.categories),
+      discoveredCategories: this.discoveredCategories,
+      questions: [...this.questions.values()],
+    }, null, 2)));
+    this.saving = save;
+    await save;
+  }
+
+  /**
+   * @param {string} url
+   * @returns {QuestionState|undefined}
+   */
+  get(url) {
+    return this.questions.get(url);
+  }
+
+  /**
+   * @param {string} url
+   * @returns {boolean} true if the question was scraped successfully
+   */
+  isDone(url) {
+    const question = this.get(url);
+    return Boolean(question && question.status === STATUS.DONE);
+  }
+
+  /**
+   * @param {string} url
+   * @returns {boolean} true if the last attempt failed, or a run stopped in the middle of it
+   */
+  needsRetry(url) {
+    const question = this.get(url);
+    return Boolean(question && question.status !== STATUS.DONE);
+  }
+
+  /**
+   * Merges `changes` into the state of a question, creating it when needed
+   * @param {string} url
+   * @param {Partial<QuestionState>} changes
+   * @returns {QuestionState}
+   */
+  update(url, changes) {
+    const question = this.get(url) || {
+      url,
+      category: null,
+      num: null,
+      status: STATUS.PENDING,
+      error: null,
+      attempts: 0,
+      startedAt: null,
+      updatedAt: null,
+      completedAt: null,
+      outputs: [],
+      contentHash: null,
+    };
+
+    Object.assign(question, changes, { updatedAt: new Date().toISOString() });
+    this.questions.set(url, question);
+    return question;
+  }
+
+  /**
+   * Marks a question as being scraped
+   * @param {string} url
+   * @param {string} category
+   * @param {number} num - Position of the question in its category
+   */
+  async markPending(url, category, num) {
+    const attempts = (this.get(url) || { attempts: 0 }).attempts + 1;
+    this.update(url, { category, num, status: STATUS.PENDING, attempts, startedAt: new Date().toISOString() });
+    await this.save();
+  }
+
+  /**
+   * Marks a question as successfully scraped
+   * @param {string} url
+   * @param {Array<string>} outputs - Paths of the files the question was written to
+   * @param {string} hash - See `contentHash`
+   */
+  async markDone(url, outputs, hash) {
+    this.update(url, {
+      status: STATUS.DONE, error: null, errorKind: null, outputs, contentHash: hash, completedAt: new Date().toISOString(),
+    });
+    await this.save();
+  }
+
+  /**
+   * Marks a question as failed
+   * @param {string} url
+   * @param {Error|string} error - The error that stopped the question
+   */
+  async markFailed(url, error) {
+    this.update(url, {
+      status: STATUS.FAILED,
+      error: error instanceof Error ? error.message : String(error),
+      errorKind: (error && error.kind) || null,
+    });
+    await this.save();
+  }
+
+  /**
+   * @returns {Array<string>} the categories found in previous runs
+   */
+  knownCategories() {
+    return [...this.categories.keys()];
+  }
+
+  /**
+   * Stores the order of the questions of a category. Questions keep the number they were given in earlier runs,
+   * and new questions get the next numbers, so inserting a question on AlgoExpert never renumbers the folders
+   * @param {string} category
+   * @param {Array<string>} urls - Question URLs in the order they are listed on AlgoExpert
+   * @returns {Array<string>} the URLs added since the last run, empty the first time a category is seen
+   */
+  assignQuestionOrder(category, urls) {
+    let order = this.categories.get(category);
+
+    if (!order) {
+      // Seeded from the numbers of earlier runs, which used the position on the page
+      order = [];
+      for (const question of this.questions.values()) {
+        if (question.category === category && question.num && !order[question.num - 1]) {
+          order[question.num - 1] = question.url;
+        }
+      }
+
+      // Questions without a number fill the gaps first. Gaps left unfilled stay null, so no number shifts
+      const unnumbered = urls.filter(url => !order.includes(url));
+      order = Array.from(order, url => url || unnumbered.shift() || null);
+      this.categories.set(category, [...order, ...unnumbered]);
+      return [];
+    }
+
+    const added = urls.filter(url => !order.includes(url));
+    this.categories.set(category, [...order, ...added]);
+    return added;
+  }
+
+  /**
+   * @param {string} category
+   * @param {string} url
+   * @returns {number|null} the number of the question in its category, starting at 1
+   */
+  questionNumber(category, url) {
+    const idx = (this.categories.get(category) || []).indexOf(url);
+    return idx === -1 ? null : idx + 1;
+  }
+
+  /**
+   * @returns {Object<string, number>} number of questions by status
+   */
+  countByStatus() {
+    const counts = { [STATUS.PENDING]: 0, [STATUS.DONE]: 0, [STATUS.FAILED]: 0 };
+    for (const question of this.questions.values()) {
+      counts[question.status]++;
+    }
+    return counts;
+  }
+}
+
+module.exports = {
+  STATE_FILE,
+  STATUS,
+  StateManifest,
+  contentHash,
+};
@@ -0,0 +1,254 @@
+const fs = require('fs').promises;
+const path = require('path');
+const Handlebars = require('handlebars');
+const { ArchiveReader } = require('./archive');
+const { HarnessGenerator, SOLUTION_FILES } = require('./harness');
+const { codeFence } = require('./markdown');
+const logger = require('./logger');
+
+/**
+ * Helpers called as `{{name value}}`
+ */
+const HELPERS = {
+  // Compact JSON, e.g. `{{json inputs}}`
+  json: value => JSON.stringify(value),
+  // Inline code that fits in a table cell: JSON for other values than strings, pipes escaped & on one line
+  code: (value) => {
+    const text = (typeof value === 'string' ? value : JSON.stringify(value) || '').replace(/\|/g, '\\|').replace(/\n/g, ' ');
+    return text.includes('`') ? `\`\` ${text} \`\`` : `\`${text}\``;
+  },
+  // Fenced code block, as the sample inputs & outputs of the default README.md
+  fence: value => codeFence(typeof value === 'string' ? value : JSON.stringify(value, null, 2)),
+};
+
+/**
+ * Partials available to every template. A partial file with the same name replaces them
+ */
+const BUILTIN_PARTIALS = {
+  testcaseTable: `| Test Case | Inputs | Expected Output |
+| --------- | ------ | --------------- |
+{{#each testcases}}
+| {{name}} | {{code inputs}} | {{code expected}} |
+{{/each}}
+`,
+  solutionLinks: `{{#each languages}}
+* [{{name}}]({{link}})
+{{/each}}
+`,
+  languageChecklist: `{{#each languages}}
+- [{{#if solved}}x{{else}} {{/if}}] {{name}}
+{{/each}}
+`,
+  starterCode: `{{#each languages}}
+{{#if starter}}
+### {{name}}
+
+{{fence starter}}
+
+{{/if}}
+{{/each}}
+`,
+};
+
+/**
+ * @typedef {Object} ReadmeLanguage
+ * @property {string} name - e.g. `JavaScript`
+ * @property {string} file - Solution file, relative to the question directory, e.g. `JavaScript/solution.js`
+ * @property {string} link - `file` as a Markdown link target
+ * @property {boolean} solved - Whether the language directory holds the user's own code
+ * @property {string|null} starter - The generated solution stub, null when no testcase has inputs
+ */
+
+/**
+ * Values of a README.md template. `question`, `meta` & `body` are added by `generateQuestionMarkdown`
+ * @typedef {Object} ReadmeContext
+ * @property {import('./extractor').CodingQuestion} [question] - The scraped question
+ * @property {Object} [meta] - The question metadata, as saved in meta.json
+ * @property {string} [body] - The default README.md, without its front matter
+ * @property {Array<import('./extractor').TestCase>} testcases
+ * @property {string} url
+ * @property {string} slug
+ * @property {string} category
+ * @property {number} num
+ * @property {string} path - Question directory, relative to the download directory
+ * @property {Array<ReadmeLanguage>} languages - Every configured language
+ * @property {Array<string>} solved - Names of the solved languages
+ */
+
+/**
+ * Compile options of every template. Markdown has no escaping, and names missing from the current scope are looked up
+ * in the enclosing ones, so `{{#each testcases}}` can still use `{{question.title}}`
+ */
+const COMPILE_OPTIONS = {
+  noEscape: true,
+  compat: true,
+  knownHelpers: Object.fromEntries(Object.keys(HELPERS).map(name => [name, true])),
+  knownHelpersOnly: true,
+};
+
+/**
+ * Collects the partials a template includes, to report an unknown one before anything is rendered
+ */
+class PartialCollector extends Handlebars.Visitor {
+  constructor() {
+    super();
+    this.partials = [];
+  }
+
+  PartialStatement(partial) {
+    // Dynamic partials, e.g. {{> (lookup . 'name')}}, are only known when rendered
+    if (partial.name.type === 'PathExpression') {
+      this.partials.push({ name: partial.name.original, line: partial.loc.start.line });
+    }
+  }
+}
+
+/**
+ * Creates a Handlebars environment with the helpers & the given partials
+ * @param {Object<string, string>} partials - Partial sources by name
+ * @returns {typeof Handlebars}
+ */
+function createEnvironment(partials) {
+  const env = Handlebars.create();
+  for (const [name, helper] of Object.entries(HELPERS)) {
+    env.registerHelper(name, helper);
+  }
+  for (const [name, source] of Object.entries(partials)) {
+    env.registerPartial(name, env.compile(source, COMPILE_OPTIONS));
+  }
+  return env;
+}
+
+/**
+ * Compiles a template, reporting syntax errors, unknown helpers & unknown partials now rather than when it is rendered
+ * @param {typeof Handlebars} env - Environment with the partials registered
+ * @param {string} source
+ * @param {string} name - Template file or partial name, for the error messages
+ * @returns {function(Object): string}
+ */
+function compileTemplate(env, source, name) {
+  try {
+    env.precompile(source, COMPILE_OPTIONS);
+  } catch (error) {
+    throw new Error(`${name}: ${error.message}`);
+  }
+
+  const collector = new PartialCollector();
+  collector.accept(env.parse(source));
+  const unknown = collector.partials.find(partial => !env.partials[partial.name]);
+  if (unknown) {
+    throw new Error(`${name}:${unknown.line}: unknown partial {{> ${unknown.name}}}. ` +
+      `Expected one of: ${Object.keys(env.partials).join(', ')}`);
+  }
+  return env.compile(source, COMPILE_OPTIONS);
+}
+
+/**
+ * Renders a template once, e.g. `renderTemplate('## {{title}}', { title: 'Two Number Sum' })`
+ * @param {string} source
+ * @param {Object} context - Values of the template
+ * @param {Object<string, string>} [partials] - Partial sources by name, added to the built-in ones
+ * @returns {string}
+ */
+function renderTemplate(source, context, partials = {}) {
+  const env = createEnvironment({ ...BUILTIN_PARTIALS, ...partials });
+  return compileTemplate(env, source, 'template')(context);
+}
+
+/**
+ * Renders the README.md of each question with a Handlebars style template of the user, instead of the default layout
+ * @typedef {Object} ReadmeTemplate
+ * @property {string} templateFile - The template of the README.md
+ * @property {string|null} partialsDir - Directory of the partial templates, each named after its file
+ * @property {Array<string>} languages - Languages listed in the solution links & checklist
+ * @property {function(ReadmeContext): string|null} template - The compiled template, once loaded
+ */
+class ReadmeTemplate {
+  /**
+   * @param {Object} options
+   * @param {string} options.template - The template file
+   * @param {string|null} [options.partials] - Directory of the partial templates
+   * @param {string} options.archiveDir - The download directory, read for the solved languages
+   * @param {Array<string>} options.languages - Languages listed in the solution links & checklist
+   */
+  constructor({ template, partials = null, archiveDir, languages }) {
+    this.templateFile = template;
+    this.partialsDir = partials;
+    this.archiveDir = archiveDir;
+    this.languages = languages;
+    this.archiveReader = new ArchiveReader({ archiveDir, languages });
+    this.harnessGenerator = new HarnessGenerator();
+    this.template = null;
+  }
+
+  /**
+   * Reads & compiles the template & its partials, so a mistake in them fails the run before anything is scraped
+   */
+  async load() {
+    const partials = { ...BUILTIN_PARTIALS };
+    if (this.partialsDir) {
+      for (const entry of await fs.readdir(this.partialsDir, { withFileTypes: true })) {
+        if (entry.isFile() && !entry.name.startsWith('.')) {
+          partials[path.basename(entry.name, path.extname(entry.name))] =
+            await fs.readFile(path.join(this.partialsDir, entry.name), 'utf8');
+        }
+      }
+    }
+
+    const env = createEnvironment(partials);
+    for (const [name, source] of Object.entries(partials)) {
+      compileTemplate(env, source, `partial ${name}`);
+    }
+    this.template = compileTemplate(env, await fs.readFile(this.templateFile, 'utf8'), this.templateFile);
+    logger.info(`Loaded the README template ${this.templateFile}`);
+  }
+
+  /**
+   * Builds the values of the template for a question
+   * @param {Object} question
+   * @param {string} question.url
+   * @param {string} question.slug
+   * @param {string} question.category
+   * @param {number} question.num
+   * @param {string} question.path - Question directory, relative to the download directory
+   * @param {string} question.title
+   * @param {Array<import('./extractor').TestCase>} question.testcases
+   * @returns {Promise<ReadmeContext>}
+   */
+  async context({ url, slug, category, num, path: questionPath, title, testcases }) {
+    // Read before the question is exported, so only the code already in the directory counts
+    const solved = await this.archiveReader.solvedLanguages(path.join(this.archiveDir, questionPath), title, testcases);
+    const stubs = this.harnessGenerator.inferSignature(title, testcases)
+      ? this.harnessGenerator.generateFiles(title, this.languages, testcases)
+      : new Map();
+    const languages = this.languages.map((name) => {
+      const file = `${name}/${SOLUTION_FILES[name]}`;
+      return {
+        name,
+        file,
+        link: file.split('/').map(encodeURIComponent).join('/'),
+        solved: solved.includes(name),
+        starter: stubs.get(file) || null,
+      };
+    });
+    return { url, slug, category, num, path: questionPath, testcases, languages, solved };
+  }
+
+  /**
+   * @param {ReadmeContext} context
+   * @returns {string} the README.md, without its front matter
+   */
+  render(context) {
+    if (!this.template) {
+      throw new Error('The README template must be loaded before it is rendered');
+    }
+    return this.template(context);
+  }
+}
+
+module.exports = {
+  BUILTIN_PARTIALS,
+  HELPERS,
+  renderTemplate,
+  ReadmeTemplate,
+};
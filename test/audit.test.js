@@ -0,0 +1,113 @@
+const { test, beforeEach, afterEach } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ArchiveAuditor, ISSUES } = require('../audit');
+const logger = require('../logger');
+
+logger.configure({ level: 'silent' });
+
+const BASE_URL = 'https://www.algoexpert.io/questions';
+let root;
+
+/**
+ * Writes a complete question folder
+ * @param {string} dir - Relative to the download directory
+ * @param {string|null} slug - Question slug saved in meta.json, null for a folder of an older run without one
+ * @param {Object<string, string|Buffer>} [files] - Other files, e.g. the user's solutions
+ */
+function writeQuestion(dir, slug, files = {}) {
+  const title = path.basename(dir).replace(/^\d+-/, '');
+  const questionFiles = {
+    'README.md': `## ${title}\n`,
+    'testcases.json': JSON.stringify([{ name: 'Test Case 1', inputs: { array: [1] }, expected: 1 }]),
+    ...(slug ? { 'meta.json': JSON.stringify({ url: `${BASE_URL}/${slug}`, title }) } : {}),
+    ...files,
+  };
+  for (const [file, content] of Object.entries(questionFiles)) {
+    fs.mkdirSync(path.dirname(path.join(root, 'archive', dir, file)), { recursive: true });
+    fs.writeFileSync(path.join(root, 'archive', dir, file), content);
+  }
+}
+
+function createAuditor() {
+  return new ArchiveAuditor({
+    archiveDir: path.join(root, 'archive'),
+    languages: ['JavaScript'],
+    stateFile: path.join(root, 'scrape-state.json'),
+    skipFile: path.join(root, 'urls_to_skip.txt'),
+  });
+}
+
+beforeEach(() => {
+  root = fs.mkdtempSync(path.join(os.tmpdir(), 'algoexpert-audit-'));
+});
+
+afterEach(() => fs.rmSync(root, { recursive: true, force: true }));
+
+test('merges the folders of the same URL or question name', async () => {
+  writeQuestion('Arrays/01-Two Number Sum', 'two-number-sum');
+  writeQuestion('Arrays/03-Two Sum', 'two-number-sum', { 'JavaScript/notes.md': 'Use a hash table' });
+  writeQuestion('Arrays/04-Kadanes Algorithm', 'kadanes-algorithm');
+  writeQuestion('Arrays/09-Kadanes Algorithm', null);
+
+  const { issues } = await createAuditor().audit({ fix: true });
+  const duplicates = issues.filter(issue => issue.kind === ISSUES.DUPLICATE);
+  assert.deepEqual(duplicates.map(issue => issue.url).sort(), [`${BASE_URL}/kadanes-algorithm`, `${BASE_URL}/two-number-sum`]);
+  assert.equal(fs.readdirSync(path.join(root, 'archive', 'Arrays')).length, 2);
+  const kept = duplicates.find(issue => issue.url.endsWith('two-number-sum')).dirs[0];
+  assert.equal(fs.readFileSync(path.join(root, 'archive', kept, 'JavaScript', 'notes.md'), 'utf8'), 'Use a hash table');
+});
+
+test('only reports folders sharing a number with another question', async () => {
+  writeQuestion("Arrays/02-Kadane's Algorithm", null, { 'JavaScript/solution.js': 'function kadanesAlgorithm() {}' });
+  writeQuestion('Arrays/02-Other Question', 'other-question');
+
+  const { issues, unfixed } = await createAuditor().audit({ fix: true });
+  assert.deepEqual(issues.map(issue => issue.kind), [ISSUES.SAME_NUMBER, ISSUES.UNTRACKED]);
+  assert.deepEqual(issues[0].dirs, ["Arrays/02-Kadane's Algorithm", 'Arrays/02-Other Question']);
+  assert.deepEqual(unfixed, [issues[0]]);
+  assert.deepEqual(fs.readdirSync(path.join(root, 'archive', 'Arrays')), ["02-Kadane's Algorithm", '02-Other Question']);
+  const state = JSON.parse(fs.readFileSync(path.join(root, 'scrape-state.json'), 'utf8'));
+  assert.ok(!JSON.stringify(state).includes('"failed"'));
+});
+
+test('copies every file of a merged folder, binary & ignored ones included', async () => {
+  const binary = Buffer.from([0x89, 0x50, 0x4e, 0x47, 0xff, 0xfe, 0x00, 0x01]);
+  writeQuestion('Arrays/01-Two Number Sum', 'two-number-sum');
+  writeQuestion('Arrays/03-Two Sum', 'two-number-sum', {
+    'notes.png': binary,
+    '.notes': 'Sort first',
+    'Golang/go.sum': 'example.com/mod v1.0.0 h1:abc=',
+    'JavaScript/node_modules/lib/index.js': 'module.exports = 1;',
+  });
+
+  const { issues, unfixed } = await createAuditor().audit({ fix: true });
+  const [duplicate] = issues.filter(issue => issue.kind === ISSUES.DUPLICATE);
+  assert.deepEqual(unfixed, []);
+  const [kept, removed] = duplicate.dirs.map(dir => path.join(root, 'archive', dir));
+  assert.ok(!fs.existsSync(removed));
+  assert.deepEqual(fs.readFileSync(path.join(kept, 'notes.png')), binary);
+  assert.equal(fs.readFileSync(path.join(kept, '.notes'), 'utf8'), 'Sort first');
+  assert.equal(fs.readFileSync(path.join(kept, 'Golang', 'go.sum'), 'utf8'), 'example.com/mod v1.0.0 h1:abc=');
+  assert.equal(fs.readFileSync(path.join(kept, 'JavaScript', 'node_modules', 'lib', 'index.js'), 'utf8'), 'module.exports = 1;');
+});
+
+test('keeps a merged folder holding a file that differs from the current one', async () => {
+  writeQuestion('Arrays/01-Two Number Sum', 'two-number-sum', { 'JavaScript/notes.md': 'Use a hash table' });
+  writeQuestion('Arrays/03-Two Sum', 'two-number-sum', { 'JavaScript/notes.md': 'Use two pointers', '.notes': 'Sort first' });
+  // The folder scraped last is the current one
+  for (const file of ['README.md', 'testcases.json']) {
+    fs.utimesSync(path.join(root, 'archive', 'Arrays/03-Two Sum', file), new Date(2020, 0, 1), new Date(2020, 0, 1));
+  }
+
+  const { issues, unfixed } = await createAuditor().audit({ fix: true });
+  const [duplicate] = issues.filter(issue => issue.kind === ISSUES.DUPLICATE);
+  assert.deepEqual(unfixed, [duplicate]);
+  assert.deepEqual(duplicate.dirs, ['Arrays/01-Two Number Sum', 'Arrays/03-Two Sum']);
+  const [kept, other] = duplicate.dirs.map(dir => path.join(root, 'archive', dir));
+  assert.equal(fs.readFileSync(path.join(other, 'JavaScript', 'notes.md'), 'utf8'), 'Use two pointers');
+  assert.equal(fs.readFileSync(path.join(kept, 'JavaScript', 'notes.md'), 'utf8'), 'Use a hash table');
+  assert.equal(fs.readFileSync(path.join(kept, '.notes'), 'utf8'), 'Sort first');
+});
@@ -0,0 +1,78 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { Scraper } = require('../core');
+const { HarnessGenerator } = require('../harness');
+const defaults = require('../config');
+const logger = require('../logger');
+
+logger.configure({ level: 'silent' });
+
+const TITLE = 'Two Number Sum';
+const TESTCASES = [{ name: 'Test Case 1', inputs: { array: [3, 5, -4, 8, 11, 1, -1, 6], targetSum: 10 }, expected: [11, -1] }];
+let outputDir;
+
+before(() => {
+  outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'algoexpert-core-'));
+});
+
+after(() => fs.rmSync(outputDir, { recursive: true, force: true }));
+
+test('writes the workspace code next to the solution files holding your own code', async () => {
+  const languages = ['JavaScript', 'Python', 'Java'];
+  const scraper = new Scraper({ config: { ...defaults, languages }, outputDir });
+  const stubs = new HarnessGenerator().generateFiles(TITLE, languages, TESTCASES);
+  const questionDir = path.join(outputDir, 'Arrays', '01-Two Number Sum');
+  const writeLocal = (file, content) => {
+    fs.mkdirSync(path.dirname(path.join(questionDir, file)), { recursive: true });
+    fs.writeFileSync(path.join(questionDir, file), content);
+  };
+  writeLocal('JavaScript/solution.js', stubs.get('JavaScript/solution.js'));
+  writeLocal('Python/solution.py', 'def twoNumberSum(array, targetSum):\n    return []\n');
+
+  const submissions = {
+    JavaScript: { code: 'function twoNumberSum() {}', file: 'JavaScript/solution.js', passed: false },
+    Python: { code: 'def twoNumberSum(array, targetSum):\n    pass', file: 'Python/solution.py', passed: true },
+    Java: { code: 'class Program {}', file: 'Java/src/Program.java', passed: null },
+  };
+  await scraper.placeSubmissions(submissions, 'Arrays/01-Two Number Sum', TITLE, TESTCASES);
+
+  assert.deepEqual(Object.values(submissions).map(submission => submission.file),
+    ['JavaScript/solution.js', 'Python/solution.workspace.py', 'Java/src/Program.java']);
+});
+
+test('reports category drift against every category of the last run, not the scraped ones', async (t) => {
+  const config = { ...defaults, stateFile: path.join(outputDir, 'scrape-state.json') };
+  const collect = async (categories, discovered) => {
+    const scraper = new Scraper({ config, outputDir, categories });
+    scraper.dataExtractor.discoverCategories = async () => discovered;
+    scraper.dataExtractor.getQuestionsByCategory = async (pageHandler, names) => new Map(names.map(name => [name, []]));
+    await scraper.state.load();
+    await scraper.collectQuestions();
+    await scraper.state.save();
+  };
+  const warn = t.mock.method(logger, 'warn');
+
+  await collect(['Arrays'], ['Arrays', 'Graphs']);
+  await collect(['Graphs'], ['Arrays', 'Graphs']);
+  assert.equal(warn.mock.callCount(), 0);
+
+  await collect(['Graphs'], ['Arrays', 'Graphs', 'Tries']);
+  assert.deepEqual(warn.mock.calls.map(call => call.arguments[0]), ['-- New categories since the last run: Tries']);
+});
+
+test('logs the run summary at the configured level only', async (t) => {
+  const scraper = new Scraper({ config: defaults, outputDir });
+  scraper.reportFile = path.join(outputDir, 'run-report.json');
+  const print = t.mock.method(console, 'log', () => {});
+
+  await scraper.writeReport(null);
+  assert.equal(print.mock.callCount(), 0);
+
+  logger.configure({ level: 'info' });
+  t.after(() => logger.configure({ level: 'silent' }));
+  await scraper.writeReport(null);
+  assert.match(print.mock.calls[0].arguments[0], /^\nRun summary\n/);
+});
@@ -0,0 +1,35 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { AnkiExporter } = require('../exporters');
+const logger = require('../logger');
+
+logger.configure({ level: 'silent' });
+
+test('keeps the lines of a card starting with # when the Anki deck is read again', async () => {
+  const outputDir = fs.mkdtempSync(path.join(os.tmpdir(), 'algoexpert-exporters-'));
+  try {
+    const deck = [
+      '#separator:Comma',
+      '#html:true',
+      '#guid column:1',
+      '#tags column:4',
+      '"https://www.algoexpert.io/questions/two-number-sum","<h2>Two Number Sum</h2>","<pre><code>#include <vector>',
+      '# Sort the array first',
+      'return []</code></pre>","Arrays Easy"',
+      '',
+    ].join('\n');
+    fs.writeFileSync(path.join(outputDir, 'anki.csv'), deck);
+
+    for (let run = 0; run < 2; run++) {
+      const exporter = new AnkiExporter({ outputDir });
+      await exporter.begin();
+      await exporter.finish();
+    }
+    assert.equal(fs.readFileSync(path.join(outputDir, 'anki.csv'), 'utf8'), deck);
+  } finally {
+    fs.rmSync(outputDir, { recursive: true, force: true });
+  }
+});
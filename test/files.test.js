@@ -0,0 +1,31 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { FileManager } = require('../files');
+const logger = require('../logger');
+
+logger.configure({ level: 'silent' });
+
+let dirPath;
+
+before(() => {
+  dirPath = fs.mkdtempSync(path.join(os.tmpdir(), 'algoexpert-files-'));
+});
+
+after(() => fs.rmSync(dirPath, { recursive: true, force: true }));
+
+test('never replaces an existing file, even one created at the same time', async () => {
+  const fileManager = new FileManager();
+  const filePath = path.join(dirPath, 'JavaScript', 'solution.js');
+
+  const written = await Promise.all(['first', 'second', 'third'].map(content => fileManager.saveFileIfMissing(filePath, content)));
+  assert.equal(written.filter(Boolean).length, 1);
+  const content = fs.readFileSync(filePath, 'utf8');
+
+  fs.writeFileSync(filePath, 'my solution');
+  assert.equal(await fileManager.saveFileIfMissing(filePath, content), false);
+  assert.equal(fs.readFileSync(filePath, 'utf8'), 'my solution');
+  assert.deepEqual(fs.readdirSync(path.dirname(filePath)), ['solution.js']);
+});
@@ -0,0 +1,51 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const vm = require('vm');
+const { HarnessGenerator } = require('../harness');
+const { ArchiveReader } = require('../archive');
+const logger = require('../logger');
+
+logger.configure({ level: 'silent' });
+
+const TESTCASES = [{ name: 'Test Case 1', inputs: { type: 'a', range: [1, 2], new: 3, 'default-value': true }, expected: 1 }];
+
+test('appends _ to the parameters that are reserved words of each language', () => {
+  const harnessGenerator = new HarnessGenerator();
+  const names = language => harnessGenerator.inferSignature('Range Sum', TESTCASES, language).params.map(param => param.name);
+
+  assert.deepEqual(names(), ['type', 'range', 'new', 'default_value']);
+  assert.deepEqual(names('Golang'), ['type_', 'range_', 'new', 'default_value']);
+  assert.deepEqual(names('Java'), ['type', 'range', 'new_', 'default_value']);
+  assert.deepEqual(names('JavaScript'), ['type', 'range', 'new_', 'default_value']);
+  assert.deepEqual(names('Python'), ['type', 'range', 'new', 'default_value']);
+  assert.equal(harnessGenerator.inferSignature('Switch', TESTCASES, 'Java').name, 'switch_');
+  // The Go function is capitalized, so `Range` is no keyword
+  assert.equal(harnessGenerator.inferSignature('Range', TESTCASES, 'Golang').name, 'range');
+  assert.match(harnessGenerator.generateFiles('Range', ['Golang'], TESTCASES).get('Golang/solution.go'), /func Range\(/);
+});
+
+test('generates solution stubs that parse', () => {
+  const files = new HarnessGenerator().generateFiles('Range Sum', ['Golang', 'JavaScript'], TESTCASES);
+  assert.doesNotThrow(() => new vm.Script(files.get('JavaScript/solution.js')));
+  assert.match(files.get('Golang/solution.go'), /func RangeSum\(type_ string, range_ \[\]int, new int, default_value bool\) int \{/);
+});
+
+test('recognizes the stubs of older runs, generated before reserved words got a trailing _', async () => {
+  const harnessGenerator = new HarnessGenerator();
+  const [current, older] = harnessGenerator.generatedVersions('Range Sum', ['JavaScript'], TESTCASES).get('JavaScript/solution.js');
+  assert.match(current, /function rangeSum\(type, range, new_, default_value\)/);
+  assert.match(older, /function rangeSum\(type, range, new, default_value\)/);
+
+  const archiveDir = fs.mkdtempSync(path.join(os.tmpdir(), 'algoexpert-harness-'));
+  try {
+    fs.mkdirSync(path.join(archiveDir, 'JavaScript'));
+    fs.writeFileSync(path.join(archiveDir, 'JavaScript', 'solution.js'), older);
+    const archiveReader = new ArchiveReader({ archiveDir, languages: ['JavaScript'] });
+    assert.deepEqual(await archiveReader.solvedLanguages(archiveDir, 'Range Sum', TESTCASES), []);
+  } finally {
+    fs.rmSync(archiveDir, { recursive: true, force: true });
+  }
+});
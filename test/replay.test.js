@@ -0,0 +1,113 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const path = require('path');
+const { chromium } = require('playwright');
+const { BrowserManager } = require('../browser');
+const { PageHandler } = require('../page');
+const { DataExtractor } = require('../extractor');
+const { Scraper } = require('../core');
+const { ERROR_KINDS, RetryPolicy } = require('../retry');
+const defaults = require('../config');
+const logger = require('../logger');
+
+logger.configure({ level: 'silent' });
+
+const FIXTURES_DIR = path.join(__dirname, 'fixtures', 'replay');
+const BASE_URL = 'https://www.algoexpert.io';
+const TIMEOUTS = { navigation: 5000, element: 1000 };
+
+// The replay tests need Playwright's Chromium, installed with `npx playwright install chromium`
+let missingBrowser = false;
+before(async () => {
+  try {
+    await (await chromium.launch({ headless: true })).close();
+  } catch (error) {
+    missingBrowser = 'Chromium is not installed';
+  }
+});
+
+test('extracts the categories, questions & question data of the snapshots', async (t) => {
+  if (missingBrowser) {
+    t.skip(missingBrowser);
+    return;
+  }
+
+  const browserManager = new BrowserManager();
+  const dataExtractor = new DataExtractor();
+  try {
+    const pageHandler = new PageHandler(await browserManager.launchReplay(FIXTURES_DIR), { waits: false, timeouts: TIMEOUTS });
+    await pageHandler.goToUrl(`${BASE_URL}/questions`);
+
+    const categories = await dataExtractor.discoverCategories(pageHandler);
+    assert.deepEqual(categories, ['Arrays', 'Graphs']);
+    const questions = await dataExtractor.getQuestionsByCategory(pageHandler, categories, BASE_URL);
+    assert.deepEqual(Object.fromEntries(questions), {
+      Arrays: [`${BASE_URL}/questions/two-number-sum`, `${BASE_URL}/questions/validate-subsequence`],
+      Graphs: [`${BASE_URL}/questions/depth-first-search`],
+    });
+
+    await pageHandler.goToUrl(`${BASE_URL}/questions/two-number-sum`);
+    const question = await dataExtractor.extractQuestionData(pageHandler);
+    assert.equal(question.title, 'Two Number Sum');
+    assert.match(question.description, /^Write a function that takes in a non-empty array/);
+    assert.equal(question.exampleInput, 'array = [3, 5, -4, 8, 11, 1, -1, 6]\ntargetSum = 10');
+    assert.equal(question.exampleOutput, '[-1, 11]');
+
+    // The hints & complexity are rendered by the page script once their button is clicked
+    const metadata = await dataExtractor.extractQuestionMetadata(pageHandler, 'Arrays');
+    assert.deepEqual(metadata.hints, ['Try using two for loops to sum all possible pairs of numbers in the input array.']);
+    assert.equal(metadata.complexity, 'O(n) time | O(n) space - where n is the length of the input array');
+    // The difficulty & tags of the related questions are left out
+    assert.equal(metadata.difficulty, 'Easy');
+    assert.deepEqual(metadata.tags, ['Arrays', 'Hash Tables', 'Two Pointers']);
+
+    const testcases = await dataExtractor.extractTestCasesFromDom(pageHandler);
+    assert.deepEqual(testcases, [
+      { name: 'Test Case 1', inputs: { array: [3, 5, -4, 8, 11, 1, -1, 6], targetSum: 10 }, expected: [11, -1] },
+      { name: 'Test Case 2', inputs: { array: [4, 6], targetSum: 15 }, expected: [] },
+    ]);
+  } finally {
+    await browserManager.closeBrowser();
+  }
+});
+
+test('writes a replayed run to a scratch directory, never to the download directory', async (t) => {
+  if (missingBrowser) {
+    t.skip(missingBrowser);
+    return;
+  }
+
+  const config = { ...defaults, downloadBasePath: path.join(FIXTURES_DIR, 'not-written'), timeouts: TIMEOUTS, jitter: [0, 0] };
+  const scraper = new Scraper({ config, replayDir: FIXTURES_DIR, categories: ['Graphs'] });
+  after(() => fs.rmSync(scraper.outputDir, { recursive: true, force: true }));
+
+  await scraper.run();
+
+  const questionDir = path.join(scraper.outputDir, 'Graphs', '01-Depth-first-Search');
+  assert.match(fs.readFileSync(path.join(questionDir, 'README.md'), 'utf8'), /# Depth-first Search/);
+  assert.ok(fs.existsSync(path.join(scraper.outputDir, 'run-report.json')));
+  assert.ok(!fs.existsSync(config.downloadBasePath));
+  assert.ok(!fs.existsSync(config.stateFile));
+});
+
+test('fails a question without a fixture right away, without retrying it', async (t) => {
+  if (missingBrowser) {
+    t.skip(missingBrowser);
+    return;
+  }
+
+  const browserManager = new BrowserManager();
+  try {
+    const pageHandler = new PageHandler(await browserManager.launchReplay(FIXTURES_DIR), { waits: false, timeouts: TIMEOUTS });
+    let attempts = 0;
+    const goToMissing = () => {
+      attempts++;
+      return pageHandler.goToUrl(`${BASE_URL}/questions/not-captured`);
+    };
+    await assert.rejects(new RetryPolicy({ baseDelay: 1 }).run(goToMissing), { kind: ERROR_KINDS.MISSING_FIXTURE });
+    assert.equal(attempts, 1);
+  } finally {
+    await browserManager.closeBrowser();
+  }
+});
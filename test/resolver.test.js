@@ -0,0 +1,55 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { SelectorResolver, SelectorError, strategy } = require('../resolver');
+const selectors = require('../selectors');
+const logger = require('../logger');
+
+logger.configure({ level: 'silent' });
+
+/**
+ * A page whose selectors match the given number of elements
+ * @param {Object<string, number>} counts - Elements matched by each selector
+ */
+function mockScope(counts) {
+  const locator = (matched) => ({
+    selector: matched[0],
+    count: async () => matched.reduce((sum, selector) => sum + (counts[selector] || 0), 0),
+    or: other => locator([...matched, other.selector]),
+    first() {
+      return this;
+    },
+    async waitFor() {
+      if (await this.count() === 0) {
+        throw new Error('Timeout');
+      }
+    },
+  });
+  return { locator: selector => locator([selector]) };
+}
+
+test('resolves each category with its own candidates', async () => {
+  const arrays = selectors.questionByCategory('Arrays');
+  const graphs = selectors.questionByCategory('Graphs');
+  const scope = mockScope({ [arrays.candidates[0]]: 3, [graphs.candidates[0]]: 2 });
+  const resolver = new SelectorResolver();
+
+  assert.equal((await resolver.resolve(scope, arrays)).selector, arrays.candidates[0]);
+  assert.equal((await resolver.resolve(scope, graphs)).selector, graphs.candidates[0]);
+  assert.equal((await resolver.resolve(scope, graphs, { required: false })).selector, graphs.candidates[0]);
+});
+
+test('tries the fallback that matched last first', async () => {
+  const title = strategy('title', 'div h2', 'h1');
+  const scope = mockScope({ h1: 1 });
+  const resolver = new SelectorResolver();
+
+  assert.equal((await resolver.resolve(scope, title)).selector, 'h1');
+  assert.deepEqual(resolver.orderedCandidates(title), ['h1', 'div h2']);
+  // The same name with other candidates doesn't inherit the fallback
+  assert.deepEqual(resolver.orderedCandidates(strategy('title', 'h2', 'h3')), ['h2', 'h3']);
+});
+
+test('throws a SelectorError when no candidate matches', async () => {
+  const resolver = new SelectorResolver();
+  await assert.rejects(resolver.resolve(mockScope({}), strategy('missing', 'h2', 'h3'), { timeout: 10 }), SelectorError);
+});
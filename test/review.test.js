@@ -0,0 +1,39 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { applyReview } = require('../review');
+
+const newItem = { easiness: 2.5, interval: 0, repetitions: 0, due: null, history: [] };
+
+test('grows the interval from 1 to 6 days, then by the easiness', () => {
+  const first = applyReview(newItem, 4, '2024-01-01');
+  assert.equal(first.interval, 1);
+  assert.equal(first.due, '2024-01-02');
+  assert.equal(first.easiness, 2.5);
+
+  const second = applyReview(first, 5, '2024-01-02');
+  assert.equal(second.interval, 6);
+  assert.equal(second.easiness, 2.6);
+
+  const third = applyReview(second, 3, '2024-01-08');
+  assert.equal(third.interval, Math.round(6 * 2.6));
+  assert.equal(third.due, '2024-01-24');
+  assert.equal(third.repetitions, 3);
+  assert.deepEqual(third.history.map(({ grade }) => grade), [4, 5, 3]);
+});
+
+test('starts over the next day after a grade below 3', () => {
+  const learned = { ...newItem, interval: 15, repetitions: 3, easiness: 2.6 };
+  const failed = applyReview(learned, 2, '2024-03-01');
+  assert.equal(failed.repetitions, 0);
+  assert.equal(failed.interval, 1);
+  assert.equal(failed.due, '2024-03-02');
+  assert.equal(failed.easiness, 2.28);
+});
+
+test('never lowers the easiness below 1.3', () => {
+  let item = newItem;
+  for (let day = 1; day <= 9; day++) {
+    item = applyReview(item, 0, `2024-01-0${day}`);
+  }
+  assert.equal(item.easiness, 1.3);
+});
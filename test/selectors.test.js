@@ -0,0 +1,11 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const selectors = require('../selectors');
+
+test('matches the language options by their label on AlgoExpert', () => {
+  assert.match(' Go ', selectors.languageOptionTxt('Golang'));
+  assert.doesNotMatch('Golang', selectors.languageOptionTxt('Golang'));
+  assert.match('JavaScript', selectors.languageOptionTxt('JavaScript'));
+  assert.doesNotMatch('JavaScript', selectors.languageOptionTxt('Java'));
+  assert.match('C++', selectors.languageOptionTxt('C++'));
+});
@@ -0,0 +1,57 @@
+const { test, before, after } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { loadConfig, parseOverride, ConfigError } = require('../settings');
+
+let cwd;
+
+before(() => {
+  cwd = fs.mkdtempSync(path.join(os.tmpdir(), 'algoexpert-settings-'));
+  fs.mkdirSync(path.join(cwd, 'downloads'));
+  fs.writeFileSync(path.join(cwd, 'algoexpert.config.json'), JSON.stringify({
+    downloadBasePath: 'downloads',
+    concurrency: 2,
+    retry: { maxAttempts: 4 },
+    profiles: { fast: { concurrency: 4, jitter: [0, 0] } },
+  }));
+});
+
+after(() => fs.rmSync(cwd, { recursive: true, force: true }));
+
+test('layers the config file, profile, environment & command line over the defaults', () => {
+  const fromFile = loadConfig({ cwd, env: {} });
+  assert.equal(fromFile.file, path.join(cwd, 'algoexpert.config.json'));
+  assert.equal(fromFile.config.concurrency, 2);
+  assert.equal(fromFile.config.retry.maxAttempts, 4);
+  assert.equal(fromFile.config.retry.baseDelay, require('../config').retry.baseDelay);
+
+  const { config, profile } = loadConfig({
+    cwd,
+    env: { ALGOEXPERT_PROFILE: 'fast', ALGOEXPERT_RETRY_MAX_ATTEMPTS: '6', ALGOEXPERT_FORMATS: 'markdown,json' },
+    overrides: { ...parseOverride('concurrency=8'), ...parseOverride('jitter=[10, 20]') },
+  });
+  assert.equal(profile, 'fast');
+  assert.equal(config.concurrency, 8);
+  assert.deepEqual(config.jitter, [10, 20]);
+  assert.equal(config.retry.maxAttempts, 6);
+  assert.deepEqual(config.formats, ['markdown', 'json']);
+});
+
+test('lists every invalid option with where it was set', () => {
+  assert.throws(() => loadConfig({ cwd, env: { ALGOEXPERT_CONCURRENCY: 'many', ALGOEXPERT_NOPE: '1' } }), (error) => {
+    assert.ok(error instanceof ConfigError);
+    assert.match(error.message, /concurrency \(from ALGOEXPERT_CONCURRENCY\)/);
+    assert.match(error.message, /ALGOEXPERT_NOPE: unknown environment variable/);
+    return true;
+  });
+  assert.throws(() => loadConfig({ cwd, env: {}, profile: 'slow' }), /Unknown profile "slow"/);
+  assert.throws(() => parseOverride('retry.tries=3'), /unknown option "retry.tries"/);
+});
+
+test('checks the download directory only when asked to', () => {
+  const overrides = { downloadBasePath: 'missing' };
+  assert.throws(() => loadConfig({ cwd, env: {}, overrides }), /downloadBasePath \(from the command line\): the directory .* does not exist/);
+  assert.equal(loadConfig({ cwd, env: {}, overrides, checkDownloadPath: false }).config.downloadBasePath, 'missing');
+});
@@ -0,0 +1,66 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { renderTemplate, ReadmeTemplate } = require('../template');
+const { HarnessGenerator } = require('../harness');
+const logger = require('../logger');
+
+logger.configure({ level: 'silent' });
+
+const testcases = [
+  { name: 'Test Case 1', inputs: { array: [1, 2] }, expected: 'a|b' },
+  { name: 'Test Case 2', inputs: { array: [] }, expected: [] },
+];
+
+test('drops the lines of standalone block tags', () => {
+  const source = '# Cases\n{{#each testcases}}\n- {{name}}\n{{/each}}\nEnd\n';
+  assert.equal(renderTemplate(source, { testcases }), '# Cases\n- Test Case 1\n- Test Case 2\nEnd\n');
+});
+
+test('looks up names of the enclosing scopes inside blocks', () => {
+  const source = '{{#each testcases}}{{question.title}}: {{name}}\n{{/each}}';
+  assert.equal(renderTemplate(source, { question: { title: 'Two Number Sum' }, testcases }),
+    'Two Number Sum: Test Case 1\nTwo Number Sum: Test Case 2\n');
+});
+
+test('renders the helpers & built-in partials without escaping', () => {
+  assert.equal(renderTemplate('{{json inputs}} {{code value}} <{{text}}>', { inputs: { a: [1] }, value: 'x|y', text: '&' }),
+    '{"a":[1]} `x\\|y` <&>');
+  assert.equal(renderTemplate('{{> testcaseTable}}', { testcases }), [
+    '| Test Case | Inputs | Expected Output |',
+    '| --------- | ------ | --------------- |',
+    '| Test Case 1 | `{"array":[1,2]}` | `a\\|b` |',
+    '| Test Case 2 | `{"array":[]}` | `[]` |',
+    '',
+  ].join('\n'));
+  assert.equal(renderTemplate('{{> footer}}', { url: 'u' }, { footer: '[link]({{url}})' }), '[link](u)');
+});
+
+test('reports unknown partials & helpers before rendering', () => {
+  assert.throws(() => renderTemplate('line\n{{> missing}}', {}), /template:2: unknown partial \{\{> missing\}\}/);
+  assert.throws(() => renderTemplate('{{shout name}}', {}), /template: .*shout/);
+});
+
+test('passes the solution stub of each language as its starter code', async () => {
+  const root = fs.mkdtempSync(path.join(os.tmpdir(), 'algoexpert-template-'));
+  try {
+    fs.writeFileSync(path.join(root, 'readme.md'), '{{> starterCode}}');
+    const readmeTemplate = new ReadmeTemplate({ template: path.join(root, 'readme.md'), archiveDir: root, languages: ['JavaScript', 'Python'] });
+    await readmeTemplate.load();
+    const question = { url: 'u', slug: 'two-number-sum', category: 'Arrays', num: 1, path: 'Arrays/01-Two-Number-Sum', title: 'Two Number Sum', testcases };
+    const context = await readmeTemplate.context(question);
+
+    const stubs = new HarnessGenerator().generateFiles('Two Number Sum', ['JavaScript', 'Python'], testcases);
+    assert.deepEqual(context.languages.map(language => language.starter), [stubs.get('JavaScript/solution.js'), stubs.get('Python/solution.py')]);
+    assert.equal(readmeTemplate.render(context),
+      `### JavaScript\n\n\`\`\`\n${stubs.get('JavaScript/solution.js')}\n\`\`\`\n\n### Python\n\n\`\`\`\n${stubs.get('Python/solution.py')}\n\`\`\`\n\n`);
+
+    const withoutInputs = await readmeTemplate.context({ ...question, testcases: [] });
+    assert.deepEqual(withoutInputs.languages.map(language => language.starter), [null, null]);
+    assert.equal(readmeTemplate.render(withoutInputs), '');
+  } finally {
+    fs.rmSync(root, { recursive: true, force: true });
+  }
+});
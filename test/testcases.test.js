@@ -0,0 +1,25 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { findTestCasesInPayload } = require('../testcases');
+
+test('keeps the string outputs of the run payloads as strings', () => {
+  const payload = { result: { testcases: [
+    { name: 'Test Case 1', inputs: { string: 'abc' }, expected: '123' },
+    { name: 'Test Case 2', inputs: { string: 'xyz' }, expected: 'true' },
+    { name: 'Test Case 3', inputs: { array: [1] }, expected: [1] },
+  ] } };
+  assert.deepEqual(findTestCasesInPayload(payload).map(testcase => testcase.expected), ['123', 'true', [1]]);
+});
+
+test('decodes the values of payloads serializing their inputs', () => {
+  const payload = { data: JSON.stringify({ tests: [
+    { input: '{"string": "abc"}', output: '"123"' },
+    { input: '{"number": 5}', output: '120' },
+    { input: '{"array": []}', output: 'null' },
+  ] }) };
+  assert.deepEqual(findTestCasesInPayload(payload), [
+    { name: 'Test Case 1', inputs: { string: 'abc' }, expected: '123' },
+    { name: 'Test Case 2', inputs: { number: 5 }, expected: 120 },
+    { name: 'Test Case 3', inputs: { array: [] }, expected: null },
+  ]);
+});
@@ -0,0 +1,24 @@
+const { test } = require('node:test');
+const assert = require('node:assert/strict');
+const { deepEqual } = require('../verify');
+
+test('compares nested arrays & objects by value', () => {
+  assert.ok(deepEqual([1, [2, 3], { a: 'x', b: [true] }], [1, [2, 3], { b: [true], a: 'x' }]));
+  assert.ok(!deepEqual([1, 2], [1, 2, 3]));
+  assert.ok(!deepEqual({ a: 1 }, { a: 1, b: undefined }));
+  assert.ok(!deepEqual({ a: 1 }, [1]));
+  assert.ok(!deepEqual('1', 1));
+});
+
+test('accepts floating point rounding errors only', () => {
+  assert.ok(deepEqual(0.1 + 0.2, 0.3));
+  assert.ok(deepEqual([1e12 + 0.0001], [1e12]));
+  assert.ok(!deepEqual(0.3001, 0.3));
+});
+
+test('treats null & an empty array as equal only with nullIsEmpty', () => {
+  assert.ok(!deepEqual(null, []));
+  assert.ok(deepEqual(null, [], { nullIsEmpty: true }));
+  assert.ok(deepEqual([[], [1]], [null, [1]], { nullIsEmpty: true }));
+  assert.ok(!deepEqual(null, [0], { nullIsEmpty: true }));
+});
@@ -0,0 +1,148 @@
+const Ajv = require('ajv');
+
+/**
+ * JSON schema of testcases.json
+ */
+const TESTCASES_SCHEMA = {
+  type: 'array',
+  minItems: 1,
+  items: {
+    type: 'object',
+    required: ['inputs', 'expected', 'name'],
+    additionalProperties: false,
+    properties: {
+      inputs: { type: 'object' },
+      expected: {},
+      name: { type: 'string', minLength: 1 },
+    },
+  },
+};
+
+const validate = new Ajv({ allErrors: true }).compile(TESTCASES_SCHEMA);
+
+/**
+ * Thrown when the extracted testcases don't match `TESTCASES_SCHEMA`
+ */
+class TestCaseSchemaError extends Error {
+  /**
+   * @param {Array<string>} problems - One message per schema violation
+   */
+  constructor(problems) {
+    super(`Testcases do not match the testcases.json schema: ${problems.join('; ')}`);
+    this.name = 'TestCaseSchemaError';
+    this.problems = problems;
+  }
+}
+
+/**
+ * Validates testcases against the testcases.json schema
+ * @param {any} testcases
+ * @returns {Array<string>} one message per schema violation, empty when the testcases are valid
+ */
+function validateTestCases(testcases) {
+  if (validate(testcases)) {
+    return [];
+  }
+  return validate.errors.map(error => `${error.instancePath || '/'} ${error.message}`);
+}
+
+/**
+ * Throws a `TestCaseSchemaError` when the testcases don't match the testcases.json schema
+ * @param {any} testcases
+ */
+function assertValidTestCases(testcases) {
+  const problems = validateTestCases(testcases);
+  if (problems.length > 0) {
+    throw new TestCaseSchemaError(problems);
+  }
+}
+
+// Field names used for the inputs & the expected output in the run code payloads
+const INPUT_KEYS = ['inputs', 'input', 'arguments', 'params'];
+const EXPECTED_KEYS = ['expected', 'expectedOutput', 'expected_output', 'output'];
+
+/**
+ * Parses a value sent as a JSON string, e.g. `"\"abc\""` or `"[1, 2]"`, keeping the value as is when it isn't JSON
+ * @param {any} value
+ * @returns {any}
+ */
+function parseJsonString(value) {
+  if (typeof value !== 'string') {
+    return value;
+  }
+  try {
+    return JSON.parse(value);
+  } catch (error) {
+    return value;
+  }
+}
+
+/**
+ * Parses an object or an array sent as a JSON string, e.g. `"{\"array\": [1, 2]}"`. Any other value is kept as is,
+ * so strings such as `"123"` or `"true"` stay strings
+ * @param {any} value
+ * @returns {any}
+ */
+function parseJsonContainer(value) {
+  const parsed = typeof value === 'string' && /^\s*[[{]/.test(value) ? parseJsonString(value) : value;
+  return parsed && typeof parsed === 'object' ? parsed : value;
+}
+
+/**
+ * Converts an item of a run code payload to a testcase
+ * @param {Object} item
+ * @param {number} idx - Position of the item in its array
+ * @returns {import('./extractor').TestCase|null} the testcase, null when the item has no inputs or expected output
+ */
+function toTestCase(item, idx) {
+  if (!item || typeof item !== 'object' || Array.isArray(item)) {
+    return null;
+  }
+
+  const inputKey = INPUT_KEYS.find(key => key in item);
+  const expectedKey = EXPECTED_KEYS.find(key => key in item);
+  if (!inputKey || !expectedKey) {
+    return null;
+  }
+
+  // Only payloads sending the inputs as a JSON string serialize the expected output too, e.g. `"expected": "\"123\""`
+  const serialized = typeof item[inputKey] === 'string';
+  return {
+    inputs: parseJsonContainer(item[inputKey]),
+    expected: serialized ? parseJsonString(item[expectedKey]) : item[expectedKey],
+    name: typeof item.name === 'string' && item.name ? item.name : `Test Case ${idx + 1}`,
+  };
+}
+
+/**
+ * Searches a JSON payload for the first array whose items all hold inputs & an expected output
+ * @param {any} payload - A parsed JSON response body
+ * @returns {Array<import('./extractor').TestCase>|null} the testcases, null when the payload has none
+ */
+function findTestCasesInPayload(payload) {
+  const queue = [payload];
+
+  while (queue.length > 0) {
+    const value = queue.shift();
+    if (!value || typeof value !== 'object') {
+      continue;
+    }
+
+    if (Array.isArray(value) && value.length > 0) {
+      const testcases = value.map(toTestCase);
+      if (testcases.every(Boolean)) {
+        return testcases;
+      }
+    }
+    queue.push(...Object.values(value).map(parseJsonContainer));
+  }
+  return null;
+}
+
+module.exports = {
+  TESTCASES_SCHEMA,
+  TestCaseSchemaError,
+  validateTestCases,
+  assertValidTestCases,
+  findTestCasesInPayload,
+};
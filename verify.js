@@ -0,0 +1,919 @@
+const { spawn } = require('child_process');
+const fs = require('fs').promises;
+const os = require('os');
+const path = require('path');
+const { ArchiveReader } = require('./archive');
+const { SOLUTION_FILES, HarnessGenerator, inferType, goType, javaType, pascalCase } = require('./harness');
+const { readIfExists } = require('./files');
+const cli = require('./cli');
+const logger = require('./logger');
+
+/**
+ * Outcome of a test case
+ */
+const RESULT = {
+  PASS: 'pass',
+  FAIL: 'fail',
+  ERROR: 'error',
+  TIMEOUT: 'timeout',
+  NOT_RUN: 'not-run',
+};
+
+/**
+ * Outcome of the solution of a question in a language
+ */
+const RUN_STATUS = {
+  RAN: 'ran',
+  UNSOLVED: 'unsolved',
+  BUILD_ERROR: 'build-error',
+  CRASHED: 'crashed',
+  UNAVAILABLE: 'unavailable',
+};
+
+// Prefix of the lines written by the drivers, so the solutions can still print to stdout
+const MARKER = '@@verify@@ ';
+// stdout & stderr of a solution process above this size kill it
+const MAX_OUTPUT = 32 * 1024 * 1024;
+// Lines printed by the solution that are kept to show with a failing test case
+const MAX_PRINTED_LINES = 5;
+
+const SYMBOLS = {
+  [RESULT.PASS]: '✓',
+  [RESULT.FAIL]: '✗',
+  [RESULT.ERROR]: '✗',
+  [RESULT.TIMEOUT]: '⧗',
+  [RESULT.NOT_RUN]: '-',
+};
+
+/**
+ * @typedef {Object} TestResult
+ * @property {string} name - Name of the test case
+ * @property {string} status - One of `RESULT`
+ * @property {any} [actual] - Value returned by the solution
+ * @property {any} [expected]
+ * @property {string} [error] - Exception thrown by the solution
+ * @property {number} [ms] - Duration of the solution call
+ * @property {Array<string>} printed - Last lines the solution printed during the test case
+ */
+
+/**
+ * @typedef {Object} RunResult
+ * @property {import('./archive').ArchiveQuestion} question
+ * @property {string} language
+ * @property {string} status - One of `RUN_STATUS`
+ * @property {string|null} error - Why the solution could not be built or run
+ * @property {Array<TestResult>} testcases
+ */
+
+/**
+ * Compares a returned value with the expected one. Numbers that are not whole compare with a small tolerance,
+ * since languages print floats differently
+ * @param {any} actual
+ * @param {any} expected
+ * @param {Object} [options]
+ * @param {boolean} [options.nullIsEmpty] - Whether `null` equals an empty array, e.g. Go's nil slices
+ * @returns {boolean}
+ */
+function deepEqual(actual, expected, { nullIsEmpty = false } = {}) {
+  if (nullIsEmpty && ((actual === null && Array.isArray(expected) && expected.length === 0) ||
+    (expected === null && Array.isArray(actual) && actual.length === 0))) {
+    return true;
+  }
+  if (typeof actual === 'number' && typeof expected === 'number') {
+    return actual === expected || Math.abs(actual - expected) <= 1e-9 * Math.max(1, Math.abs(actual), Math.abs(expected));
+  }
+  if (Array.isArray(actual) || Array.isArray(expected)) {
+    return Array.isArray(actual) && Array.isArray(expected) && actual.length === expected.length &&
+      actual.every((value, idx) => deepEqual(value, expected[idx], { nullIsEmpty }));
+  }
+  if (actual && expected && typeof actual === 'object' && typeof expected === 'object') {
+    const keys = Object.keys(expected);
+    return Object.keys(actual).length === keys.length &&
+      keys.every(key => Object.prototype.hasOwnProperty.call(actual, key) && deepEqual(actual[key], expected[key], { nullIsEmpty }));
+  }
+  return actual === expected;
+}
+
+/**
+ * Environment of the solution processes: none of the user's variables, such as tokens, are passed on
+ * @param {string} workDir - Temporary directory of the run, used as the home & temp directory
+ * @returns {Object<string, string>}
+ */
+function sandboxEnv(workDir) {
+  const env = { PATH: process.env.PATH || '', HOME: workDir, TMPDIR: workDir, TEMP: workDir, TMP: workDir, LANG: 'C.UTF-8' };
+  if (process.env.SYSTEMROOT) {
+    env.SYSTEMROOT = process.env.SYSTEMROOT;
+  }
+  return env;
+}
+
+/**
+ * Runs a process, killing it & its children when it runs longer than `timeout` or prints too much
+ * @param {string} command
+ * @param {Array<string>} args
+ * @param {Object} options
+ * @param {string} options.cwd
+ * @param {Object<string, string>} options.env
+ * @param {number} options.timeout - Time limit in milliseconds, restarted whenever `onLine` returns true
+ * @param {string} [options.input] - Written to stdin
+ * @param {function(string): boolean} [options.onLine] - Called with every stdout line
+ * @returns {Promise<{code: number|null, timedOut: boolean, outputExceeded: boolean, output: string}>} `output` is the end of
+ * stderr & of the stdout lines not handled by `onLine`
+ */
+function runProcess(command, args, { cwd, env, timeout, input = '', onLine = () => false }) {
+  return new Promise((resolve, reject) => {
+    // A process group of its own, so a timeout also kills the processes the solution started
+    const child = spawn(command, args, { cwd, env, detached: process.platform !== 'win32', stdio: ['pipe', 'pipe', 'pipe'] });
+    let timedOut = false;
+    let outputExceeded = false;
+    let size = 0;
+    let output = '';
+    let pending = '';
+    let timer = null;
+
+    const kill = () => {
+      try {
+        if (process.platform === 'win32') {
+          child.kill('SIGKILL');
+        } else {
+          process.kill(-child.pid, 'SIGKILL');
+        }
+      } catch (error) {
+        // Already exited
+      }
+    };
+    const restartTimer = () => {
+      clearTimeout(timer);
+      timer = setTimeout(() => {
+        timedOut = true;
+        kill();
+      }, timeout);
+    };
+    const collect = (text) => {
+      output = (output + text).slice(-4096);
+    };
+    const count = (chunk) => {
+      size += chunk.length;
+      if (size > MAX_OUTPUT && !outputExceeded) {
+        outputExceeded = true;
+        kill();
+      }
+    };
+
+    child.stdout.setEncoding('utf8');
+    child.stdout.on('data', chunk => {
+      count(chunk);
+      const lines = (pending + chunk).split('\n');
+      pending = lines.pop();
+      for (const line of lines) {
+        // Lines handled by onLine are left out of the output
+        if (onLine(line.replace(/\r$/, ''))) {
+          restartTimer();
+        } else {
+          collect(`${line}\n`);
+        }
+      }
+    });
+    child.stderr.setEncoding('utf8');
+    child.stderr.on('data', chunk => {
+      count(chunk);
+      collect(chunk);
+    });
+    // The solution may exit before reading its input
+    child.stdin.on('error', () => {});
+    child.on('error', error => {
+      clearTimeout(timer);
+      reject(error);
+    });
+    child.on('close', code => {
+      clearTimeout(timer);
+      if (pending && !onLine(pending)) {
+        collect(pending);
+      }
+      resolve({ code, timedOut, outputExceeded, output: output.trim() });
+    });
+
+    restartTimer();
+    child.stdin.end(input);
+  });
+}
+
+/**
+ * Java literal of a testcase input
+ * @param {any} value
+ * @param {import('./harness').ValueType} type
+ * @returns {string}
+ */
+function javaLiteral(value, type) {
+  if (value === null || value === undefined) {
+    return 'null';
+  }
+  switch (type.kind) {
+    case 'int':
+      return String(value);
+    case 'float':
+      return Number.isInteger(value) ? `${value}.0` : String(value).replace('e+', 'e');
+    case 'string':
+      return JSON.stringify(value);
+    case 'bool':
+      return String(value);
+    case 'array':
+      return `new ${javaType(type)}{${value.map(elem => javaLiteral(elem, type.elem)).join(', ')}}`;
+    default:
+      if (typeof value === 'object' && !Array.isArray(value)) {
+        throw new Error('object inputs are not supported by the Java runner');
+      }
+      return javaLiteral(value, inferType(value));
+  }
+}
+
+const JAVASCRIPT_DRIVER = `const MARKER = ${JSON.stringify(MARKER)};
+const write = value => process.stdout.write(MARKER + JSON.stringify(value) + '\\n');
+
+let input = '';
+process.stdin.setEncoding('utf8');
+process.stdin.on('data', chunk => { input += chunk; });
+process.stdin.on('end', async () => {
+  const { solutionPath, functionName, params, testcases } = JSON.parse(input);
+  let solution;
+  try {
+    solution = require(solutionPath);
+  } catch (error) {
+    // Stack frames of Node & of the driver are left out
+    write({ fatal: String(error && error.stack || error).split('\\n').filter(line => line.trim() && !/node:|driver\\.js/.test(line)).join('\\n') });
+    return;
+  }
+
+  // A renamed function is still found when it is the only one exported
+  const functions = typeof solution === 'function' ? [solution] : Object.values(solution).filter(value => typeof value === 'function');
+  const fn = typeof solution[functionName] === 'function' ? solution[functionName] : (functions.length === 1 ? functions[0] : null);
+  if (!fn) {
+    write({ fatal: 'The solution does not export a function named ' + functionName });
+    return;
+  }
+
+  for (const testcase of testcases) {
+    write({ start: testcase.name });
+    const started = process.hrtime.bigint();
+    const result = { name: testcase.name };
+    try {
+      const actual = await fn(...params.map(param => testcase.inputs[param]));
+      result.actual = actual === undefined ? null : JSON.parse(JSON.stringify(actual));
+    } catch (error) {
+      result.error = String(error && error.message || error);
+    }
+    result.ms = Number(process.hrtime.bigint() - started) / 1e6;
+    write(result);
+  }
+});
+`;
+
+const PYTHON_DRIVER = `import importlib.util
+import inspect
+import json
+import os
+import sys
+import time
+
+MARKER = ${JSON.stringify(MARKER)}
+
+
+def write(value):
+    sys.__stdout__.write(MARKER + json.dumps(value, allow_nan=False) + "\\n")
+    sys.__stdout__.flush()
+
+
+def limit(memory_mb):
+    try:
+        import resource
+    except ImportError:
+        return
+    memory = memory_mb * 1024 * 1024
+    for name, value in (("RLIMIT_AS", memory), ("RLIMIT_FSIZE", 0), ("RLIMIT_NPROC", 0)):
+        if hasattr(resource, name):
+            try:
+                resource.setrlimit(getattr(resource, name), (value, value))
+            except (ValueError, OSError):
+                pass
+
+
+def main():
+    request = json.load(sys.stdin)
+    limit(request["memoryMb"])
+    sys.path.insert(0, os.path.dirname(request["solutionPath"]))
+    try:
+        spec = importlib.util.spec_from_file_location("solution", request["solutionPath"])
+        module = importlib.util.module_from_spec(spec)
+        sys.modules["solution"] = module
+        spec.loader.exec_module(module)
+    except BaseException as error:
+        write({"fatal": "%s: %s" % (type(error).__name__, error)})
+        return
+
+    # A renamed function is still found when it is the only one defined
+    functions = [value for name, value in vars(module).items()
+                 if inspect.isfunction(value) and value.__module__ == "solution" and not name.startswith("_")]
+    fn = getattr(module, request["functionName"], None)
+    if not callable(fn):
+        fn = functions[0] if len(functions) == 1 else None
+    if fn is None:
+        write({"fatal": "The solution does not define a function named " + request["functionName"]})
+        return
+
+    for testcase in request["testcases"]:
+        write({"start": testcase["name"]})
+        started = time.perf_counter()
+        result = {"name": testcase["name"]}
+        try:
+            actual = fn(*[testcase["inputs"][param] for param in request["params"]])
+            json.dumps(actual, allow_nan=False)
+            result["actual"] = actual
+        except BaseException as error:
+            result["error"] = "%s: %s" % (type(error).__name__, error)
+        result["ms"] = (time.perf_counter() - started) * 1000
+        write(result)
+
+
+main()
+`;
+
+/**
+ * @param {import('./harness').Signature} signature
+ * @returns {string} the Go driver, reading the testcases on stdin with the input types of the signature
+ */
+function goDriver({ name, params }) {
+  const fields = params
+    .map(param => `\t\t${pascalCase(param.name)} ${goType(param.type)} \`json:${JSON.stringify(param.key)}\``)
+    .join('\n');
+  const callArgs = params.map(param => `testcase.Inputs.${pascalCase(param.name)}`).join(', ');
+
+  return `package main
+
+import (
+\t"encoding/json"
+\t"fmt"
+\t"os"
+\t"time"
+
+\t"verify/solution"
+)
+
+const marker = ${JSON.stringify(MARKER)}
+
+type testCase struct {
+\tName   string \`json:"name"\`
+\tInputs struct {
+${fields}
+\t} \`json:"inputs"\`
+}
+
+func write(value interface{}) {
+\tdata, err := json.Marshal(value)
+\tif err != nil {
+\t\tdata, _ = json.Marshal(map[string]interface{}{"error": err.Error()})
+\t}
+\tfmt.Fprintln(os.Stdout, marker+string(data))
+}
+
+func run(testcase testCase) (result map[string]interface{}) {
+\tresult = map[string]interface{}{"name": testcase.Name}
+\tstarted := time.Now()
+\tdefer func() {
+\t\tif recovered := recover(); recovered != nil {
+\t\t\tresult["error"] = fmt.Sprint(recovered)
+\t\t}
+\t\tresult["ms"] = float64(time.Since(started).Microseconds()) / 1000
+\t}()
+\tactual := solution.${pascalCase(name)}(${callArgs})
+\tif _, err := json.Marshal(actual); err != nil {
+\t\tresult["error"] = err.Error()
+\t} else {
+\t\tresult["actual"] = actual
+\t}
+\treturn
+}
+
+func main() {
+\tvar request struct {
+\t\tTestcases []testCase \`json:"testcases"\`
+\t}
+\tif err := json.NewDecoder(os.Stdin).Decode(&request); err != nil {
+\t\twrite(map[string]string{"fatal": err.Error()})
+\t\treturn
+\t}
+\tfor _, testcase := range request.Testcases {
+\t\twrite(map[string]string{"start": testcase.Name})
+\t\twrite(run(testcase))
+\t}
+}
+`;
+}
+
+/**
+ * Java has no JSON parser in its standard library, so the inputs are written as literals in the driver
+ * @param {import('./harness').Signature} signature
+ * @param {Array<import('./extractor').TestCase>} testcases
+ * @returns {string} the Java driver
+ */
+function javaDriver({ name, params }, testcases) {
+  const cases = testcases.map((testcase, idx) => `  static Object case${idx}() {
+    return Program.${name}(${params.map(param => javaLiteral(testcase.inputs[param.key], param.type)).join(', ')});
+  }`).join('\n\n');
+  const calls = testcases.map((testcase, idx) => `        case ${idx}: actual = case${idx}(); break;`).join('\n');
+
+  return `import java.lang.reflect.Array;
+import java.util.Collection;
+import java.util.Map;
+
+class VerifyMain {
+  static final String MARKER = ${JSON.stringify(MARKER)};
+  static final String[] NAMES = {${testcases.map(testcase => JSON.stringify(testcase.name)).join(', ')}};
+
+${cases}
+
+  static String quote(String value) {
+    StringBuilder out = new StringBuilder("\\"");
+    for (char c : value.toCharArray()) {
+      if (c == '"' || c == '\\\\') out.append('\\\\').append(c);
+      else if (c < 0x20) out.append(String.format("\\\\u%04x", (int) c));
+      else out.append(c);
+    }
+    return out.append('"').toString();
+  }
+
+  static String json(Object value) {
+    if (value == null) return "null";
+    if (value instanceof String || value instanceof Character) return quote(value.toString());
+    if (value instanceof Number || value instanceof Boolean) return value.toString();
+    StringBuilder out = new StringBuilder();
+    if (value.getClass().isArray()) {
+      out.append('[');
+      for (int i = 0; i < Array.getLength(value); i++) out.append(i > 0 ? "," : "").append(json(Array.get(value, i)));
+      return out.append(']').toString();
+    }
+    if (value instanceof Collection) {
+      out.append('[');
+      for (Object item : (Collection<?>) value) out.append(out.length() > 1 ? "," : "").append(json(item));
+      return out.append(']').toString();
+    }
+    if (value instanceof Map) {
+      out.append('{');
+      for (Map.Entry<?, ?> entry : ((Map<?, ?>) value).entrySet()) {
+        out.append(out.length() > 1 ? "," : "").append(quote(String.valueOf(entry.getKey()))).append(':').append(json(entry.getValue()));
+      }
+      return out.append('}').toString();
+    }
+    return quote(value.toString());
+  }
+
+  public static void main(String[] args) {
+    for (String arg : args) {
+      int i = Integer.parseInt(arg);
+      System.out.println(MARKER + "{\\"start\\":" + quote(NAMES[i]) + "}");
+      long started = System.nanoTime();
+      String result;
+      try {
+        Object actual = null;
+        switch (i) {
+${calls}
+        }
+        result = "\\"actual\\":" + json(actual);
+      } catch (Throwable error) {
+        result = "\\"error\\":" + quote(error.toString());
+      }
+      double ms = (System.nanoTime() - started) / 1e6;
+      System.out.println(MARKER + "{\\"name\\":" + quote(NAMES[i]) + "," + result + ",\\"ms\\":" + ms + "}");
+    }
+  }
+}
+`;
+}
+
+/**
+ * @typedef {Object} RunPlan
+ * @property {{command: string, args: Array<string>}|null} build - Compiles the solution, with the user's environment
+ * @property {{command: string, args: Array<string>, env?: Object<string, string>}} run - Runs the driver in the sandbox
+ * @property {function(Array<import('./extractor').TestCase>): {args: Array<string>, input: string}} request - Arguments &
+ * stdin of the driver running some of the test cases
+ * @property {boolean} [nullIsEmpty] - Whether `null` results equal empty arrays
+ */
+
+/**
+ * One runner per language. `prepare` writes the driver into the temporary directory of the run
+ * @type {Object<string, {toolchain: string, prepare: function(Object): Promise<RunPlan>}>}
+ */
+const RUNNERS = {
+  JavaScript: {
+    toolchain: process.execPath,
+    async prepare({ workDir, languageDir, signature, memoryMb }) {
+      await fs.writeFile(path.join(workDir, 'driver.js'), JAVASCRIPT_DRIVER);
+      const args = [`--max-old-space-size=${memoryMb}`];
+      // Node's permission model keeps the solution from writing files, reading outside its directory & starting processes
+      if (process.allowedNodeEnvironmentFlags.has('--experimental-permission')) {
+        args.push('--experimental-permission', '--no-warnings',
+          `--allow-fs-read=${workDir}${path.sep}`, `--allow-fs-read=${languageDir}${path.sep}`);
+      }
+      return {
+        build: null,
+        run: { command: process.execPath, args: [...args, path.join(workDir, 'driver.js')] },
+        request: selected => ({
+          args: [],
+          input: JSON.stringify({
+            solutionPath: path.join(languageDir, SOLUTION_FILES.JavaScript),
+            functionName: signature.name,
+            params: signature.params.map(param => param.key),
+            testcases: selected,
+          }),
+        }),
+      };
+    },
+  },
+  Python: {
+    toolchain: process.platform === 'win32' ? 'python' : 'python3',
+    async prepare({ workDir, languageDir, signature, memoryMb }) {
+      await fs.writeFile(path.join(workDir, 'driver.py'), PYTHON_DRIVER);
+      return {
+        build: null,
+        // -B keeps __pycache__ out of the question directory, -I ignores the user's site-packages & PYTHON* variables,
+        // -u shows what the solution printed before a timeout
+        run: { command: this.toolchain, args: ['-B', '-I', '-u', path.join(workDir, 'driver.py')] },
+        request: selected => ({
+          args: [],
+          input: JSON.stringify({
+            solutionPath: path.join(languageDir, SOLUTION_FILES.Python),
+            functionName: signature.name,
+            params: signature.params.map(param => param.key),
+            testcases: selected,
+            memoryMb,
+          }),
+        }),
+      };
+    },
+  },
+  Golang: {
+    toolchain: 'go',
+    async prepare({ workDir, languageDir, signature, memoryMb }) {
+      // The solution package is copied next to a main package, without the generated tests
+      await fs.mkdir(path.join(workDir, 'solution'));
+      for (const entry of await fs.readdir(languageDir, { withFileTypes: true })) {
+        if (entry.isFile() && entry.name.endsWith('.go') && !entry.name.endsWith('_test.go')) {
+          await fs.copyFile(path.join(languageDir, entry.name), path.join(workDir, 'solution', entry.name));
+        }
+      }
+      await fs.writeFile(path.join(workDir, 'go.mod'), 'module verify\n\ngo 1.20\n');
+      await fs.writeFile(path.join(workDir, 'main.go'), goDriver(signature));
+
+      const binary = path.join(workDir, process.platform === 'win32' ? 'verify.exe' : 'verify');
+      return {
+        build: { command: 'go', args: ['build', '-o', binary, '.'] },
+        run: { command: binary, args: [], env: { GOMEMLIMIT: `${memoryMb}MiB` } },
+        request: selected => ({ args: [], input: JSON.stringify({ testcases: selected }) }),
+        nullIsEmpty: true,
+      };
+    },
+  },
+  Java: {
+    toolchain: 'javac',
+    async prepare({ workDir, languageDir, signature, testcases, memoryMb }) {
+      const sources = [];
+      for (const entry of await fs.readdir(path.join(languageDir, 'src'), { withFileTypes: true })) {
+        if (entry.isFile() && entry.name.endsWith('.java')) {
+          await fs.copyFile(path.join(languageDir, 'src', entry.name), path.join(workDir, entry.name));
+          sources.push(entry.name);
+        }
+      }
+      await fs.writeFile(path.join(workDir, 'VerifyMain.java'), javaDriver(signature, testcases));
+
+      return {
+        build: { command: 'javac', args: ['-nowarn', '-d', 'classes', ...sources, 'VerifyMain.java'] },
+        run: { command: 'java', args: [`-Xmx${memoryMb}m`, '-cp', 'classes', 'VerifyMain'] },
+        // The inputs are compiled into the driver, which is given the indexes of the test cases to run
+        request: selected => ({ args: selected.map(testcase => String(testcases.indexOf(testcase))), input: '' }),
+      };
+    },
+  },
+};
+
+/**
+ * Runs the solutions saved in the download directory against the testcases.json of their question,
+ * one child process per question & language
+ * @typedef {Object} Verifier
+ * @property {string} archiveDir - The download directory
+ * @property {Array<string>} languages - Languages whose solutions are run
+ * @property {number} timeout - Time limit of each test case, in milliseconds
+ * @property {number} buildTimeout - Time limit of compiling a Go or Java solution, in milliseconds
+ * @property {number} memoryMb - Memory limit of a solution process, in megabytes
+ */
+class Verifier {
+  /**
+   * @param {Object} options
+   * @param {string} options.archiveDir - The download directory
+   * @param {Array<string>} options.languages - Languages whose solutions are run
+   * @param {string|null} [options.stateFile] - State manifest of the scraper
+   * @param {Array<string>} [options.exclude] - Directories skipped while scanning, such as the study site
+   * @param {{timeout: number, buildTimeout: number, memoryMb: number}} options.limits
+   */
+  constructor({ archiveDir, languages, stateFile = null, exclude = [], limits }) {
+    this.archiveDir = archiveDir;
+    this.languages = languages;
+    this.timeout = limits.timeout;
+    this.buildTimeout = limits.buildTimeout;
+    this.memoryMb = limits.memoryMb;
+    this.archiveReader = new ArchiveReader({ archiveDir, languages, stateFile, exclude });
+    this.harnessGenerator = new HarnessGenerator();
+    this.toolchains = new Map();
+  }
+
+  /**
+   * Runs the solutions of the matching questions & prints the result of every test case & a summary
+   * @param {Object} [filters]
+   * @param {Array<string>} [filters.categories] - Category names, case insensitive
+   * @param {Array<string>} [filters.questions] - Question slugs or URL globs
+   * @returns {Promise<Array<RunResult>>}
+   */
+  async verify({ categories = [], questions = [] } = {}) {
+    logger.info('Starting Step: Verifying the saved solutions');
+    const archive = await this.archiveReader.scan();
+    const selected = cli.resolveCategories(categories, [...new Set(archive.map(question => question.category))]);
+    const matching = archive.filter(question => selected.includes(question.category) &&
+      cli.matchesQuestion(question.url || `https://www.algoexpert.io/questions/${question.slug}`, questions));
+    logger.info(`-- Retrieved ${matching.length} question(s) from ${this.archiveDir}`);
+
+    const results = [];
+    for (const question of matching) {
+      for (const language of this.languages.filter(candidate => question.solved.includes(candidate))) {
+        const result = await this.verifySolution(question, language);
+        this.printResult(result);
+        results.push(result);
+      }
+    }
+
+    this.printSummary(results, matching.length);
+    return results;
+  }
+
+  /**
+   * Runs the solution of a question in a language
+   * @param {import('./archive').ArchiveQuestion} question
+   * @param {string} language
+   * @returns {Promise<RunResult>}
+   */
+  async verifySolution(question, language) {
+    const result = { question, language, status: RUN_STATUS.RAN, error: null, testcases: [] };
+    const runner = RUNNERS[language];
+    const languageDir = path.resolve(this.archiveDir, question.dir, language);
+    const signature = this.harnessGenerator.inferSignature(question.title, question.testcases, language);
+
+    if (!signature) {
+      return { ...result, status: RUN_STATUS.UNAVAILABLE, error: 'no testcase has inputs' };
+    }
+    if (!runner) {
+      return { ...result, status: RUN_STATUS.UNAVAILABLE, error: `no runner for ${language}` };
+    }
+    if (!(await this.hasToolchain(runner.toolchain))) {
+      return { ...result, status: RUN_STATUS.UNAVAILABLE, error: `${runner.toolchain} is not installed` };
+    }
+
+    // Stubs the user never edited are not attempts
+    const solution = await readIfExists(path.join(languageDir, SOLUTION_FILES[language]));
+    const stubs = this.harnessGenerator.generatedVersions(question.title, [language], question.testcases)
+      .get(`${language}/${SOLUTION_FILES[language]}`) || [];
+    if (solution === null || stubs.includes(solution)) {
+      return { ...result, status: RUN_STATUS.UNSOLVED, error: `${SOLUTION_FILES[language]} is ${solution === null ? 'missing' : 'still the stub'}` };
+    }
+
+    const testcases = question.testcases.filter(testcase => testcase.inputs && typeof testcase.inputs === 'object');
+    const workDir = await fs.mkdtemp(path.join(os.tmpdir(), 'algoexpert-verify-'));
+    try {
+      let plan;
+      try {
+        plan = await runner.prepare({ workDir, languageDir, signature, testcases, memoryMb: this.memoryMb });
+      } catch (error) {
+        return { ...result, status: RUN_STATUS.BUILD_ERROR, error: error.message };
+      }
+
+      if (plan.build) {
+        logger.debug(`-- Building the ${language} solution of ${question.title}`);
+        const build = await runProcess(plan.build.command, plan.build.args, {
+          cwd: workDir, env: { ...process.env, GOTOOLCHAIN: 'local' }, timeout: this.buildTimeout,
+        });
+        if (build.timedOut || build.code !== 0) {
+          return { ...result, status: RUN_STATUS.BUILD_ERROR, error: build.timedOut ? `build timed out after ${this.buildTimeout} ms` : build.output };
+        }
+      }
+
+      return { ...result, ...(await this.runTestcases(plan, workDir, testcases)) };
+    } finally {
+      await fs.rm(workDir, { recursive: true, force: true });
+    }
+  }
+
+  /**
+   * Runs the driver & compares each returned value with the expected one. A test case that times out or kills the
+   * process is reported & the driver is started again for the test cases after it
+   * @param {RunPlan} plan
+   * @param {string} workDir
+   * @param {Array<import('./extractor').TestCase>} testcases
+   * @returns {Promise<{status: string, error: string|null, testcases: Array<TestResult>}>}
+   */
+  async runTestcases(plan, workDir, testcases) {
+    const results = new Map();
+    let remaining = testcases;
+    while (remaining.length > 0) {
+      const attempt = await this.runDriver(plan, workDir, remaining);
+      attempt.results.forEach(result => results.set(result.name, result));
+      if (attempt.fatal || !attempt.current) {
+        // The solution could not be loaded, or the process ended outside of a test case
+        const error = attempt.fatal || (attempt.results.length < remaining.length ? attempt.ended : null);
+        return {
+          status: error && results.size === 0 ? RUN_STATUS.CRASHED : RUN_STATUS.RAN,
+          error,
+          testcases: testcases.map(testcase => results.get(testcase.name) ||
+            { name: testcase.name, status: RESULT.NOT_RUN, expected: testcase.expected, printed: [] }),
+        };
+      }
+
+      results.set(attempt.current, {
+        name: attempt.current,
+        status: attempt.timedOut ? RESULT.TIMEOUT : RESULT.ERROR,
+        expected: testcases.find(testcase => testcase.name === attempt.current).expected,
+        error: attempt.ended,
+        printed: attempt.printed,
+      });
+      remaining = remaining.filter(testcase => !results.has(testcase.name));
+    }
+
+    return { status: RUN_STATUS.RAN, error: null, testcases: testcases.map(testcase => results.get(testcase.name)) };
+  }
+
+  /**
+   * Runs the driver once
+   * @param {RunPlan} plan
+   * @param {string} workDir
+   * @param {Array<import('./extractor').TestCase>} testcases - Test cases to run
+   * @returns {Promise<{results: Array<TestResult>, fatal: string|null, current: string|null, printed: Array<string>, timedOut: boolean, ended: string}>}
+   * `current` is the test case running when the process ended
+   */
+  async runDriver(plan, workDir, testcases) {
+    const results = [];
+    let fatal = null;
+    let current = null;
+    let printed = [];
+
+    const onLine = (line) => {
+      let message = null;
+      try {
+        message = line.startsWith(MARKER) ? JSON.parse(line.slice(MARKER.length)) : null;
+      } catch (error) {
+        // The solution printed the marker itself
+      }
+      if (!message) {
+        printed = [...printed, line].slice(-MAX_PRINTED_LINES);
+        return false;
+      }
+
+      const testcase = testcases.find(candidate => candidate.name === message.name);
+      if (message.fatal) {
+        fatal = message.fatal;
+      } else if (message.start !== undefined) {
+        current = message.start;
+        printed = [];
+      } else if (testcase) {
+        const passed = message.error === undefined && deepEqual(message.actual, testcase.expected, { nullIsEmpty: plan.nullIsEmpty });
+        results.push({
+          name: message.name,
+          status: message.error !== undefined ? RESULT.ERROR : (passed ? RESULT.PASS : RESULT.FAIL),
+          actual: message.actual,
+          expected: testcase.expected,
+          error: message.error,
+          ms: message.ms,
+          printed,
+        });
+        current = null;
+      }
+      return true;
+    };
+
+    const { args, input } = plan.request(testcases);
+    const run = await runProcess(plan.run.command, [...plan.run.args, ...args], {
+      cwd: workDir, env: { ...sandboxEnv(workDir), ...plan.run.env }, timeout: this.timeout, input, onLine,
+    });
+
+    const ended = run.timedOut ? `timed out after ${this.timeout} ms`
+      : run.outputExceeded ? `printed more than ${MAX_OUTPUT / 1024 / 1024} MB`
+        : `exited with code ${run.code}${run.output ? `: ${run.output.split('\n').slice(-3).join(' | ')}` : ''}`;
+    return { results, fatal, current, printed, timedOut: run.timedOut, ended };
+  }
+
+  /**
+   * @param {string} command
+   * @returns {Promise<boolean>} whether the command can be started, checked once per command
+   */
+  async hasToolchain(command) {
+    if (!this.toolchains.has(command)) {
+      this.toolchains.set(command, runProcess(command, ['--version'], { cwd: os.tmpdir(), env: process.env, timeout: 30000 })
+        .then(() => true, () => false));
+    }
+    return this.toolchains.get(command);
+  }
+
+  /**
+   * Prints the result of every test case of a solution
+   * @param {RunResult} result
+   */
+  printResult({ question, language, status, error, testcases }) {
+    console.log(`\n${question.category} / ${question.title} (${language})`);
+    if (status === RUN_STATUS.UNSOLVED || status === RUN_STATUS.UNAVAILABLE) {
+      console.log(`  skipped: ${error}`);
+      return;
+    }
+    if (status === RUN_STATUS.BUILD_ERROR) {
+      console.log(`  build failed:\n${indent(error)}`);
+      return;
+    }
+
+    for (const testcase of testcases) {
+      const duration = testcase.ms === undefined ? '' : ` (${testcase.ms.toFixed(1)} ms)`;
+      console.log(`  ${SYMBOLS[testcase.status]} ${testcase.name}${duration}${testcase.status === RESULT.PASS ? '' : ` - ${testcase.status}`}`);
+      if (testcase.status === RESULT.FAIL) {
+        console.log(`      expected: ${JSON.stringify(testcase.expected)}`);
+        console.log(`      actual:   ${JSON.stringify(testcase.actual)}`);
+      } else if (testcase.error) {
+        console.log(`      ${testcase.error}`);
+      }
+      if (testcase.status !== RESULT.PASS) {
+        testcase.printed.forEach(line => console.log(`      > ${line}`));
+      }
+    }
+    if (error) {
+      console.log(`  ${status === RUN_STATUS.CRASHED ? 'crashed' : 'stopped'}:\n${indent(error)}`);
+    }
+  }
+
+  /**
+   * Prints the passed test cases & solutions per language & across the archive
+   * @param {Array<RunResult>} results
+   * @param {number} questions - Number of questions checked for solutions
+   */
+  printSummary(results, questions) {
+    console.log(`\nVerify summary (${questions} question(s))\n`);
+    const rows = [...this.languages, 'Total'].map(language => {
+      const inLanguage = results.filter(result => language === 'Total' || result.language === language);
+      const ran = inLanguage.filter(result => isPassing(result) || isFailing(result));
+      const testcases = ran.flatMap(result => result.testcases);
+      return [
+        language,
+        `${ran.filter(isPassing).length}/${ran.length}`,
+        `${testcases.filter(testcase => testcase.status === RESULT.PASS).length}/${testcases.length}`,
+        String(inLanguage.length - ran.length),
+      ];
+    });
+
+    const header = ['Language', 'Solutions passing', 'Test cases passing', 'Skipped'];
+    const widths = header.map((title, idx) => Math.max(title.length, ...rows.map(row => row[idx].length)));
+    for (const row of [header, ...rows]) {
+      console.log(`  ${row.map((cell, idx) => cell.padEnd(widths[idx])).join('  ')}`);
+    }
+
+    const failing = results.filter(isFailing);
+    if (failing.length > 0) {
+      console.log('\nFailing solutions:');
+      failing.forEach(result => console.log(`  ${result.language.padEnd(10)} ${result.question.dir}`));
+    }
+    console.log('');
+  }
+}
+
+/**
+ * @param {string} text - A compiler error or stack trace
+ * @returns {string} its first lines, indented below a solution
+ */
+function indent(text) {
+  return text.split('\n').slice(0, 20).map(line => `    ${line}`).join('\n');
+}
+
+/**
+ * @param {RunResult} result
+ * @returns {boolean} whether the solution ran & passed every test case
+ */
+function isPassing(result) {
+  return result.status === RUN_STATUS.RAN && result.testcases.every(testcase => testcase.status === RESULT.PASS);
+}
+
+/**
+ * @param {RunResult} result
+ * @returns {boolean} whether the solution was attempted but failed to build, crashed or failed a test case
+ */
+function isFailing(result) {
+  return [RUN_STATUS.RAN, RUN_STATUS.BUILD_ERROR, RUN_STATUS.CRASHED].includes(result.status) && !isPassing(result);
+}
+
+module.exports = {
+  RESULT,
+  RUN_STATUS,
+  RUNNERS,
+  deepEqual,
+  isPassing,
+  isFailing,
+  Verifier,
+};